@@ -1,22 +1,35 @@
 -- Script per svuotare tutte le tabelle del database
 -- Ordine di eliminazione rispettando le foreign key constraints
+-- Nomi non qualificati: eseguire sullo schema di destinazione, es.
+--   PGOPTIONS="-c search_path=$SCHEMA" psql "$DATABASE_URL" -f clear_database.sql
 
 -- Prima eliminiamo le tabelle che dipendono da altre
-TRUNCATE TABLE public.ingestion_errors CASCADE;
-TRUNCATE TABLE public.addresses CASCADE;
-TRUNCATE TABLE public.ateco CASCADE;
-TRUNCATE TABLE public.balance_entries CASCADE;
-TRUNCATE TABLE public.company_versions CASCADE;
-TRUNCATE TABLE public.contacts CASCADE;
-TRUNCATE TABLE public.raw_sections CASCADE;
-TRUNCATE TABLE public.unknown_fields CASCADE;
+TRUNCATE TABLE ingestion_errors CASCADE;
+TRUNCATE TABLE addresses CASCADE;
+TRUNCATE TABLE ateco CASCADE;
+TRUNCATE TABLE balance_entries CASCADE;
+TRUNCATE TABLE balance_checks CASCADE;
+TRUNCATE TABLE computed_ratios CASCADE;
+TRUNCATE TABLE statement_conflicts CASCADE;
+TRUNCATE TABLE company_kpis CASCADE;
+TRUNCATE TABLE company_versions CASCADE;
+TRUNCATE TABLE contacts CASCADE;
+TRUNCATE TABLE manager_roles CASCADE;
+TRUNCATE TABLE ownership_edges CASCADE;
+TRUNCATE TABLE raw_sections CASCADE;
+TRUNCATE TABLE unknown_fields CASCADE;
 
 -- Poi eliminiamo le tabelle principali
-TRUNCATE TABLE public.ingestions CASCADE;
-TRUNCATE TABLE public.companies CASCADE;
+TRUNCATE TABLE ingestions CASCADE;
+TRUNCATE TABLE ingestion_batches CASCADE;
+TRUNCATE TABLE companies CASCADE;
+TRUNCATE TABLE managers CASCADE;
 
 -- Infine le tabelle indipendenti
-TRUNCATE TABLE public.legend_codes CASCADE;
-TRUNCATE TABLE public.unmapped_codes CASCADE;
+TRUNCATE TABLE legend_codes CASCADE;
+TRUNCATE TABLE unmapped_codes CASCADE;
+TRUNCATE TABLE legend_code_decisions CASCADE;
+TRUNCATE TABLE legend_code_versions CASCADE;
+TRUNCATE TABLE legend_releases CASCADE;
 
 SELECT 'Database svuotato con successo' as status;
\ No newline at end of file
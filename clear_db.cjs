@@ -1,10 +1,14 @@
 require('dotenv').config();
 const { createClient } = require('@supabase/supabase-js');
 
-const supa = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE);
-
 async function clearDatabase() {
-  console.log('Svuotamento database in corso...');
+  // lib/config.js e' un modulo ESM: import dinamico per usare lo stesso SCHEMA degli altri script
+  const { SCHEMA } = await import('./lib/config.js');
+  const supa = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE, {
+    auth: { persistSession: false },
+    db: { schema: SCHEMA }
+  });
+  console.log(`Svuotamento database (schema ${SCHEMA}) in corso...`);
   
   const tables = ['balance_entries', 'addresses', 'contacts', 'ateco', 'companies', 'ingestions'];
   
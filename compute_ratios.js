@@ -0,0 +1,63 @@
+import 'dotenv/config';
+import pg from 'pg';
+import { parseArgs } from 'util';
+import { createStorage } from './lib/storage/index.js';
+import { recomputeRatios } from './lib/pipeline.js';
+import { ratioCatalogue } from './lib/ratios.js';
+import { fq, pgConfig } from './lib/config.js';
+
+/**
+ * Ricalcola gli indici di ratios.json per le aziende gia' ingerite (dopo aver modificato il catalogo):
+ *   node compute_ratios.js [--azienda <azienda_id>] [--year YYYY]
+ *
+ * Legge voci di bilancio e KPI del provider gia' salvati; stampa le discrepanze trovate.
+ */
+
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      azienda: { type: 'string' },
+      year: { type: 'string' }
+    }
+  });
+  if (args.year && !/^\d{4}$/.test(args.year)) {
+    console.error('Usage: node compute_ratios.js [--azienda <azienda_id>] [--year YYYY]');
+    process.exit(1);
+  }
+  // formule non valide: meglio fermarsi prima di toccare il DB
+  const catalogue = ratioCatalogue();
+
+  const client = new pg.Client(pgConfig());
+  await client.connect();
+  let targets;
+  try {
+    const res = await client.query(`
+      select azienda_id, array_agg(distinct year order by year) as years from ${fq('balance_entries')}
+      where ($1::text is null or azienda_id::text = $1) and ($2::int is null or year = $2)
+      group by azienda_id
+    `, [args.azienda ?? null, args.year ? Number(args.year) : null]);
+    targets = res.rows;
+  } finally {
+    await client.end();
+  }
+
+  const storage = createStorage('postgres');
+  const totals = { match: 0, mismatch: 0, computed: 0, not_computable: 0 };
+  try {
+    for (const { azienda_id, years } of targets) {
+      const summary = await recomputeRatios(storage, azienda_id, years);
+      for (const key of Object.keys(totals)) totals[key] += summary[key];
+      for (const m of summary.mismatches) {
+        console.log(`⚠️  ${azienda_id} ${m.year} ${m.ratio_id}: calcolato ${m.value}, ${m.provider_kpi} ${m.provider_value} (diff ${m.difference})`);
+      }
+    }
+  } finally {
+    await storage.close();
+  }
+  console.log(`✅ Catalogo v${catalogue.version}: ${targets.length} aziende, ${JSON.stringify(totals)}`);
+}
+
+main().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,56 @@
+import 'dotenv/config';
+import pg from 'pg';
+import { parseArgs } from 'util';
+import { getCompanyVersionDiff } from './lib/queries/company.js';
+import { SCHEMA, pgConfig } from './lib/config.js';
+
+/**
+ * Diff tra due versioni di un'azienda (company_versions):
+ *   node diff_versions.js <azienda_id> <version_a> <version_b> [--json]
+ *
+ * Senza --json stampa un change log: "+" campo aggiunto, "-" rimosso, "~" modificato.
+ */
+
+const show = v => (v !== null && typeof v === 'object' ? JSON.stringify(v) : String(v));
+
+async function main() {
+  const { values: args, positionals } = parseArgs({
+    options: { json: { type: 'boolean', default: false } },
+    allowPositionals: true
+  });
+  const [aziendaId, versionA, versionB] = positionals;
+  if (!aziendaId || !versionA || !versionB) {
+    console.error('Usage: node diff_versions.js <azienda_id> <version_a> <version_b> [--json]');
+    process.exit(1);
+  }
+
+  const client = new pg.Client(pgConfig());
+  await client.connect();
+  try {
+    const diff = await getCompanyVersionDiff(client, aziendaId, versionA, versionB, { schema: SCHEMA });
+    if (!diff) {
+      console.error('Versione non trovata per questa azienda');
+      process.exitCode = 1;
+      return;
+    }
+    if (args.json) {
+      console.log(JSON.stringify(diff, null, 2));
+      return;
+    }
+
+    console.log(`Da ${diff.from.version_id} (${diff.from.effective_date.toISOString()}) a ${diff.to.version_id} (${diff.to.effective_date.toISOString()})`);
+    console.log(`+${diff.summary.added} -${diff.summary.removed} ~${diff.summary.changed}`);
+    for (const c of diff.changes) {
+      if (c.op === 'added') console.log(`+ ${c.path}: ${show(c.to)}`);
+      else if (c.op === 'removed') console.log(`- ${c.path}: ${show(c.from)}`);
+      else console.log(`~ ${c.path}: ${show(c.from)} -> ${show(c.to)}`);
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,97 @@
+import 'dotenv/config';
+import fs from 'fs';
+import pg from 'pg';
+import { parseArgs } from 'util';
+import { getBalanceExport, getKpiExport, getPortfolioExport } from './lib/queries/export.js';
+import { balanceTable, kpiTable, portfolioTable, render, EXPORT_FORMATS, EXPORT_LAYOUTS } from './lib/export.js';
+import { pgConfig } from './lib/config.js';
+
+/**
+ * Export CSV/XLSX per fogli di calcolo e BI (stessi dati degli endpoint /api/.../*.csv|.xlsx):
+ *   node export.js balance <azienda_id> [--layout wide|long] [--format csv|xlsx] [--out file]
+ *   node export.js kpis <azienda_id> [--layout wide|long] [--format csv|xlsx] [--out file]
+ *   node export.js companies [--q ...] [--status ...] [--legal-form ...] [--ateco ...] [--province ...]
+ *                            [--turnover-min N] [--turnover-max N] [--kpis a,b] [--year YYYY] [--format csv|xlsx] [--out file]
+ *
+ * Senza --out il file prende un nome dal contenuto nella cartella corrente; --out - scrive su stdout.
+ */
+
+function usage() {
+  console.error('Usage: node export.js balance|kpis <azienda_id> [--layout wide|long] [--format csv|xlsx] [--out file]');
+  console.error('       node export.js companies [--q ...] [--status ...] [--legal-form ...] [--ateco ...] [--province ...]');
+  console.error('                                [--turnover-min N] [--turnover-max N] [--kpis a,b] [--year YYYY] [--format csv|xlsx] [--out file]');
+  process.exit(1);
+}
+
+async function main() {
+  const { values: args, positionals } = parseArgs({
+    options: {
+      layout: { type: 'string', default: 'wide' },
+      format: { type: 'string', default: 'csv' },
+      out: { type: 'string' },
+      q: { type: 'string' },
+      status: { type: 'string' },
+      'legal-form': { type: 'string' },
+      ateco: { type: 'string' },
+      province: { type: 'string' },
+      'turnover-min': { type: 'string' },
+      'turnover-max': { type: 'string' },
+      kpis: { type: 'string' },
+      year: { type: 'string' }
+    },
+    allowPositionals: true
+  });
+  const [command, aziendaId] = positionals;
+  const amount = name => (args[name] === undefined ? undefined : Number(args[name]));
+  const turnover = [amount('turnover-min'), amount('turnover-max')];
+  if (!['balance', 'kpis', 'companies'].includes(command) || (command !== 'companies' && !aziendaId)
+      || !EXPORT_FORMATS.includes(args.format) || !EXPORT_LAYOUTS.includes(args.layout)
+      || (args.year && !/^\d{4}$/.test(args.year)) || turnover.some(v => v !== undefined && !Number.isFinite(v))) {
+    usage();
+  }
+
+  const client = new pg.Client(pgConfig());
+  await client.connect();
+  let table;
+  let filename;
+  try {
+    if (command === 'companies') {
+      const kpiNames = String(args.kpis || '').split(',').map(k => k.trim()).filter(Boolean);
+      const data = await getPortfolioExport(client, {
+        q: args.q,
+        status: args.status,
+        legalForm: args['legal-form'],
+        ateco: args.ateco,
+        province: args.province,
+        turnoverMin: turnover[0],
+        turnoverMax: turnover[1]
+      }, { kpiNames, year: args.year ? Number(args.year) : undefined });
+      if (data.truncated) console.error(`⚠️  Export troncato a ${data.companies.length} aziende: restringere i filtri`);
+      table = portfolioTable(data.companies, data.kpis, kpiNames);
+      filename = 'aziende';
+    } else {
+      const data = command === 'balance' ? await getBalanceExport(client, aziendaId) : await getKpiExport(client, aziendaId);
+      if (!data) throw new Error(`Azienda ${aziendaId} non trovata`);
+      table = command === 'balance'
+        ? balanceTable(data.entries, { layout: args.layout })
+        : kpiTable(data.kpis, { layout: args.layout });
+      filename = `${command === 'balance' ? 'bilancio' : 'kpi'}_${data.company.azienda_id}_${args.layout}`;
+    }
+  } finally {
+    await client.end();
+  }
+
+  const content = render(args.format, [table]);
+  if (args.out === '-') {
+    process.stdout.write(content);
+    return;
+  }
+  const out = args.out ?? `${filename}.${args.format}`;
+  fs.writeFileSync(out, content);
+  console.error(`✅ ${table.rows.length} righe in ${out}`);
+}
+
+main().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,89 @@
+import { ALTRE_RISERVE } from './legend.js';
+
+/**
+ * Controlli di coerenza del bilancio ingerito, per azienda ed esercizio.
+ * Ogni controllo confronta una voce totale con la somma (con segno) delle sue parti:
+ * "-IIC149" significa che la voce si sottrae. Le parti assenti dal payload valgono 0
+ * (il provider omette spesso le voci a zero) e sono elencate in details.missing.
+ */
+
+// scarto ammesso: arrotondamenti all'unita' di euro sulle singole voci
+export const DEFAULT_TOLERANCE = { absolute: 2, relative: 0.0001 };
+
+export const BALANCE_CHECKS = [
+  // quadratura dello stato patrimoniale
+  { id: 'assets_equal_liabilities', description: 'Totale attivo = totale passivo (patrimonio netto incluso)',
+    total: 'IIC074', parts: ['IIC121'] },
+  { id: 'assets_aggregates', description: 'Totale attivo = crediti verso soci + immobilizzazioni + attivo circolante + ratei',
+    total: 'IIC074', parts: ['IIC001', 'IIC039', 'IIC071', 'IIC072'] },
+  { id: 'liabilities_aggregates', description: 'Totale passivo = A + B + C + D + E',
+    total: 'IIC121', parts: ['IIC084', 'IIC088', 'IIC089', 'IIC118', 'IIC119'] },
+
+  // gruppi di dettaglio -> aggregati (assetsAggregateValues / liabilitiesAggregateValues)
+  { id: 'fixed_assets', description: 'Immobilizzazioni = immateriali + materiali + finanziarie',
+    total: 'IIC039', parts: ['IIC011', 'IIC018', 'IIC038'] },
+  { id: 'current_assets', description: 'Attivo circolante = rimanenze + crediti + attivita\' finanziarie + disponibilita\' liquide',
+    total: 'IIC071', parts: ['IIC045', 'IIC058', 'IIC066', 'IIC070'] },
+  { id: 'cash_equivalents', description: 'Disponibilita\' liquide = depositi + assegni + denaro in cassa',
+    total: 'IIC070', parts: ['IIC067', 'IIC068', 'IIC069'] },
+  { id: 'net_worth', description: 'Patrimonio netto = somma delle voci A.I - A.X',
+    total: 'IIC084', parts: ['IIC075', 'IIC076', 'IIC077', 'IIC078', 'IIC080', 'IIC079', 'IIC081', 'IIC215', 'IIC082', 'IIC083', 'IIC218'] },
+  { id: 'other_reserves', description: 'Altre riserve = somma delle riserve di dettaglio',
+    total: 'IIC081', parts: ALTRE_RISERVE },
+  { id: 'risk_provisions', description: 'Fondi rischi = B.1 + B.2 + B.3 + B.4',
+    total: 'IIC088', parts: ['IIC085', 'IIC086', 'IIC219', 'IIC087'] },
+  { id: 'debts', description: 'Debiti = somma dei totali D.1 - D.14',
+    total: 'IIC118', parts: ['IIC329', 'IIC330', 'IIC331', 'IIC332', 'IIC333', 'IIC334', 'IIC335', 'IIC336',
+      'IIC337', 'IIC338', 'IIC339', 'IIC340', 'IIC341', 'IIC342', 'IIC343'] },
+  { id: 'debts_maturity', description: 'Debiti = esigibili a breve + esigibili oltre l\'esercizio',
+    total: 'IIC118', parts: ['IIC116', 'IIC117'] },
+
+  // conto economico
+  { id: 'production_result', description: 'Differenza A - B = valore - costi della produzione',
+    total: 'IIC224', parts: ['IIC130', '-IIC149'] },
+  { id: 'pre_tax_result', description: 'Risultato prima delle imposte = (A - B) + C + D + E',
+    total: 'IIC177', parts: ['IIC224', 'IIC161', 'IIC170', 'IIC176'] },
+  { id: 'net_result', description: 'Utile/perdita = risultato prima delle imposte - imposte',
+    total: 'IIC179', parts: ['IIC177', '-IIC178'] },
+
+  // stesso risultato d'esercizio nel conto economico e nel patrimonio netto
+  { id: 'annual_result', description: 'Utile/perdita del conto economico = A.IX del patrimonio netto',
+    total: 'IIC179', parts: ['IIC083'] }
+];
+
+const parsePart = part => (part.startsWith('-') ? [part.slice(1), -1] : [part, 1]);
+
+const round2 = n => Math.round(n * 100) / 100;
+
+/**
+ * Esegue i controlli su un esercizio. `amounts` e' una Map code -> importo.
+ * Ritorna { check_id, status: pass|fail|skipped, expected, actual, difference, tolerance, details }:
+ * expected e' la voce totale, actual la somma delle parti; skipped se manca il totale o tutte le parti.
+ */
+export function runBalanceChecks(amounts, { tolerance = DEFAULT_TOLERANCE, checks = BALANCE_CHECKS } = {}) {
+  return checks.map(check => {
+    const expected = amounts.get(check.total) ?? null;
+    const parts = check.parts.map(parsePart);
+    const missing = parts.filter(([code]) => !amounts.has(code)).map(([code]) => code);
+    const result = {
+      check_id: check.id, status: 'skipped', expected, actual: null, difference: null, tolerance: null,
+      details: { description: check.description, total: check.total, parts: check.parts, missing }
+    };
+
+    if (expected === null || missing.length === parts.length) return result;
+    const actual = round2(parts.reduce((sum, [code, sign]) => sum + sign * (amounts.get(code) ?? 0), 0));
+    const difference = round2(expected - actual);
+    const allowed = Math.max(tolerance.absolute, Math.abs(expected) * tolerance.relative);
+    return { ...result, status: Math.abs(difference) <= allowed ? 'pass' : 'fail', actual, difference, tolerance: round2(allowed) };
+  });
+}
+
+/** Righe balance_entries ({ year, code, amount }) -> Map anno -> Map code -> importo. */
+export function amountsByYear(entries) {
+  const years = new Map();
+  for (const e of entries) {
+    if (!years.has(e.year)) years.set(e.year, new Map());
+    if (e.amount !== null && e.amount !== undefined) years.get(e.year).set(e.code, Number(e.amount));
+  }
+  return years;
+}
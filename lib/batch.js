@@ -0,0 +1,216 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import { v4 as uuidv4 } from 'uuid';
+import { ingestPayload, recordIngestionError } from './pipeline.js';
+import { computeAziendaId } from './util.js';
+
+/**
+ * Sorgenti batch: directory, glob o file NDJSON (.jsonl/.ndjson), letti in streaming
+ * un record alla volta; nulla viene caricato tutto in memoria.
+ */
+
+const NDJSON_RE = /\.(jsonl|ndjson)$/i;
+
+export function isBatchSource(source) {
+  return /[*?]/.test(source) || NDJSON_RE.test(source) || fs.statSync(source, { throwIfNoEntry: false })?.isDirectory() === true;
+}
+
+// glob minimale: `**` = qualunque sottocartella, `*` e `?` dentro un segmento
+function globToRegExp(pattern) {
+  let re = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      re += '(?:.*/)?';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (c === '*') re += '[^/]*';
+    else if (c === '?') re += '[^/]';
+    else re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${re}$`);
+}
+
+async function* walkFiles(dir) {
+  const entries = await fsp.readdir(dir, { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+  for (const e of entries) {
+    const full = path.join(dir, e.name);
+    if (e.isDirectory()) yield* walkFiles(full);
+    else if (e.isFile()) yield full;
+  }
+}
+
+async function* expandGlob(pattern) {
+  const normalized = pattern.split(path.sep).join('/');
+  const segments = normalized.split('/');
+  const firstWild = segments.findIndex(s => /[*?]/.test(s));
+  const base = segments.slice(0, firstWild).join('/') || '.';
+  const matcher = globToRegExp(segments.slice(firstWild).join('/'));
+  const recursive = normalized.includes('**') || segments.length - firstWild > 1;
+
+  if (recursive) {
+    for await (const file of walkFiles(base)) {
+      if (matcher.test(path.relative(base, file).split(path.sep).join('/'))) yield file;
+    }
+  } else {
+    const entries = await fsp.readdir(base, { withFileTypes: true });
+    for (const e of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      if (e.isFile() && matcher.test(e.name)) yield path.join(base, e.name);
+    }
+  }
+}
+
+async function* readNdjson(file) {
+  const rl = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+  let line = 0;
+  for await (const text of rl) {
+    line++;
+    if (!text.trim()) continue;
+    const ref = `${file}:${line}`;
+    try {
+      yield { ref, payload: JSON.parse(text) };
+    } catch (err) {
+      yield { ref, error: `JSON non valido: ${err.message}` };
+    }
+  }
+}
+
+async function* readFileRecords(file) {
+  if (NDJSON_RE.test(file)) {
+    yield* readNdjson(file);
+    return;
+  }
+  try {
+    yield { ref: file, payload: JSON.parse(await fsp.readFile(file, 'utf8')) };
+  } catch (err) {
+    yield { ref: file, error: `JSON non valido: ${err.message}` };
+  }
+}
+
+/** Record ({ ref, payload } oppure { ref, error }) da directory, glob o NDJSON. */
+export async function* iterateRecords(source) {
+  let files;
+  if (/[*?]/.test(source)) files = expandGlob(source);
+  else if ((await fsp.stat(source)).isDirectory()) files = walkFiles(source);
+  else files = [source];
+
+  for await (const file of files) {
+    if (!/\.(json|jsonl|ndjson)$/i.test(file)) continue;
+    yield* readFileRecords(file);
+  }
+}
+
+/**
+ * N worker che consumano lo stesso iteratore: al massimo `concurrency` record in volo.
+ * Se l'iteratore o un worker falliscono si attende la fine dei record in volo, poi l'errore risale.
+ */
+export async function runPool(iterable, concurrency, worker) {
+  const iterator = iterable[Symbol.asyncIterator]();
+  const lanes = Array.from({ length: Math.max(1, concurrency) }, async () => {
+    for (;;) {
+      const { value, done } = await iterator.next();
+      if (done) return;
+      await worker(value);
+    }
+  });
+  const failed = (await Promise.allSettled(lanes)).find(r => r.status === 'rejected');
+  if (failed) throw failed.reason;
+}
+
+/**
+ * Esecuzione in coda per chiave: fn con la stessa chiave girano una dopo l'altra, nell'ordine di arrivo;
+ * chiavi diverse (o assenti) in parallelo.
+ */
+export function keyedQueue() {
+  const tails = new Map();
+  return (key, fn) => {
+    if (!key) return fn();
+    const run = (tails.get(key) ?? Promise.resolve()).then(fn);
+    const tail = run.catch(() => {});
+    tails.set(key, tail);
+    tail.then(() => { if (tails.get(key) === tail) tails.delete(key); });
+    return run;
+  };
+}
+
+// errori elencati nel riepilogo (gli esiti di tutti i record restano in ingestions, per batch_id)
+export const MAX_SUMMARY_ERRORS = 100;
+
+/**
+ * Run batch: ogni record e' un'ingestion con la sua transazione, collegata a un'unica riga
+ * ingestion_batches che alla fine contiene il riepilogo consolidato (conteggi per stato e i primi
+ * MAX_SUMMARY_ERRORS errori). I record della stessa azienda non girano mai in parallelo: due transazioni
+ * si contenderebbero il confronto UNCHANGED/OUTDATED e i diff di manager e archi. Se la sorgente
+ * non si legge piu' (directory sparita, stream NDJSON interrotto) la run finisce FAILED e l'errore risale.
+ */
+export async function runBatch(storage, source, { concurrency = 4, fiscalYearOverride, skipValidation, onRecord } = {}) {
+  const batchId = uuidv4();
+  const summary = {
+    batchId,
+    source,
+    backend: storage.backend,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    total: 0,
+    byStatus: {},
+    errors: [],
+    omittedErrors: 0
+  };
+  await storage.transaction(tx => tx.insertIngestionBatch({
+    batch_id: batchId,
+    source,
+    started_at: summary.startedAt,
+    status: 'RUNNING',
+    concurrency
+  }));
+
+  const byAzienda = keyedQueue();
+  let status = 'FAILED';
+  let failure = null;
+  try {
+    await runPool(iterateRecords(source), concurrency, async ({ ref, payload, error }) => {
+      const ingestionId = uuidv4();
+      const record = { ref, ingestion_id: ingestionId, azienda_id: null, status: null };
+      if (error) {
+        await recordIngestionError(storage, { ingestionId, startedAt: new Date().toISOString(), batchId, error: `${ref}: ${error}` });
+        Object.assign(record, { status: 'ERROR', error });
+      } else {
+        const aziendaKey = payload && typeof payload === 'object' ? computeAziendaId(payload) : null;
+        try {
+          const { azienda_id, report } = await byAzienda(aziendaKey, () =>
+            ingestPayload(storage, payload, { fiscalYearOverride, batchId, ingestionId, skipValidation }));
+          Object.assign(record, { azienda_id, status: report.status });
+        } catch (err) {
+          Object.assign(record, { status: 'ERROR', error: String(err?.message || err) });
+        }
+      }
+      summary.total++;
+      summary.byStatus[record.status] = (summary.byStatus[record.status] || 0) + 1;
+      if (record.status === 'ERROR') {
+        if (summary.errors.length < MAX_SUMMARY_ERRORS) summary.errors.push(record);
+        else summary.omittedErrors++;
+      }
+      onRecord?.(record, summary);
+    });
+    status = summary.byStatus.ERROR ? 'COMPLETED_WITH_ERRORS' : 'COMPLETED';
+  } catch (err) {
+    failure = err;
+    throw err;
+  } finally {
+    summary.finishedAt = new Date().toISOString();
+    await storage.transaction(tx => tx.updateIngestionBatch(batchId, {
+      finished_at: summary.finishedAt,
+      status,
+      total: summary.total,
+      counts: summary.byStatus,
+      summary,
+      error: failure ? String(failure.message || failure) : null
+    })).catch(err => {
+      // non copre l'errore originale della sorgente
+      if (!failure) throw err;
+    });
+  }
+  return { ...summary, status };
+}
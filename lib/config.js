@@ -0,0 +1,48 @@
+/**
+ * Configurazione condivisa da CLI, storage e server: un solo punto che decide lo schema di destinazione,
+ * cosi' staging e produzione possono vivere in schemi diversi dello stesso database.
+ *   SCHEMA          schema Postgres (default: openapi)
+ *   DATABASE_URL    connessione pg (su Postgres locale senza TLS: ?sslmode=disable)
+ * Va importato dopo 'dotenv/config'.
+ */
+
+const SCHEMA_RE = /^[a-z_][a-z0-9_]*$/;
+
+function resolveSchema(value = 'openapi') {
+  // lo schema finisce nel testo SQL (non si puo' passare come parametro): solo identificatori semplici
+  if (!SCHEMA_RE.test(value)) throw new Error(`SCHEMA non valido: "${value}" (ammessi: minuscole, cifre, _)`);
+  return value;
+}
+
+export const SCHEMA = resolveSchema(process.env.SCHEMA || undefined);
+
+/** Nome qualificato di una tabella nello schema configurato. */
+export const fq = table => `${SCHEMA}.${table}`;
+
+/** Opzioni per pg.Client / pg.Pool. */
+export function pgConfig() {
+  return { connectionString: process.env.DATABASE_URL, ssl: { rejectUnauthorized: false } };
+}
+
+/** Tabelle che ingestion e server si aspettano di trovare nello schema (create da migrate.js). */
+export const REQUIRED_TABLES = [
+  'companies', 'company_versions', 'raw_sections', 'contacts', 'addresses', 'ateco', 'balance_entries',
+  'company_kpis', 'managers', 'manager_roles', 'ownership_edges', 'legend_codes', 'unmapped_codes',
+  'unknown_fields', 'schema_promotions', 'ingestions', 'ingestion_errors', 'ingestion_batches', 'balance_checks',
+  'computed_ratios', 'legend_code_decisions', 'legend_releases', 'legend_code_versions', 'statement_conflicts'
+];
+
+export function missingTablesError(schema, missing) {
+  return new Error(`Schema "${schema}": tabelle mancanti ${missing.join(', ')} (esegui node migrate.js up con SCHEMA=${schema})`);
+}
+
+/** Controllo all'avvio via information_schema; `db` e' un pg Client/Pool. */
+export async function assertSchema(db, { schema = SCHEMA, tables = REQUIRED_TABLES } = {}) {
+  const res = await db.query(`
+    select table_name from information_schema.tables
+    where table_schema = $1 and table_name = any($2::text[])
+  `, [schema, tables]);
+  const found = new Set(res.rows.map(r => r.table_name));
+  const missing = tables.filter(t => !found.has(t));
+  if (missing.length) throw missingTablesError(schema, missing);
+}
@@ -0,0 +1,66 @@
+/**
+ * Diff strutturale tra due JSON (tipicamente due company_versions.raw_json).
+ * Gli array di oggetti vengono allineati per chiave naturale (codice fiscale, codice di bilancio, ...)
+ * invece che per indice, cosi' un amministratore in piu' non "sposta" tutti gli altri.
+ */
+
+// chiavi naturali provate in ordine: vince la prima univoca su tutti gli elementi di entrambi i lati
+export const NATURAL_KEYS = [
+  ['taxCode', el => el?.taxCode],
+  ['code', el => el?.code],
+  ['vatCode', el => el?.vatCode],
+  ['role', el => el?.role?.code && `${el.role.code}@${el.roleStartDate || ''}`],
+  ['companyDetails.taxCode', el => el?.companyDetails?.taxCode]
+];
+
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function pickNaturalKey(left, right) {
+  const all = [...left, ...right];
+  if (!all.length || !all.every(isObject)) return null;
+  for (const [name, fn] of NATURAL_KEYS) {
+    const uniqueOn = list => {
+      const keys = list.map(fn);
+      return keys.every(k => k !== undefined && k !== null && k !== '') && new Set(keys).size === keys.length;
+    };
+    if (uniqueOn(left) && uniqueOn(right)) return [name, fn];
+  }
+  return null;
+}
+
+function diffArrays(a, b, path, changes) {
+  const natural = pickNaturalKey(a, b);
+  if (!natural) {
+    // nessuna chiave naturale: confronto posizionale
+    for (let i = 0; i < Math.max(a.length, b.length); i++) diffValues(a[i], b[i], `${path}[${i}]`, changes, i < a.length, i < b.length);
+    return;
+  }
+  const [name, fn] = natural;
+  const left = new Map(a.map(el => [String(fn(el)), el]));
+  const right = new Map(b.map(el => [String(fn(el)), el]));
+  for (const key of new Set([...left.keys(), ...right.keys()])) {
+    diffValues(left.get(key), right.get(key), `${path}[${name}=${key}]`, changes, left.has(key), right.has(key));
+  }
+}
+
+function diffValues(a, b, path, changes, inA = true, inB = true) {
+  if (!inA) return changes.push({ op: 'added', path, to: b });
+  if (!inB) return changes.push({ op: 'removed', path, from: a });
+  if (Array.isArray(a) && Array.isArray(b)) return diffArrays(a, b, path, changes);
+  if (isObject(a) && isObject(b)) {
+    for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      diffValues(a[key], b[key], path ? `${path}.${key}` : key, changes, key in a, key in b);
+    }
+    return;
+  }
+  if (a !== b) changes.push({ op: 'changed', path, from: a, to: b });
+}
+
+/** Ritorna { changes: [{ op: added|removed|changed, path, from?, to? }], summary: { added, removed, changed } }. */
+export function diffJson(a, b) {
+  const changes = [];
+  diffValues(a, b, '', changes);
+  const summary = { added: 0, removed: 0, changed: 0 };
+  for (const c of changes) summary[c.op]++;
+  return { changes, summary };
+}
@@ -0,0 +1,146 @@
+import { writeXlsx } from './xlsx.js';
+
+/**
+ * Export per fogli di calcolo e strumenti di BI. Una tabella e' { name, columns: [{ key, header }], rows }:
+ *   wide  una riga per voce (codice o KPI), una colonna per esercizio
+ *   long  una riga per voce ed esercizio (formato "tidy" per BI)
+ * CSV: RFC 4180 con BOM UTF-8 (Excel riconosce gli accenti), separatore virgola, decimali col punto.
+ */
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+export const EXPORT_LAYOUTS = ['wide', 'long'];
+
+export const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const STATEMENT_ORDER = { SP_A: 0, SP_P: 1, CE: 2 };
+
+const toNumber = value => (value === null || value === undefined || value === '' ? null : Number(value));
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+  let text = String(value);
+  // niente formule involontarie all'apertura in Excel
+  if (/^[=+@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Tabella -> testo CSV. */
+export function toCsv({ columns, rows }) {
+  const lines = [columns.map(col => csvValue(col.header)).join(',')];
+  for (const row of rows) lines.push(columns.map(col => csvValue(row[col.key])).join(','));
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+/** Tabelle -> Buffer nel formato richiesto (CSV: solo la prima tabella). */
+export function render(format, tables) {
+  return format === 'xlsx' ? writeXlsx(tables) : Buffer.from(toCsv(tables[0]), 'utf8');
+}
+
+/**
+ * Voci di bilancio ({ year, statement, code, description, amount, currency, is_comparative,
+ * legend_release_id, sort_order }) -> tabella. Wide: descrizione dell'esercizio piu' recente,
+ * righe nell'ordine civilistico (statement, poi sort_order della legenda).
+ */
+export function balanceTable(entries, { layout = 'wide' } = {}) {
+  if (layout === 'long') {
+    return {
+      name: 'Bilancio',
+      columns: [
+        { key: 'year', header: 'Esercizio' }, { key: 'statement', header: 'Sezione' }, { key: 'code', header: 'Codice' },
+        { key: 'description', header: 'Descrizione' }, { key: 'amount', header: 'Importo' }, { key: 'currency', header: 'Valuta' },
+        { key: 'is_comparative', header: 'Comparativo' }, { key: 'legend_release_id', header: 'Release legenda' }
+      ],
+      rows: entries.map(e => ({ ...e, amount: toNumber(e.amount) }))
+    };
+  }
+
+  const years = [...new Set(entries.map(e => e.year))].sort((a, b) => a - b);
+  const lines = new Map();
+  for (const e of [...entries].sort((a, b) => a.year - b.year)) {
+    const key = `${e.statement}|${e.code}`;
+    if (!lines.has(key)) lines.set(key, { statement: e.statement, code: e.code, sort_order: e.sort_order });
+    const line = lines.get(key);
+    line.description = e.description;
+    line[e.year] = toNumber(e.amount);
+  }
+  const order = line => [STATEMENT_ORDER[line.statement] ?? 9, line.sort_order ?? Number.MAX_SAFE_INTEGER];
+  const rows = [...lines.values()].sort((a, b) => {
+    const [sa, oa] = order(a);
+    const [sb, ob] = order(b);
+    return sa - sb || oa - ob || a.code.localeCompare(b.code);
+  });
+  return {
+    name: 'Bilancio',
+    columns: [
+      { key: 'statement', header: 'Sezione' }, { key: 'code', header: 'Codice' }, { key: 'description', header: 'Descrizione' },
+      ...years.map(year => ({ key: year, header: String(year) }))
+    ],
+    rows
+  };
+}
+
+/** KPI ({ fiscal_year, block, kpi_name, value, is_comparative }) -> tabella. */
+export function kpiTable(kpis, { layout = 'wide' } = {}) {
+  if (layout === 'long') {
+    return {
+      name: 'KPI',
+      columns: [
+        { key: 'fiscal_year', header: 'Esercizio' }, { key: 'block', header: 'Blocco' }, { key: 'kpi_name', header: 'KPI' },
+        { key: 'value', header: 'Valore' }, { key: 'is_comparative', header: 'Comparativo' }
+      ],
+      rows: kpis.map(k => ({ ...k, value: toNumber(k.value) }))
+    };
+  }
+
+  const years = [...new Set(kpis.map(k => k.fiscal_year))].sort((a, b) => a - b);
+  const lines = new Map();
+  for (const k of kpis) {
+    if (!lines.has(k.kpi_name)) lines.set(k.kpi_name, { block: k.block, kpi_name: k.kpi_name });
+    lines.get(k.kpi_name)[k.fiscal_year] = toNumber(k.value);
+  }
+  return {
+    name: 'KPI',
+    columns: [
+      { key: 'block', header: 'Blocco' }, { key: 'kpi_name', header: 'KPI' },
+      ...years.map(year => ({ key: year, header: String(year) }))
+    ],
+    rows: [...lines.values()].sort((a, b) => a.block.localeCompare(b.block) || a.kpi_name.localeCompare(b.kpi_name))
+  };
+}
+
+/**
+ * Elenco aziende (righe di listCompanies) con i KPI scelti: una colonna per KPI, valore dell'esercizio
+ * richiesto o dell'ultimo disponibile. `kpis`: Map azienda_id -> Map kpi_name -> { value, fiscal_year }.
+ */
+export function portfolioTable(companies, kpis, kpiNames = []) {
+  return {
+    name: 'Aziende',
+    columns: [
+      { key: 'azienda_id', header: 'ID azienda' }, { key: 'company_name', header: 'Ragione sociale' },
+      { key: 'vat_code', header: 'Partita IVA' }, { key: 'tax_code', header: 'Codice fiscale' },
+      { key: 'legal_form', header: 'Forma giuridica' }, { key: 'status', header: 'Stato' },
+      { key: 'town', header: 'Comune' }, { key: 'province', header: 'Provincia' },
+      { key: 'ateco_code', header: 'ATECO' }, { key: 'ateco_description', header: 'Descrizione ATECO' },
+      { key: 'turnover', header: 'Fatturato' }, { key: 'turnover_year', header: 'Esercizio fatturato' },
+      ...kpiNames.flatMap(name => [
+        { key: `kpi:${name}`, header: name },
+        { key: `year:${name}`, header: `${name} (esercizio)` }
+      ])
+    ],
+    rows: companies.map(c => {
+      const values = kpis.get(c.azienda_id) ?? new Map();
+      return {
+        ...c,
+        turnover: toNumber(c.turnover),
+        ...Object.fromEntries(kpiNames.flatMap(name => [
+          [`kpi:${name}`, toNumber(values.get(name)?.value)],
+          [`year:${name}`, values.get(name)?.fiscal_year ?? null]
+        ]))
+      };
+    })
+  };
+}
@@ -0,0 +1,503 @@
+import { walk, getTopKeys, unwrap, partyType, toDateOnly, computeAziendaId, valueKind } from './util.js';
+import { heuristicStatement } from './statements.js';
+
+/** --------- Estrattori condivisi: payload JSON -> righe normalizzate (nessun accesso al DB) --------- */
+
+export const CODE_RE = /^[A-Z]{2,4}\d{2,4}$/; // IIC, IICC, IPL, etc.
+
+// percorso JSON di origine di ogni riga estratta (--explain, ingestion_errors.json_path)
+const SOURCES = new WeakMap();
+
+function fromPath(row, path) {
+  SOURCES.set(row, path);
+  return row;
+}
+
+export function sourceOf(row) {
+  return (row && typeof row === 'object' && SOURCES.get(row)) || null;
+}
+
+// segmenti di walk() -> "a.b[0].c"
+function formatPath(segments) {
+  return segments.reduce((acc, seg) => (/^\d+$/.test(seg) ? `${acc}[${seg}]` : acc ? `${acc}.${seg}` : seg), '');
+}
+
+// `trace` (opzionale) raccoglie quale strategia/fallback ha prodotto le righe: --dry-run / --explain
+function traced(trace, extractor, strategy, detail) {
+  trace?.push({ extractor, strategy, ...(detail ? { detail } : {}) });
+}
+
+// anagrafica: cerca i dati aziendali sia a livello root che dentro data
+export function extractCompany(payload) {
+  const details = payload.companyDetails || payload?.data?.companyDetails || {};
+  const data = unwrap(payload);
+  return {
+    azienda_id: computeAziendaId(payload),
+    vat_code: details.vatCode || payload.vatCode || data.vatCode || null,
+    tax_code: details.taxCode || payload.taxCode || data.taxCode || null,
+    company_name: details.companyName || payload.companyName || data.companyName || null,
+    // IT-full: legalForm.{detailedLegalForm,legalForm} e companyStatus.activityStatus sono { code, description }
+    legal_form: payload?.legalForm?.description || data?.legalForm?.description
+      || data?.legalForm?.detailedLegalForm?.description || data?.legalForm?.legalForm?.description
+      || details.legalForm || null,
+    status: payload?.companyStatus?.description || data?.companyStatus?.description
+      || data?.companyStatus?.activityStatus?.description || null,
+    cciaa: payload?.chamberOfCommerce?.code || data?.chamberOfCommerce?.code || details.cciaa || null,
+    rea_code: details.reaCode || data.reaCode || null,
+    country_code: payload?.address?.country?.code || data?.address?.country?.code || null
+  };
+}
+
+export function extractContacts(payload, trace) {
+  const res = { phone: null, email: null, pec: null, website: null };
+  const paths = {};
+  const take = (field, value, path) => {
+    if (res[field]) return;
+    res[field] = value;
+    paths[field] = path;
+  };
+  walk(unwrap(payload), (node, path) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) return;
+    for (const [k, v] of Object.entries(node)) {
+      if (typeof v !== 'string') continue;
+      const key = k.toLowerCase();
+      const at = formatPath(path.concat([k]));
+      if (key === 'pec' || key.includes('pec')) take('pec', v, at);
+      if (key === 'email' || key === 'e-mail' || key.includes('mail')) take('email', v, at);
+      if (key === 'phone' || key.includes('tel')) take('phone', v, at);
+      if (key === 'website' || key.includes('sito') || key.includes('web')) take('website', v, at);
+    }
+  });
+  if (!(res.phone || res.email || res.pec || res.website)) return null;
+  traced(trace, 'extractContacts', 'key-heuristic', paths);
+  return fromPath(res, paths);
+}
+
+export function extractAddresses(payload, trace) {
+  const data = unwrap(payload);
+  const results = [];
+  const paths = [];
+
+  // 3A: blocchi noti
+  if (data.address && typeof data.address === 'object') {
+    results.push({ addressType: 'SEDE', ...data.address });
+    paths.push('address');
+  }
+  if (Array.isArray(data.allOffices)) {
+    data.allOffices.forEach((o, i) => {
+      const addr = o?.address || o;
+      results.push({ addressType: o?.officeType || 'OFFICE', ...addr });
+      paths.push(o?.address ? `allOffices[${i}].address` : `allOffices[${i}]`);
+    });
+  }
+  if (results.length) traced(trace, 'extractAddresses', 'known-blocks');
+
+  // 3B: fallback ricorsivo (solo se i blocchi noti non hanno dato nulla): ogni oggetto che "somiglia" a un indirizzo
+  if (!results.length) {
+    walk(data, (node, path) => {
+      if (!node || typeof node !== 'object' || Array.isArray(node)) return;
+      const keys = getTopKeys(node).map(k => k.toLowerCase());
+      const hint = ['street','streetname','indirizzo','zip','zipcode','cap','town','city','comune','province','provincia','region','regione','country','stato'];
+      const score = hint.reduce((s,h)=> s + (keys.includes(h) ? 1 : 0), 0);
+      if (score >= 3) {
+        results.push({
+          addressType: path.join('.').includes('registered') ? 'SEDE' : (path.join('.').includes('ul') ? 'UL' : 'OFFICE'),
+          ...node
+        });
+        paths.push(formatPath(path));
+      }
+    });
+    if (results.length) traced(trace, 'extractAddresses', 'walk-fallback', paths);
+  }
+
+  // normalizzazione campi principali
+  return results.map((a, i) => fromPath({
+    addressType: a.addressType || null,
+    street: a.street || a.streetName || a.indirizzo || null,
+    zipCode: a.zipCode || a.zip || a.cap || null,
+    town: a.town || a.city || a.comune || null,
+    province: a.province?.code || a.provincia || a.province || null,
+    region: a.region?.description || a.regione || a.region || null,
+    country: a.country?.code || a.country || a.stato || null,
+    ...a
+  }, paths[i]));
+}
+
+// suffisso L2Y = stesso valore riferito all'esercizio precedente (dato comparativo)
+export const COMPARATIVE_SUFFIX = 'L2Y';
+export const COMPARATIVE_CODE_RE = new RegExp(`^([A-Z]{2,4}\\d{2,4})${COMPARATIVE_SUFFIX}$`);
+
+// voce comparativa (anno - 1) derivata da una voce dell'anno corrente
+function comparativeEntry(entry, previous) {
+  return fromPath({
+    ...entry,
+    year: entry.year - 1,
+    amount: previous,
+    source_path: `${entry.source_path}.${COMPARATIVE_SUFFIX}`,
+    is_comparative: true
+  }, sourceOf(entry));
+}
+
+export function extractBalanceEntries(payload, defaultYear, forceYear = false, trace) {
+  const entries = [];
+  
+  // Anno di default: risolto a monte da resolveFiscalYear (payload o --year, che vince sempre)
+  const defaultCurrency = 'EUR';
+  
+  // I dati sono dentro payload.data, non direttamente in payload
+  const data = unwrap(payload);
+  
+  // Mapping allineato con la struttura degli schemi di bilancio
+  const sectionMappings = [
+    // Stato Patrimoniale - Attivo
+    { section: 'stato_patrimoniale_attivo', statement: 'SP_A', description: 'Stato Patrimoniale Attivo' },
+    
+    // Stato Patrimoniale - Passivo
+    { section: 'stato_patrimoniale_passivo', statement: 'SP_P', description: 'Stato Patrimoniale Passivo' },
+    
+    // Conto Economico
+    { section: 'conto_economico', statement: 'CE', description: 'Conto Economico' }
+  ];
+  
+  // Mapping di fallback per il formato euromar (mantenuto per compatibilità)
+  const euromarSectionMappings = [
+    // Stato Patrimoniale - Attivo
+    { section: 'assetsAggregateValues', statement: 'SP_A', description: 'Aggregati Attivo' },
+    { section: 'intangibleFixedAssets', statement: 'SP_A', description: 'Immobilizzazioni Immateriali' },
+    { section: 'tangibleFixedAssets', statement: 'SP_A', description: 'Immobilizzazioni Materiali' },
+    { section: 'cashEquivalents', statement: 'SP_A', description: 'Disponibilità Liquide' },
+    { section: 'credits', statement: 'SP_A', description: 'Crediti' },
+    { section: 'creditsToShareholders', statement: 'SP_A', description: 'Crediti verso Soci' },
+    { section: 'financialFixedAssets', statement: 'SP_A', description: 'Immobilizzazioni Finanziarie' },
+    { section: 'inventory', statement: 'SP_A', description: 'Rimanenze' },
+    { section: 'financialAssets', statement: 'SP_A', description: 'Attività Finanziarie' },
+    
+    // Stato Patrimoniale - Passivo
+    { section: 'liabilitiesAggregateValues', statement: 'SP_P', description: 'Aggregati Passivo' },
+    { section: 'netWorth', statement: 'SP_P', description: 'Patrimonio Netto' },
+    { section: 'riskProvisions', statement: 'SP_P', description: 'Fondi Rischi' },
+    { section: 'debts', statement: 'SP_P', description: 'Debiti' },
+    
+    // Conto Economico
+    { section: 'incomeStatementAggregateValues', statement: 'CE', description: 'Aggregati Conto Economico' },
+    { section: 'productionValue', statement: 'CE', description: 'Valore della Produzione' },
+    { section: 'productionCosts', statement: 'CE', description: 'Costi della Produzione' },
+    { section: 'financialIncomeAndCharges', statement: 'CE', description: 'Proventi e Oneri Finanziari' },
+    { section: 'extraordinaryIncomeAndCharges', statement: 'CE', description: 'Proventi e Oneri Straordinari' },
+    { section: 'revenuesFinancialCharges', statement: 'CE', description: 'Proventi e Oneri Finanziari' },
+    { section: 'adjustments', statement: 'CE', description: 'Rettifiche di Attività Finanziarie' },
+    { section: 'annualResult', statement: 'CE', description: 'Risultato d\'Esercizio' }
+  ];
+  
+  // Le descrizioni dei codici sono ora gestite dalla tabella legend_codes nel database
+  
+  // Processa prima le sezioni degli schemi di bilancio
+  for (const mapping of sectionMappings) {
+    const section = data?.[mapping.section];
+    if (Array.isArray(section)) {
+      section.forEach((item, i) => {
+        if (item.code && (item.value !== undefined || item.amount !== undefined)) {
+          const description = `${mapping.description} - ${item.code}`;
+          const entry = {
+            year: defaultYear,
+            statement: mapping.statement,
+            code: item.code,
+            description: description,
+            amount: item.value ?? item.amount,
+            currency: defaultCurrency,
+            source_path: mapping.section,
+            filing_year: defaultYear,
+            is_comparative: false
+          };
+          entries.push(fromPath(entry, `${mapping.section}[${i}]`));
+          const previous = item[`value${COMPARATIVE_SUFFIX}`] ?? item.previousValue;
+          if (typeof previous === 'number') entries.push(comparativeEntry(entry, previous));
+        }
+      });
+    }
+  }
+  if (entries.length) traced(trace, 'extractBalanceEntries', 'schemi-bilancio');
+  
+  // Se non abbiamo trovato dati, prova con il formato euromar
+  if (entries.length === 0) {
+    for (const mapping of euromarSectionMappings) {
+      const section = data?.[mapping.section];
+      if (Array.isArray(section)) {
+        section.forEach((item, i) => {
+          if (item.code && (item.value !== undefined || item.amount !== undefined)) {
+            const description = `${mapping.description} - ${item.code}`;
+            const entry = {
+              year: defaultYear,
+              statement: mapping.statement,
+              code: item.code,
+              description: description,
+              amount: item.value ?? item.amount,
+              currency: defaultCurrency,
+              source_path: mapping.section,
+              filing_year: defaultYear,
+              is_comparative: false
+            };
+            entries.push(fromPath(entry, `${mapping.section}[${i}]`));
+            const previous = item[`value${COMPARATIVE_SUFFIX}`] ?? item.previousValue;
+            if (typeof previous === 'number') entries.push(comparativeEntry(entry, previous));
+          }
+        });
+      }
+    }
+    if (entries.length) traced(trace, 'extractBalanceEntries', 'euromar-mapping');
+  }
+  
+  // Se non abbiamo trovato dati nelle sezioni note, usa il fallback
+  if (entries.length === 0) {
+    // ultra-fallback: scandisci tutto il JSON e cerca coppie codice/valore
+    walk(data, (node, path) => {
+      if (!node || typeof node !== 'object') return;
+      for (const [k,v] of Object.entries(node)) {
+        const comparative = k.match(COMPARATIVE_CODE_RE);
+        const code = comparative ? comparative[1] : k;
+        if (CODE_RE.test(code) && (typeof v === 'number' || typeof v === 'string')) {
+          const yearGuess = (''+path.join('.')).match(/20\d{2}/)?.[0]; // estrae un anno se presente nel path
+          const year = yearGuess && !forceYear ? Number(yearGuess) : defaultYear;
+          const description = `Voce di bilancio - ${code}`;
+          entries.push(fromPath({
+            year: comparative ? year - 1 : year,
+            // nessun gruppo nel payload: statement provvisorio, la pipeline lo corregge con la legenda
+            statement: heuristicStatement(code),
+            statement_source: 'heuristic',
+            code,
+            description: description,
+            amount: typeof v === 'number' ? v : Number(v),
+            currency: defaultCurrency,
+            source_path: path.concat([k]).join('.'),
+            filing_year: year,
+            is_comparative: !!comparative
+          }, formatPath(path.concat([k]))));
+        }
+      }
+    });
+    if (entries.length) traced(trace, 'extractBalanceEntries', 'code-re-ultra-fallback');
+  }
+  
+  return entries.filter(e => e.year && e.code);
+}
+
+export function extractAteco(payload) {
+  const ateco = unwrap(payload)?.atecoClassification;
+  if (!ateco) return [];
+  
+  const entries = [];
+  
+  // ATECO principale
+  if (ateco.ateco) {
+    entries.push(fromPath({
+      ateco_code: ateco.ateco.code,
+      ateco_description: ateco.ateco.description,
+      type: 'primary'
+    }, 'atecoClassification.ateco'));
+  }
+  
+  // ATECO secondario
+  if (ateco.secondaryAteco) {
+    entries.push(fromPath({
+      ateco_code: ateco.secondaryAteco,
+      ateco_description: null,
+      type: 'secondary'
+    }, 'atecoClassification.secondaryAteco'));
+  }
+  
+  // ATECO 2022
+  if (ateco.ateco2022) {
+    entries.push(fromPath({
+      ateco_code: ateco.ateco2022.code,
+      ateco_description: ateco.ateco2022.description,
+      type: 'ateco2022'
+    }, 'atecoClassification.ateco2022'));
+  }
+  
+  // ATECO 2022 secondario
+  if (ateco.secondaryAteco2022) {
+    entries.push(fromPath({
+      ateco_code: ateco.secondaryAteco2022,
+      ateco_description: null,
+      type: 'secondary2022'
+    }, 'atecoClassification.secondaryAteco2022'));
+  }
+  
+  return entries;
+}
+
+export function extractManagers(payload) {
+  const data = unwrap(payload);
+  if (!Array.isArray(data?.managers)) return [];
+  return data.managers.map((m, i) => fromPath({
+    taxCode: m.taxCode ? String(m.taxCode).trim().toUpperCase() : null,
+    name: m.name || null,
+    surname: m.surname || null,
+    gender: m?.gender?.code || m.gender || null,
+    birthDate: toDateOnly(m.birthDate),
+    birthTown: m.birthTown || null,
+    isLegalRepresentative: m.isLegalRepresentative === true,
+    roles: (Array.isArray(m.roles) ? m.roles : [])
+      .filter(r => r?.role?.code || r?.role?.description)
+      .map(r => ({
+        code: r.role.code || r.role.description,
+        description: r.role.description || null,
+        startDate: toDateOnly(r.roleStartDate),
+        raw: r
+      })),
+    raw: m
+  }, `managers[${i}]`));
+}
+
+// partecipazioni: shareholders (soci) + affiliateCompanies (partecipate)
+export function extractOwnership(payload) {
+  const data = unwrap(payload);
+  const details = data.companyDetails || {};
+  const selfTax = String(details.taxCode || details.vatCode || data.taxCode || data.vatCode || '').trim().toUpperCase() || null;
+  const selfName = details.companyName || data.companyName || null;
+  const edges = [];
+
+  (Array.isArray(data.shareholders) ? data.shareholders : []).forEach((s, i) => {
+    const nested = Array.isArray(s.shareholdersInformation);
+    (nested ? s.shareholdersInformation : [s]).forEach((h, j) => {
+      const tax = h.taxCode ? String(h.taxCode).trim().toUpperCase() : null;
+      edges.push(fromPath({
+        relation: 'SHAREHOLDER',
+        ownerTaxCode: tax,
+        ownerName: h.companyName || [h.name, h.surname].filter(Boolean).join(' ') || null,
+        ownerType: h.companyName ? 'COMPANY' : partyType(tax),
+        ownedTaxCode: selfTax,
+        ownedName: selfName,
+        ownedIsSelf: true,
+        percentShare: typeof s.percentShare === 'number' ? s.percentShare : null,
+        raw: s
+      }, nested ? `shareholders[${i}].shareholdersInformation[${j}]` : `shareholders[${i}]`));
+    });
+  });
+
+  (Array.isArray(data.affiliateCompanies) ? data.affiliateCompanies : []).forEach((a, i) => {
+    edges.push(fromPath({
+      relation: 'AFFILIATE',
+      ownerTaxCode: selfTax,
+      ownerName: selfName,
+      ownerType: 'COMPANY',
+      ownerIsSelf: true,
+      ownedTaxCode: a.taxCode ? String(a.taxCode).trim().toUpperCase() : null,
+      ownedName: a.companyName || null,
+      percentShare: typeof a.percentShare === 'number' ? a.percentShare : null,
+      raw: a
+    }, `affiliateCompanies[${i}]`));
+  });
+
+  return edges.filter(e => e.ownerTaxCode || e.ownedTaxCode);
+}
+
+// blocchi KPI del payload: ogni chiave numerica diventa una serie (nuovi nomi accettati senza modifiche)
+export const KPI_BLOCKS = [
+  'ecofin', 'employees', 'profitability', 'liquidityRatios', 'leverageRatios', 'coverageRatios',
+  'efficiency', 'financialCycle', 'financialBurden', 'indebtedness', 'financialStability',
+  'structureRatios', 'development', 'operatingResults', 'financialStatementKpi'
+];
+
+export function extractKpis(payload, fiscal_year) {
+  const data = unwrap(payload);
+
+  const kpis = [];
+  for (const block of KPI_BLOCKS) {
+    const obj = data?.[block];
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) continue;
+    for (const [rawKey, value] of Object.entries(obj)) {
+      if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+      const key = rawKey.trim(); // es. "secondaryMarginStructure " arriva con spazio finale
+      // ebitdaL2Y -> operatingResults.ebitda dell'esercizio precedente
+      const comparative = key.endsWith(COMPARATIVE_SUFFIX);
+      kpis.push({
+        fiscal_year: comparative ? fiscal_year - 1 : fiscal_year,
+        block,
+        kpi_name: `${block}.${comparative ? key.slice(0, -COMPARATIVE_SUFFIX.length) : key}`,
+        value,
+        source_path: `${block}.${rawKey}`,
+        filing_year: fiscal_year,
+        is_comparative: comparative
+      });
+    }
+  }
+  return kpis;
+}
+
+/* ------------------------------ CAMPI NON MAPPATI ------------------------------ */
+
+// percorsi letti dagli estrattori qui sopra (`[]` = ogni elemento, un prefisso copre tutto il sotto-albero).
+// Le sezioni di bilancio e i KPI si aggiungono a runtime dai source_path delle righe estratte.
+export const CONSUMED_PATHS = [
+  // extractCompany / computeAziendaId / resolveFiscalYear / effective date
+  'companyDetails.vatCode', 'companyDetails.taxCode', 'companyDetails.companyName', 'companyDetails.legalForm',
+  'companyDetails.cciaa', 'companyDetails.reaCode', 'companyDetails.lastUpdateDate',
+  'vatCode', 'taxCode', 'companyName', 'reaCode', 'lastUpdateDate', 'updateDate',
+  'legalForm.description', 'companyStatus.description', 'chamberOfCommerce.code',
+  'legalForm.detailedLegalForm.description', 'legalForm.legalForm.description', 'companyStatus.activityStatus.description',
+  'balance.year', 'fiscalYear', 'year', 'ecofin.balanceSheetDate', 'ecofin.turnoverYear',
+  // extractAddresses
+  'address', 'allOffices',
+  // extractAteco
+  'atecoClassification.ateco', 'atecoClassification.secondaryAteco',
+  'atecoClassification.ateco2022', 'atecoClassification.secondaryAteco2022',
+  // extractManagers
+  'managers[].taxCode', 'managers[].name', 'managers[].surname', 'managers[].gender', 'managers[].birthDate',
+  'managers[].birthTown', 'managers[].isLegalRepresentative', 'managers[].roles[].role', 'managers[].roles[].roleStartDate',
+  // extractOwnership
+  'shareholders', 'affiliateCompanies[].taxCode', 'affiliateCompanies[].companyName', 'affiliateCompanies[].percentShare'
+];
+
+// extractContacts riconosce i campi dal nome della chiave, non dal percorso
+const CONTACT_KEY_RE = /pec|mail|tel|phone|web|sito/i;
+
+export function normalizeJsonPath(path) {
+  return String(path).replace(/\.(\d+)(?=\.|$)/g, '[]').replace(/^(\d+)(?=\.|$)/, '[]');
+}
+
+function isConsumed(path, consumed) {
+  if (CONTACT_KEY_RE.test(path.slice(path.lastIndexOf('.') + 1))) return true;
+  return consumed.some(p => path === p || path.startsWith(`${p}.`) || path.startsWith(`${p}[`));
+}
+
+/**
+ * Foglie del payload che nessun estrattore ha letto: una riga per percorso normalizzato
+ * ({ section, json_path, value, observed_types }) con il conteggio dei tipi di tutti i valori visti.
+ */
+export function extractUnknownFields(payload, extraConsumed = []) {
+  const consumed = CONSUMED_PATHS.concat(extraConsumed.filter(Boolean).map(normalizeJsonPath));
+  const fields = new Map();
+
+  const visit = (node, path) => {
+    if (Array.isArray(node)) return node.forEach(v => visit(v, `${path}[]`));
+    if (node && typeof node === 'object') {
+      for (const [k, v] of Object.entries(node)) visit(v, path ? `${path}.${k}` : k);
+      return;
+    }
+    if (!path || isConsumed(path, consumed)) return;
+    let field = fields.get(path);
+    if (!field) {
+      field = { section: path.split(/[.[]/)[0], json_path: path, value: null, observed_types: {} };
+      fields.set(path, field);
+    }
+    const kind = valueKind(node);
+    field.observed_types[kind] = (field.observed_types[kind] || 0) + 1;
+    if (field.value === null && node !== null) field.value = node;
+  };
+
+  visit(unwrap(payload), '');
+  return [...fields.values()];
+}
+
+// colonne promosse (schema_promotions) sulla tabella companies: valore letto dal percorso JSON
+export function extractPromotedFields(payload, promotions) {
+  const data = unwrap(payload);
+  const fields = {};
+  for (const { json_path, target_table, column_name } of promotions) {
+    if (target_table !== 'companies') continue;
+    const value = json_path.split('.').reduce((node, key) => node?.[key], data);
+    fields[column_name] = value === undefined || (value !== null && typeof value === 'object') ? null : value;
+  }
+  return fields;
+}
@@ -0,0 +1,283 @@
+import fs from 'fs';
+
+/**
+ * Struttura civilistica del bilancio (art. 2424/2425 c.c.) costruita dalla legenda del provider.
+ * La gerarchia si ricava dalla numerazione nella descrizione ("A.", "A.VI.", "B.9.a)", "D.11.bis"):
+ * la voce "Totale" di un numero e' il padre delle righe con lo stesso numero, le altre salgono
+ * al numero superiore. Le righe senza numerazione (totali calcolati, riserve di dettaglio) sono in STRUCTURE.
+ *
+ * sign: +1 la voce si somma al padre, -1 si sottrae, 0 e' un "di cui"/aggregato alternativo
+ * che non entra nel subtotale.
+ */
+
+export const LEGEND_FILE = new URL('../schemi_bilancio_conto_completo.json', import.meta.url);
+
+// la legenda del provider non contiene l'attivo dello stato patrimoniale (IIC001-IIC074 e i codici
+// aggiunti dopo): lo completiamo con questo file, che dichiara padre e segno di ogni voce
+export const ASSET_LEGEND_FILE = new URL('../schemi_bilancio_attivo.json', import.meta.url);
+
+// sezione dello schemi -> statement di legend_codes / balance_entries
+const SECTIONS = {
+  stato_patrimoniale_attivo: 'SP_A',
+  stato_patrimoniale_passivo: 'SP_P',
+  conto_economico: 'CE'
+};
+
+// dettaglio di A.VI "Totale altre riserve" (IIC081), senza numerazione nella legenda
+export const ALTRE_RISERVE = ['IIC203', 'IIC204', 'IIC205', 'IIC206', 'IIC207', 'IIC208', 'IIC209', 'IIC210',
+  'IIC211', 'IIC212', 'IIC213', 'IIC345', 'IIC214', 'IIC216'];
+
+// code -> [parent_code, sign] per le righe che la numerazione non colloca (o colloca male)
+const STRUCTURE = {
+  // Passivo: TOTALE PASSIVO = A + B + C + D + E
+  IIC084: ['IIC121', 1], IIC088: ['IIC121', 1], IIC089: ['IIC121', 1], IIC118: ['IIC121', 1], IIC119: ['IIC121', 1],
+  // schema ante 2016 (**): la riserva azioni proprie era una voce di A, non un'altra riserva
+  IIC079: ['IIC084', 1],
+  ...Object.fromEntries(ALTRE_RISERVE.map(code => [code, ['IIC081', 1]])),
+  IIC116: ['IIC118', 0], IIC117: ['IIC118', 0],
+  IIC120: ['IIC119', 0],
+  IIC123: ['IIC122', 0],
+  // Conto economico: 21 = (A - B) + C + D + E - 20
+  IIC130: ['IIC224', 1], IIC149: ['IIC224', -1],
+  IIC224: ['IIC177', 1], IIC161: ['IIC177', 1], IIC170: ['IIC177', 1], IIC176: ['IIC177', 1],
+  IIC177: ['IIC179', 1], IIC178: ['IIC179', -1],
+  IIC159: ['IIC161', -1], IIC169: ['IIC170', -1], IIC173: ['IIC176', -1],
+  IIC129: ['IIC128', 1], IIC223: ['IIC128', 1],
+  IIC350: ['IIC165', 1], IICC351: ['IIC169', 1]
+};
+
+const TOTAL_RE = /\btotale\b/i;
+const DI_CUI_RE = /^di cui\b/i;
+
+/**
+ * Numerazione civilistica in testa alla descrizione, normalizzata:
+ * "B.9.a) Salari" -> { key: 'B.9.a' }, "D.11.bis ..." -> 'D.11bis', "a) Imposte correnti" -> { letter: 'a' },
+ * "B.9.c.d.e ..." / "A.2+A.3 ..." -> { key, aggregate: true } (somma alternativa di voci sorelle).
+ */
+export function parseOutline(description) {
+  const token = String(description || '').trim().split(/\s+/)[0].replace(/[.)]+$/, '').replace('.bis', 'bis');
+  if (/^[a-e]$/.test(token)) return { letter: token };
+  if (/^\d+$/.test(token)) return { key: token };
+  if (/^[A-E](\.[IVX]+|\.\d+(bis)?)?(\.[a-e])*(\+[A-E](\.\d+)?)?$/.test(token)) {
+    if (token.includes('+')) {
+      const first = token.split('+')[0];
+      return { key: token, parentKey: first.split('.').slice(0, -1).join('.'), aggregate: true };
+    }
+    const segments = token.split('.');
+    const letters = segments.filter(s => /^[a-e]$/.test(s)).length;
+    if (letters > 1) {
+      return { key: token, parentKey: segments.slice(0, segments.length - letters).join('.'), aggregate: true };
+    }
+    return { key: token };
+  }
+  return null;
+}
+
+/**
+ * Righe legend_codes con gerarchia: { code, description, statement, parent_code, sign, sort_order, outline }.
+ * `schemi` e' il contenuto di schemi_bilancio_conto_completo.json. Stato patrimoniale attivo e passivo
+ * condividono la numerazione (il file del provider mette voci del passivo nella sezione attivo):
+ * lo statement di ogni voce e' quello della sua radice.
+ * `assets` e' il contenuto di schemi_bilancio_attivo.json (voci con parent_code e sign espliciti):
+ * le sue voci vengono prima, salvo i codici che il provider ha gia' nella sua legenda.
+ */
+export function buildLegendHierarchy(schemi, assets = null) {
+  const groups = [
+    ['stato_patrimoniale_attivo', 'stato_patrimoniale_passivo'],
+    ['conto_economico']
+  ];
+  const rows = [];
+
+  const provided = new Set(Object.keys(SECTIONS).flatMap(section => (schemi[section] || []).map(item => item.code)));
+  for (const item of assets?.stato_patrimoniale_attivo || []) {
+    if (provided.has(item.code)) continue;
+    rows.push({
+      code: item.code,
+      description: item.description,
+      statement: 'SP_A',
+      parent_code: item.parent_code ?? null,
+      sign: item.sign ?? 1,
+      sort_order: rows.length + 1,
+      outline: parseOutline(item.description)?.key ?? null
+    });
+  }
+
+  for (const sections of groups) {
+    const items = sections.flatMap(section => (schemi[section] || []).map(item => ({
+      code: item.code,
+      description: item.description,
+      statement: SECTIONS[section]
+    })));
+
+    // prima passata: numerazione e "proprietario" di ogni numero (la voce Totale, o l'unica voce)
+    let lastNumeric = null;
+    for (const item of items) {
+      const outline = parseOutline(item.description);
+      if (outline?.letter) {
+        item.outline = lastNumeric ? { key: `${lastNumeric}.${outline.letter}` } : null;
+      } else {
+        item.outline = outline;
+        if (outline && /^\d+$/.test(outline.key)) lastNumeric = outline.key;
+      }
+    }
+    const byKey = new Map();
+    for (const item of items) {
+      if (!item.outline || item.outline.aggregate) continue;
+      if (!byKey.has(item.outline.key)) byKey.set(item.outline.key, []);
+      byKey.get(item.outline.key).push(item);
+    }
+    const owners = new Map();
+    for (const [key, same] of byKey) {
+      const owner = same.length === 1 ? same[0] : same.find(i => TOTAL_RE.test(i.description));
+      if (owner) owners.set(key, owner);
+    }
+    const ownerAbove = key => {
+      const segments = key.split('.');
+      for (let i = segments.length - 1; i > 0; i--) {
+        const owner = owners.get(segments.slice(0, i).join('.'));
+        if (owner) return owner.code;
+      }
+      return null;
+    };
+
+    // seconda passata: padre e segno
+    let previous = null;
+    for (const item of items) {
+      let parent = null;
+      let sign = 1;
+      if (STRUCTURE[item.code]) {
+        [parent, sign] = STRUCTURE[item.code];
+      } else if (DI_CUI_RE.test(item.description)) {
+        [parent, sign] = [previous?.code ?? null, 0];
+      } else if (item.outline?.aggregate) {
+        [parent, sign] = [owners.get(item.outline.parentKey)?.code ?? null, 0];
+      } else if (item.outline) {
+        const owner = owners.get(item.outline.key);
+        parent = owner && owner !== item ? owner.code : ownerAbove(item.outline.key);
+      }
+      if (!DI_CUI_RE.test(item.description)) previous = item;
+
+      rows.push({
+        code: item.code,
+        description: item.description,
+        statement: item.statement,
+        parent_code: parent,
+        sign,
+        sort_order: rows.length + 1,
+        outline: item.outline?.key ?? null
+      });
+    }
+  }
+
+  const codes = new Set(rows.map(r => r.code));
+  const orphans = rows.filter(r => r.parent_code && !codes.has(r.parent_code));
+  if (orphans.length) {
+    throw new Error(`Gerarchia legenda: padri inesistenti per ${orphans.map(r => `${r.code}->${r.parent_code}`).join(', ')}`);
+  }
+
+  // statement dalla radice civilistica, non dalla sezione del file: le voci del passivo
+  // elencate sotto stato_patrimoniale_attivo (riserve, debiti D.1-D.14) salgono a IIC121
+  const byCode = new Map(rows.map(r => [r.code, r]));
+  const rootOf = row => (row.parent_code ? rootOf(byCode.get(row.parent_code)) : row);
+  return rows.map(row => ({ ...row, statement: rootOf(row).statement }));
+}
+
+export function loadLegendHierarchy(file = LEGEND_FILE, assetsFile = ASSET_LEGEND_FILE) {
+  const read = path => JSON.parse(fs.readFileSync(path, 'utf8'));
+  return buildLegendHierarchy(read(file), assetsFile ? read(assetsFile) : null);
+}
+
+const PLACEMENT = ['statement', 'parent_code', 'sign'];
+
+/**
+ * Differenze tra due release della legenda (righe { code, description, statement, parent_code, sign }):
+ * { added, removed } codici, renamed [{ code, from, to }] descrizioni cambiate,
+ * moved [{ code, from, to }] statement/padre/segno cambiati, unchanged conteggio.
+ */
+export function diffLegend(previous, next) {
+  const before = new Map(previous.map(row => [row.code, row]));
+  const after = new Map(next.map(row => [row.code, row]));
+  const placement = row => Object.fromEntries(PLACEMENT.map(key => [key, row[key] ?? null]));
+  const diff = { added: [], removed: [], renamed: [], moved: [], unchanged: 0 };
+
+  for (const [code, row] of after) {
+    const old = before.get(code);
+    if (!old) {
+      diff.added.push(code);
+      continue;
+    }
+    const renamed = old.description !== row.description;
+    const moved = PLACEMENT.some(key => (old[key] ?? null) !== (row[key] ?? null));
+    if (renamed) diff.renamed.push({ code, from: old.description, to: row.description });
+    if (moved) diff.moved.push({ code, from: placement(old), to: placement(row) });
+    if (!renamed && !moved) diff.unchanged++;
+  }
+  diff.removed = [...before.keys()].filter(code => !after.has(code));
+  return diff;
+}
+
+/**
+ * Albero del bilancio di un esercizio. `legend` sono righe legend_codes con gerarchia,
+ * `entries` righe balance_entries ({ code, statement, description, amount }).
+ * Ogni nodo: { code, description, outline, sign, amount (dichiarato), subtotal (somma dei figli
+ * con segno), value (amount, o subtotal se la voce non e' dichiarata), children }.
+ * Le radici finiscono sotto lo statement della voce radice; i codici fuori legenda in `unclassified`.
+ * Le righe con `alias_of` (triage dei codici non mappati) non sono nodi: i loro importi vanno sulla
+ * voce canonica, se questa non e' dichiarata a sua volta.
+ * Con `prune` (default) restano solo i rami con almeno un valore.
+ */
+export function buildBalanceTree(legend, entries, { prune = true } = {}) {
+  const aliases = new Map(legend.filter(row => row.alias_of).map(row => [row.code, row.alias_of]));
+  legend = legend.filter(row => !row.alias_of);
+  const nodes = new Map(legend.map(row => [row.code, {
+    code: row.code,
+    description: row.description,
+    outline: row.outline ?? null,
+    sign: row.sign ?? 1,
+    amount: null,
+    subtotal: null,
+    value: null,
+    children: []
+  }]));
+  const unclassified = { SP_A: [], SP_P: [], CE: [] };
+  const declared = new Set(entries.map(entry => entry.code));
+  for (const entry of entries) {
+    const amount = entry.amount === null || entry.amount === undefined ? null : Number(entry.amount);
+    const target = aliases.get(entry.code);
+    const node = nodes.get(target ?? entry.code);
+    if (node && target && declared.has(target)) continue;
+    if (node) node.amount = amount;
+    else (unclassified[entry.statement] ??= []).push({ code: entry.code, description: entry.description, amount });
+  }
+
+  const statements = { SP_A: [], SP_P: [], CE: [] };
+  // le voci aggiunte dal triage non hanno sort_order: in coda ai fratelli
+  const order = row => row.sort_order ?? Number.MAX_SAFE_INTEGER;
+  const ordered = [...legend].sort((a, b) => order(a) - order(b));
+  for (const row of ordered) {
+    const node = nodes.get(row.code);
+    const parent = row.parent_code && nodes.get(row.parent_code);
+    if (parent) parent.children.push(node);
+    else (statements[row.statement] ??= []).push(node);
+  }
+
+  const compute = node => {
+    let subtotal = null;
+    for (const child of node.children) {
+      const value = compute(child);
+      if (child.sign !== 0 && value !== null) subtotal = (subtotal ?? 0) + child.sign * value;
+    }
+    node.subtotal = subtotal === null ? null : Math.round(subtotal * 100) / 100;
+    node.value = node.amount ?? node.subtotal;
+    return node.value;
+  };
+  const keep = node => {
+    node.children = node.children.filter(keep);
+    return node.value !== null || node.children.length > 0;
+  };
+  for (const [statement, roots] of Object.entries(statements)) {
+    roots.forEach(compute);
+    if (prune) statements[statement] = roots.filter(keep);
+  }
+  return { statements, unclassified };
+}
@@ -0,0 +1,199 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Migrazioni versionate: migrations/NNNN_nome.sql con una sezione `-- migrate:up` e una `-- migrate:down`.
+ * Ogni migrazione gira nella sua transazione con search_path sullo schema di destinazione;
+ * schema_migrations registra versione, checksum del file e autore. Un file gia' applicato e poi
+ * modificato blocca `up` finche' non viene ripristinato (le correzioni vanno in una nuova migrazione).
+ */
+
+export const MIGRATIONS_DIR = fileURLToPath(new URL('../migrations/', import.meta.url));
+
+const FILE_RE = /^(\d{4})_([a-z0-9_]+)\.sql$/;
+const SECTION_RE = /^--\s*migrate:(up|down)\s*$/m;
+
+// almeno una riga che non sia commento: il modello di `migrate.js new` contiene solo commenti
+const hasSql = sql => sql.split('\n').some(line => line.trim() && !line.trim().startsWith('--'));
+
+/**
+ * Sezioni di un file di migrazione. Una sezione down di soli commenti vale come assente (migrazione
+ * irreversibile); placeholder segnala una sezione up ancora da scrivere, che `up` rifiuta di applicare.
+ */
+export function parseMigration(text) {
+  const parts = text.split(SECTION_RE);
+  const sections = {};
+  for (let i = 1; i < parts.length; i += 2) sections[parts[i]] = parts[i + 1].trim();
+  if (!sections.up) throw new Error('sezione "-- migrate:up" mancante o vuota');
+  return {
+    up: sections.up,
+    down: sections.down && hasSql(sections.down) ? sections.down : null,
+    placeholder: !hasSql(sections.up)
+  };
+}
+
+function assertWritten(m) {
+  if (m.placeholder) throw new Error(`${m.file}: la sezione "-- migrate:up" contiene solo commenti (modello da completare)`);
+}
+
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = (await fs.readdir(dir)).filter(f => FILE_RE.test(f)).sort();
+  const migrations = [];
+  for (const file of files) {
+    const [, version, name] = file.match(FILE_RE);
+    if (migrations.some(m => m.version === version)) throw new Error(`Versione duplicata ${version}: ${file}`);
+    const text = await fs.readFile(path.join(dir, file), 'utf8');
+    try {
+      migrations.push({ version, name, file, checksum: crypto.createHash('sha256').update(text).digest('hex'), ...parseMigration(text) });
+    } catch (err) {
+      throw new Error(`${file}: ${err.message}`);
+    }
+  }
+  return migrations;
+}
+
+/** Scrive migrations/NNNN_nome.sql con la prima versione libera; ritorna { version, file }. */
+export async function writeMigration(name, { up, down, comment }, dir = MIGRATIONS_DIR) {
+  const existing = await loadMigrations(dir);
+  const version = String(Number(existing.at(-1)?.version || 0) + 1).padStart(4, '0');
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  const file = `${version}_${slug}.sql`;
+  const header = comment ? `${comment.split('\n').map(l => `-- ${l}`).join('\n')}\n\n` : '';
+  await fs.writeFile(path.join(dir, file), `${header}-- migrate:up\n${up.trim()}\n\n-- migrate:down\n${(down || '').trim()}\n`, { flag: 'wx' });
+  return { version, file: path.join(dir, file) };
+}
+
+/** `client` e' un pg Client gia' connesso; le tabelle delle migrazioni vivono in `schema`. */
+export function createMigrator(client, { schema, dir = MIGRATIONS_DIR, appliedBy = process.env.USER || os.userInfo().username }) {
+  const fq = table => `${schema}.${table}`;
+
+  async function ensureTable() {
+    await client.query(`create schema if not exists ${schema}`);
+    await client.query(`
+      create table if not exists ${fq('schema_migrations')} (
+        version text primary key,
+        name text not null,
+        checksum text not null,
+        applied_at timestamptz default now(),
+        applied_by text,
+        execution_ms integer
+      )
+    `);
+  }
+
+  async function applied() {
+    const res = await client.query(`select * from ${fq('schema_migrations')} order by version`);
+    return new Map(res.rows.map(r => [r.version, r]));
+  }
+
+  // stato per versione: applied | pending | modified (checksum diverso) | missing (file rimosso)
+  async function status() {
+    await ensureTable();
+    const [files, done] = [await loadMigrations(dir), await applied()];
+    const rows = files.map(m => {
+      const row = done.get(m.version);
+      const state = !row ? 'pending' : row.checksum === m.checksum ? 'applied' : 'modified';
+      return { version: m.version, name: m.name, state, applied_at: row?.applied_at ?? null, applied_by: row?.applied_by ?? null };
+    });
+    for (const row of done.values()) {
+      if (!files.some(m => m.version === row.version)) rows.push({ ...row, state: 'missing' });
+    }
+    return rows.sort((a, b) => a.version.localeCompare(b.version));
+  }
+
+  // esegue fn in una transazione con search_path sullo schema; in caso di errore rollback e rilancio
+  async function inTransaction(fn) {
+    await client.query('begin');
+    try {
+      await client.query(`set local search_path to ${schema}, public`);
+      const result = await fn();
+      await client.query('commit');
+      return result;
+    } catch (err) {
+      await client.query('rollback').catch(() => {});
+      throw err;
+    }
+  }
+
+  async function run(m, direction) {
+    const started = Date.now();
+    try {
+      await client.query(m[direction]);
+    } catch (err) {
+      err.message = `${m.file} (${direction}): ${err.message}`;
+      throw err;
+    }
+    if (direction === 'up') {
+      await client.query(`
+        insert into ${fq('schema_migrations')} (version, name, checksum, applied_by, execution_ms)
+        values ($1, $2, $3, $4, $5)
+      `, [m.version, m.name, m.checksum, appliedBy, Date.now() - started]);
+    } else {
+      await client.query(`delete from ${fq('schema_migrations')} where version = $1`, [m.version]);
+    }
+  }
+
+  async function checkIntegrity(files, done) {
+    const modified = files.filter(m => done.has(m.version) && done.get(m.version).checksum !== m.checksum);
+    if (modified.length) {
+      throw new Error(`Migrazioni gia' applicate ma modificate: ${modified.map(m => m.file).join(', ')}`);
+    }
+  }
+
+  /** Applica le migrazioni pendenti (fino a `to` inclusa); ritorna quelle applicate. */
+  async function up({ to } = {}) {
+    await ensureTable();
+    const [files, done] = [await loadMigrations(dir), await applied()];
+    await checkIntegrity(files, done);
+    const pending = files.filter(m => !done.has(m.version) && (!to || m.version <= to));
+    pending.forEach(assertWritten);
+    for (const m of pending) await inTransaction(() => run(m, 'up'));
+    return pending;
+  }
+
+  /** Annulla le ultime `steps` migrazioni applicate, dalla piu' recente. */
+  async function down({ steps = 1 } = {}) {
+    await ensureTable();
+    const [files, done] = [await loadMigrations(dir), await applied()];
+    await checkIntegrity(files, done);
+    const targets = [...done.keys()].sort().reverse().slice(0, steps).map(version => {
+      const m = files.find(f => f.version === version);
+      if (!m) throw new Error(`File della migrazione ${version} non trovato`);
+      if (!m.down) throw new Error(`${m.file}: nessun SQL nella sezione "-- migrate:down", migrazione irreversibile`);
+      return m;
+    });
+    for (const m of targets) await inTransaction(() => run(m, 'down'));
+    return targets;
+  }
+
+  /** Segna come applicate (senza eseguirle) le migrazioni fino a `to`: DB creati prima delle migrazioni. */
+  async function baseline(to) {
+    await ensureTable();
+    const [files, done] = [await loadMigrations(dir), await applied()];
+    const marked = files.filter(m => !done.has(m.version) && m.version <= to);
+    for (const m of marked) {
+      await client.query(`
+        insert into ${fq('schema_migrations')} (version, name, checksum, applied_by, execution_ms)
+        values ($1, $2, $3, $4, null)
+      `, [m.version, m.name, m.checksum, `${appliedBy} (baseline)`]);
+    }
+    return marked;
+  }
+
+  /** Esegue una migrazione appena scritta e `fn` nella stessa transazione (promozione di colonne). */
+  async function applyWith(version, fn) {
+    await ensureTable();
+    const m = (await loadMigrations(dir)).find(f => f.version === version);
+    if (!m) throw new Error(`Migrazione ${version} non trovata`);
+    assertWritten(m);
+    return inTransaction(async () => {
+      await run(m, 'up');
+      return fn();
+    });
+  }
+
+  return { status, up, down, baseline, applyWith };
+}
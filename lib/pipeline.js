@@ -0,0 +1,631 @@
+import { v5 as uuidv5, v4 as uuidv4 } from 'uuid';
+import hash from 'object-hash';
+import {
+  NS, unwrap, computeManagerId, effectiveDateForSection, resolveFiscalYear, toDateOnly, isNewer
+} from './util.js';
+import {
+  extractCompany, extractContacts, extractAddresses, extractAteco, extractBalanceEntries,
+  extractManagers, extractOwnership, extractKpis, extractUnknownFields, extractPromotedFields, sourceOf
+} from './extractors.js';
+import { runBalanceChecks, amountsByYear } from './balance-checks.js';
+import { computeRatios, ratioCatalogue } from './ratios.js';
+import { validatePayload, invalidPayloadError } from './validation.js';
+import { classifyStatement } from './statements.js';
+
+/**
+ * Pipeline di ingestion unica: estrattori condivisi -> storage (Postgres o Supabase).
+ * Il backend non contiene logica di business, solo letture/scritture di righe.
+ */
+
+function count(bucket, key, n = 1) {
+  bucket[key] = (bucket[key] || 0) + n;
+}
+
+// un dato comparativo non sovrascrive mai quello di un bilancio "ufficiale" ne' uno da un deposito piu' recente
+export function canOverwrite(existing, incoming) {
+  if (!existing) return true;
+  if (incoming.is_comparative && !existing.is_comparative) return false;
+  return (existing.filing_year ?? 0) <= incoming.filing_year;
+}
+
+/* ------------------------ SEZIONI NORMALIZZATE ------------------------ */
+
+// percorso JSON da cui l'estrattore ha letto la riga, se noto
+const pathOf = (row, fallback) => (typeof sourceOf(row) === 'string' ? sourceOf(row) : fallback);
+
+// errore su una singola riga: lo annotiamo con percorso e frammento JSON per ingestion_errors
+// (lo storage dry-run riceve lo stesso percorso con annotate() per --explain)
+async function atRow(tx, jsonPath, snippet, fn) {
+  tx.annotate?.(sourceOf(snippet) ?? jsonPath);
+  try {
+    return await fn();
+  } catch (err) {
+    err.jsonPath ??= jsonPath;
+    err.snippet ??= snippet;
+    throw err;
+  }
+}
+
+// righe gia' presenti con lo stesso contenuto e data non successiva -> non si reinseriscono (tabelle append-only)
+async function filterKnownRows(tx, table, azienda_id, rows, report) {
+  const known = new Map();
+  for (const r of await tx.getSectionRows(table, azienda_id)) {
+    const h = hash(r.raw_json);
+    if (!known.has(h) || isNewer(known.get(h), r.effective_date)) known.set(h, r.effective_date);
+  }
+  const fresh = rows.filter(r => {
+    const seenAt = known.get(hash(r.raw_json));
+    return !seenAt || isNewer(seenAt, r.effective_date);
+  });
+  if (fresh.length < rows.length) count(report.skips, `${table}_unchanged`, rows.length - fresh.length);
+  return fresh;
+}
+
+// colonne di contacts e addresses dall'output degli estrattori (usate anche dalla vista as-of, lib/queries/company.js)
+export function contactsColumns(contacts) {
+  return { phone: contacts.phone, email: contacts.email, pec: contacts.pec, website: contacts.website };
+}
+
+export function addressColumns(addr) {
+  return {
+    address_type: addr.addressType || null,
+    street: addr.street || addr.streetName || null,
+    zip_code: addr.zipCode || null,
+    town: addr.town || null,
+    province: addr.province?.code || addr.province || null,
+    region: addr.region?.description || addr.region || null,
+    country: addr.country?.code || addr.country || null
+  };
+}
+
+async function writeContacts(tx, azienda_id, contacts, effective_date, report) {
+  const [fresh] = await filterKnownRows(tx, 'contacts', azienda_id, [{ effective_date, raw_json: contacts }], report);
+  if (!fresh) return 0;
+  await atRow(tx, 'contacts', contacts, () => tx.insertContacts({
+    azienda_id, effective_date, ...contactsColumns(contacts), raw_json: contacts
+  }));
+  return 1;
+}
+
+async function writeAddresses(tx, azienda_id, list, globalFallback, report) {
+  const rows = list.map(addr => ({ effective_date: effectiveDateForSection('addresses', addr, globalFallback), raw_json: addr }));
+  const fresh = await filterKnownRows(tx, 'addresses', azienda_id, rows, report);
+  for (const [i, { effective_date, raw_json: addr }] of fresh.entries()) {
+    await atRow(tx, pathOf(addr, `addresses[${i}]`), addr, () => tx.insertAddress({
+      azienda_id, effective_date, ...addressColumns(addr), raw_json: addr
+    }));
+  }
+  return fresh.length;
+}
+
+async function writeAteco(tx, azienda_id, entries, effective_date, report) {
+  const rows = entries.map(entry => ({ effective_date, raw_json: entry }));
+  const fresh = await filterKnownRows(tx, 'ateco', azienda_id, rows, report);
+  for (const { raw_json: entry } of fresh) {
+    await atRow(tx, pathOf(entry, `atecoClassification.${entry.type}`), entry, () => tx.insertAteco({
+      ateco_id: uuidv4(),
+      azienda_id,
+      effective_date,
+      ateco_code: entry.ateco_code,
+      ateco_description: entry.ateco_description,
+      raw_json: entry
+    }));
+  }
+  return fresh.length;
+}
+
+async function writeBalanceEntries(tx, azienda_id, entries, report) {
+  const years = [...new Set(entries.map(e => e.year).filter(Boolean))];
+  const existing = new Map(
+    (await tx.getBalanceEntryStates(azienda_id, years)).map(r => [`${r.year}|${r.statement}|${r.code}`, r])
+  );
+  // release della legenda in vigore per esercizio e voci di legenda per release|codice
+  const releases = new Map();
+  const legend = new Map();
+  const unmapped = new Set();
+  const conflicts = new Set();
+
+  for (const row of entries) {
+    if (!row.year || !row.statement || !row.code) {
+      report.warnings.push({ table: 'balance_entries', reason: 'missing_keys', row });
+      continue;
+    }
+    if (!releases.has(row.year)) releases.set(row.year, await tx.getLegendRelease(row.year));
+    const legend_release_id = releases.get(row.year);
+    const legendKey = `${legend_release_id}|${row.code}`;
+    if (!legend.has(legendKey)) legend.set(legendKey, await tx.lookupLegendCode(row.code, legend_release_id));
+    const legendRow = legend.get(legendKey);
+
+    // statement dalla legenda (lib/statements.js): gruppo del payload o euristica solo per i codici sconosciuti;
+    // i disaccordi tra legenda e gruppo restano in statement_conflicts, una volta per codice e ingestione
+    const { statement, source, votes, conflict } = classifyStatement(row.code, {
+      legend: legendRow?.statement, group: row.statement_source === 'heuristic' ? null : row.statement
+    });
+    if (conflict && !conflicts.has(row.code)) {
+      conflicts.add(row.code);
+      await tx.upsertStatementConflict({
+        azienda_id,
+        code: row.code,
+        statement,
+        source,
+        legend_statement: votes.legend,
+        group_statement: votes.group,
+        heuristic_statement: votes.heuristic,
+        detected_by: 'ingestion',
+        detected_at: new Date().toISOString()
+      });
+      report.warnings.push({ table: 'balance_entries', reason: 'statement_conflict', code: row.code, statement, source, conflict });
+    }
+
+    const filing_year = row.filing_year ?? row.year;
+    const is_comparative = row.is_comparative === true;
+    if (!canOverwrite(existing.get(`${row.year}|${statement}|${row.code}`), { filing_year, is_comparative })) {
+      count(report.skips, 'balance_entries_protected');
+      continue;
+    }
+
+    // descrizione dalla legenda; i codici fuori legenda vanno in coda per il triage
+    // (una volta per codice e ingestione) e tengono la descrizione dell'estrattore
+    let description = legendRow?.description;
+    if (!description) {
+      if (!unmapped.has(row.code)) {
+        unmapped.add(row.code);
+        await tx.recordUnmappedCode(row.code, statement);
+        report.warnings.push({ table: 'balance_entries', reason: 'unmapped_code', code: row.code });
+      }
+      description = row.description || null;
+    }
+
+    await atRow(tx, pathOf(row, `${row.source_path}[code=${row.code}]`), row, () => tx.upsertBalanceEntry({
+      azienda_id,
+      year: row.year,
+      statement,
+      code: row.code,
+      description,
+      amount: row.amount ?? null,
+      currency: row.currency ?? null,
+      source_path: row.source_path ?? null,
+      note: row.note ?? null,
+      content_hash: hash(row),
+      filing_year,
+      is_comparative,
+      legend_release_id
+    }));
+  }
+}
+
+// controlli di coerenza sugli importi salvati: dopo writeBalanceEntries, quindi le voci protette
+// (comparative o da depositi piu' vecchi) restano quelle gia' presenti
+async function writeBalanceChecks(tx, azienda_id, years, ingestion_id, report) {
+  const stored = amountsByYear(await tx.getBalanceEntryStates(azienda_id, years));
+  const checked_at = new Date().toISOString();
+  const rows = years.flatMap(year => runBalanceChecks(stored.get(year) ?? new Map())
+    .map(result => ({ azienda_id, year, ...result, ingestion_id, checked_at })));
+  await tx.upsertBalanceChecks(rows);
+
+  const summary = { pass: 0, fail: 0, skipped: 0, failures: [] };
+  for (const row of rows) {
+    summary[row.status]++;
+    if (row.status === 'fail') {
+      const { year, check_id, expected, actual, difference, tolerance } = row;
+      summary.failures.push({ year, check_id, expected, actual, difference, tolerance });
+    }
+  }
+  report.balanceChecks = summary;
+  return rows.length;
+}
+
+// indici ricalcolati dalle voci salvate e confrontati con i KPI del provider salvati (dopo writeKpis)
+async function writeComputedRatios(tx, azienda_id, years, ingestion_id, report) {
+  const catalogue = ratioCatalogue();
+  const amounts = amountsByYear(await tx.getBalanceEntryStates(azienda_id, years));
+  const provider = new Map(years.map(year => [year, new Map()]));
+  for (const k of await tx.getKpiStates(azienda_id, years)) provider.get(k.fiscal_year)?.set(k.kpi_name, k.value);
+
+  const computed_at = new Date().toISOString();
+  const rows = years.flatMap(year => computeRatios(amounts.get(year) ?? new Map(), provider.get(year), catalogue)
+    .map(result => ({ azienda_id, year, ...result, catalogue_version: catalogue.version, ingestion_id, computed_at })));
+  await tx.upsertComputedRatios(rows);
+
+  const summary = { match: 0, mismatch: 0, computed: 0, not_computable: 0, mismatches: [] };
+  for (const row of rows) {
+    summary[row.status]++;
+    if (row.status === 'mismatch') {
+      const { year, ratio_id, value, provider_kpi, provider_value, difference } = row;
+      summary.mismatches.push({ year, ratio_id, value, provider_kpi, provider_value, difference });
+    }
+  }
+  report.ratios = summary;
+  return rows.length;
+}
+
+async function writeKpis(tx, azienda_id, kpis, effective_date, report) {
+  const existing = new Map(
+    (await tx.getKpiStates(azienda_id, [...new Set(kpis.map(k => k.fiscal_year))]))
+      .map(r => [`${r.fiscal_year}|${r.kpi_name}`, r])
+  );
+  const rows = kpis.filter(k => canOverwrite(existing.get(`${k.fiscal_year}|${k.kpi_name}`), k));
+  if (rows.length < kpis.length) count(report.skips, 'company_kpis_protected', kpis.length - rows.length);
+
+  await tx.upsertKpis(rows.map(k => ({
+    azienda_id,
+    fiscal_year: k.fiscal_year,
+    block: k.block,
+    kpi_name: k.kpi_name,
+    value: k.value,
+    source_path: k.source_path,
+    effective_date,
+    filing_year: k.filing_year,
+    is_comparative: k.is_comparative,
+    updated_at: new Date().toISOString()
+  })));
+}
+
+const roleKey = (manager_id, code, start) => `${manager_id}|${code}|${start || ''}`;
+
+// persone + storico ruoli: ruoli nuovi inseriti, noti riaperti, spariti chiusi alla data dell'ingestion
+async function writeManagers(tx, azienda_id, managers, effective_date, report) {
+  const existing = await tx.getManagerRoles(azienda_id);
+  const byKey = new Map(existing.map(r => [roleKey(r.manager_id, r.role_code, r.role_start_date), r]));
+  const seen = new Set();
+
+  for (const m of managers) {
+    await atRow(tx, pathOf(m, `managers[taxCode=${m.taxCode}]`), m.raw,
+      () => writeManager(tx, azienda_id, m, effective_date, { byKey, seen }, report));
+  }
+
+  for (const r of existing) {
+    if (r.role_end_date || seen.has(r.role_id)) continue;
+    await tx.updateManagerRole(r.role_id, { role_end_date: toDateOnly(effective_date) });
+    count(report.updates, 'manager_roles');
+  }
+}
+
+async function writeManager(tx, azienda_id, m, effective_date, { byKey, seen }, report) {
+  const manager_id = computeManagerId(m);
+  await tx.upsertManager({
+    manager_id,
+    tax_code: m.taxCode,
+    name: m.name,
+    surname: m.surname,
+    gender: m.gender,
+    birth_date: m.birthDate,
+    birth_town: m.birthTown,
+    raw_json: m.raw,
+    updated_at: new Date().toISOString()
+  });
+
+  for (const r of m.roles) {
+    const current = byKey.get(roleKey(manager_id, r.code, r.startDate));
+    if (current) {
+      seen.add(current.role_id);
+      await tx.updateManagerRole(current.role_id, {
+        role_description: r.description,
+        role_end_date: null,
+        is_legal_representative: m.isLegalRepresentative,
+        last_seen_at: new Date().toISOString()
+      });
+    } else {
+      const role_id = await tx.insertManagerRole({
+        manager_id,
+        azienda_id,
+        role_code: r.code,
+        role_description: r.description,
+        role_start_date: r.startDate,
+        is_legal_representative: m.isLegalRepresentative,
+        effective_date,
+        raw_json: r.raw
+      });
+      // stesso manager/ruolo/data ripetuto nel payload: la seconda occorrenza aggiorna la riga appena inserita
+      byKey.set(roleKey(manager_id, r.code, r.startDate), { role_id, manager_id, role_code: r.code, role_start_date: r.startDate });
+      seen.add(role_id);
+      count(report.inserts, 'manager_roles');
+    }
+  }
+}
+
+// controparte gia' ingerita? stesso schema UUIDv5 di computeAziendaId, con fallback su tax/vat
+async function resolveCounterpart(tx, taxCode) {
+  return taxCode ? tx.resolveAziendaIdByTaxCode(taxCode, uuidv5(taxCode, NS)) : null;
+}
+
+async function writeOwnershipEdges(tx, azienda_id, edges, effective_date, report) {
+  const keptIds = [];
+  for (const e of edges) {
+    const jsonPath = pathOf(e, `${e.relation === 'SHAREHOLDER' ? 'shareholders' : 'affiliateCompanies'}[taxCode=${e.ownerIsSelf ? e.ownedTaxCode : e.ownerTaxCode}]`);
+    keptIds.push(await atRow(tx, jsonPath, e.raw, async () => tx.upsertOwnershipEdge({
+      source_azienda_id: azienda_id,
+      relation: e.relation,
+      owner_tax_code: e.ownerTaxCode,
+      owner_name: e.ownerName,
+      owner_type: e.ownerType,
+      owner_azienda_id: e.ownerIsSelf ? azienda_id : await resolveCounterpart(tx, e.ownerTaxCode),
+      owned_tax_code: e.ownedTaxCode,
+      owned_name: e.ownedName,
+      owned_azienda_id: e.ownedIsSelf ? azienda_id : await resolveCounterpart(tx, e.ownedTaxCode),
+      percent_share: e.percentShare,
+      effective_date,
+      raw_json: e.raw,
+      updated_at: new Date().toISOString()
+    })));
+  }
+
+  // archi dichiarati in precedenza da questa azienda e non piu' presenti -> rimossi (lo storico resta in company_versions)
+  const removed = await tx.deleteOwnershipEdgesExcept(azienda_id, keptIds);
+  if (removed) count(report.updates, 'ownership_edges', removed);
+}
+
+/* ------------------------------ INGESTION ----------------------------- */
+
+// sezioni normalizzate: [nome, estrazione, scrittura, opzioni]; ognuna gira isolata (savepoint) e puo' essere ritentata.
+// opzioni.whenEmpty: la sezione gira anche senza righe (elenchi che sostituiscono il precedente: un elenco vuoto
+// chiude o rimuove quanto dichiarato prima). `trace` (opzionale) raccoglie le strategie/fallback usati dagli estrattori
+function buildSections(tx, payload, { azienda_id, ingestionId, globalEffective, fiscalYear, promotions, trace }, report) {
+  const extracted = {};
+  const rowsOf = name => (extracted[name] ??= sections.find(([n]) => n === name)[1]());
+  // esercizi toccati dal payload: le sezioni calcolate lavorano su questi
+  const balanceYears = () => [...new Set(rowsOf('balance_entries').map(e => e.year))];
+
+  const sections = [
+    ['contacts', () => { const c = extractContacts(payload, trace); return c ? [c] : []; },
+      (rows) => writeContacts(tx, azienda_id, rows[0], globalEffective, report)],
+    ['addresses', () => extractAddresses(payload, trace),
+      (rows) => writeAddresses(tx, azienda_id, rows, globalEffective, report)],
+    ['ateco', () => extractAteco(payload),
+      (rows) => writeAteco(tx, azienda_id, rows, globalEffective, report)],
+    ['balance_entries', () => extractBalanceEntries(payload, fiscalYear.year, fiscalYear.source === 'cli', trace),
+      (rows) => writeBalanceEntries(tx, azienda_id, rows, report)],
+    ['balance_checks', balanceYears,
+      (years) => writeBalanceChecks(tx, azienda_id, years, ingestionId, report)],
+    ['managers', () => extractManagers(payload),
+      (rows) => writeManagers(tx, azienda_id, rows, globalEffective, report), { whenEmpty: true }],
+    ['ownership_edges', () => extractOwnership(payload),
+      (rows) => writeOwnershipEdges(tx, azienda_id, rows, globalEffective, report), { whenEmpty: true }],
+    ['company_kpis', () => extractKpis(payload, fiscalYear.year),
+      (rows) => writeKpis(tx, azienda_id, rows, globalEffective, report)],
+    ['computed_ratios', balanceYears,
+      (years) => writeComputedRatios(tx, azienda_id, years, ingestionId, report)],
+    // tutto cio' che nessuna sezione ha letto (bilancio e KPI dichiarano i loro source_path)
+    ['unknown_fields', () => extractUnknownFields(payload, [
+      ...rowsOf('balance_entries').map(e => e.source_path),
+      ...rowsOf('company_kpis').map(k => k.source_path),
+      ...promotions.map(p => p.json_path)
+    ]), (rows) => tx.upsertUnknownFields(azienda_id, rows)]
+  ];
+  return { sections, rowsOf };
+}
+
+// sezioni calcolate da altre: in un retry si rifanno se e' stata riscritta una delle loro sorgenti
+const DERIVED_SECTIONS = {
+  balance_checks: ['balance_entries'],
+  computed_ratios: ['balance_entries', 'company_kpis']
+};
+
+// esegue le sezioni richieste; un errore annulla solo la sezione e finisce nella lista ritornata
+async function runSections(tx, { sections, rowsOf }, only, report) {
+  const errors = [];
+  for (const [name, , write, { whenEmpty = false } = {}] of sections) {
+    if (only && !only.includes(name)) continue;
+    tx.annotate?.(null);
+    try {
+      const rows = rowsOf(name);
+      if (rows.length) {
+        // le sezioni append-only ritornano quante righe hanno scritto davvero
+        const written = await tx.savepoint(() => write(rows));
+        count(report.inserts, name, typeof written === 'number' ? written : rows.length);
+      } else {
+        if (whenEmpty) await tx.savepoint(() => write(rows));
+        count(report.skips, name);
+      }
+    } catch (err) {
+      errors.push({
+        error_id: uuidv4(),
+        section: name,
+        json_path: err.jsonPath ?? null,
+        message: String(err?.message || err),
+        raw_snippet: err.snippet ?? null
+      });
+    }
+  }
+  report.sectionErrors = errors.map(({ section, json_path, message }) => ({ section, json_path, message }));
+  return errors;
+}
+
+function ingestionLogger(tx, { ingestionId, startedAt, batchId, azienda_id }, report) {
+  return async (errors = []) => {
+    await tx.insertIngestion({
+      ingestion_id: ingestionId,
+      source: 'it-full',
+      started_at: startedAt,
+      finished_at: new Date().toISOString(),
+      azienda_id,
+      status: report.status,
+      summary: report,
+      batch_id: batchId ?? null
+    });
+    // dopo la riga ingestions (FK)
+    if (errors.length) {
+      await tx.insertIngestionErrors(errors.map(e => ({ ...e, ingestion_id: ingestionId, azienda_id })));
+    }
+  };
+}
+
+async function ingestInTransaction(tx, payload, { ingestionId, fiscalYear, startedAt, batchId, trace }, report) {
+  const data = unwrap(payload);
+
+  const company = extractCompany(payload);
+  const azienda_id = company.azienda_id;
+  const logIngestion = ingestionLogger(tx, { ingestionId, startedAt, batchId, azienda_id }, report);
+
+  // 1) effective_date generale + confronto con le versioni gia' ingerite
+  const globalEffective = effectiveDateForSection('root', payload, startedAt);
+  const content_hash = hash(payload);
+  const { latest, seen } = await tx.getCompanyVersionState(azienda_id, content_hash);
+  report.contentHash = content_hash;
+  report.effectiveDate = globalEffective;
+  report.latestVersion = latest;
+
+  // payload identico a una versione gia' presente: nessuna scrittura
+  if (seen) {
+    report.status = 'UNCHANGED';
+    await logIngestion();
+    return azienda_id;
+  }
+
+  // snapshot piu' vecchio dell'ultimo ingerito: solo storico, le tabelle correnti non si toccano
+  if (latest && isNewer(latest.effective_date, globalEffective)) {
+    await tx.insertCompanyVersion({ azienda_id, effective_date: globalEffective, content_hash, raw_json: payload });
+    count(report.inserts, 'company_versions');
+    report.status = 'OUTDATED';
+    await logIngestion();
+    return azienda_id;
+  }
+
+  // 2) upsert azienda (con le colonne promosse da unknown_fields) + collegamento degli archi che la citavano
+  const promotions = await tx.getSchemaPromotions();
+  await tx.upsertCompany({ ...company, ...extractPromotedFields(payload, promotions) });
+  const ownCodes = [data?.companyDetails?.taxCode, data?.companyDetails?.vatCode]
+    .filter(Boolean).map(c => String(c).trim().toUpperCase());
+  if (ownCodes.length) await tx.linkOwnershipEdges(azienda_id, ownCodes);
+
+  // 3) versioning lossless + raw root
+  await tx.insertCompanyVersion({ azienda_id, effective_date: globalEffective, content_hash, raw_json: payload });
+  await tx.insertRawSection({ azienda_id, section: 'root', effective_date: globalEffective, raw_json: payload });
+  count(report.inserts, 'company_versions');
+
+  // 4) sezioni normalizzate (isolate: una sezione fallita non blocca le altre)
+  const sections = buildSections(tx, payload, {
+    azienda_id, ingestionId, globalEffective, fiscalYear, promotions, trace
+  }, report);
+  const errors = await runSections(tx, sections, null, report);
+
+  // 5) log ingestion + errori di sezione
+  report.status = errors.length ? 'PARTIAL' : 'UPDATED';
+  await logIngestion(errors);
+
+  return azienda_id;
+}
+
+/** Registra un'ingestion ERROR in una transazione propria (quella del payload e' gia' stata annullata). */
+export async function recordIngestionError(storage, { ingestionId, startedAt, batchId, error }) {
+  await storage.transaction(tx => tx.insertIngestion({
+    ingestion_id: ingestionId,
+    source: 'it-full',
+    started_at: startedAt,
+    finished_at: new Date().toISOString(),
+    status: 'ERROR',
+    summary: { error: String(error?.message || error), ...(error?.violations ? { violations: error.violations } : {}) },
+    batch_id: batchId ?? null
+  })).catch(() => {});
+}
+
+function newReport(storage, ingestionId, batchId) {
+  return {
+    ingestionId,
+    batchId: batchId ?? null,
+    backend: storage.backend,
+    inserts: {},
+    updates: {},
+    skips: {},
+    warnings: [],
+    status: 'PARTIAL'
+  };
+}
+
+/**
+ * Ingerisce un payload IT-full. Ritorna { azienda_id, report }; in caso di errore registra
+ * un'ingestion ERROR e rilancia. `batchId` collega l'ingestion alla run batch; con `trace` (array)
+ * il report elenca anche quale strategia/fallback degli estrattori ha prodotto le righe.
+ * Il payload viene prima validato contro lo schema IT-full (skipValidation solo per fixture/formati legacy).
+ */
+export async function ingestPayload(storage, payload, {
+  fiscalYearOverride, batchId, ingestionId = uuidv4(), trace, skipValidation = false
+} = {}) {
+  const startedAt = new Date().toISOString();
+  const report = newReport(storage, ingestionId, batchId);
+
+  try {
+    // payload troncati o risposte di errore del provider non devono produrre aziende mezze vuote
+    if (!skipValidation) {
+      const validation = validatePayload(payload);
+      if (validation.errors.length) throw invalidPayloadError(validation);
+      report.schema = validation.schema;
+      for (const w of validation.warnings) report.warnings.push({ reason: 'schema_drift', ...w });
+    }
+
+    // anno fiscale: senza un anno affidabile rifiutiamo il payload invece di "timbrarlo"
+    const fiscalYear = resolveFiscalYear(payload, fiscalYearOverride);
+    if (!fiscalYear) {
+      throw new Error('Anno fiscale non risolvibile dal payload (usa --year YYYY per forzarlo)');
+    }
+    report.fiscalYear = fiscalYear;
+    if (trace) report.fallbacks = trace;
+
+    const azienda_id = await storage.transaction(tx =>
+      ingestInTransaction(tx, payload, { ingestionId, fiscalYear, startedAt, batchId, trace }, report));
+    return { azienda_id, report };
+  } catch (err) {
+    await recordIngestionError(storage, { ingestionId, startedAt, batchId, error: err });
+    throw err;
+  }
+}
+
+/**
+ * Ricalcola computed_ratios per gli esercizi indicati (es. dopo una modifica a ratios.json),
+ * dalle voci e dai KPI gia' salvati. Ritorna il riepilogo come report.ratios.
+ */
+export async function recomputeRatios(storage, azienda_id, years) {
+  const report = {};
+  await storage.transaction(tx => writeComputedRatios(tx, azienda_id, years, null, report));
+  return report.ratios;
+}
+
+/**
+ * Riesegue solo le sezioni fallite di un'ingestion PARTIAL, sullo stesso snapshot (company_versions)
+ * e con lo stesso anno fiscale. Gli errori risolti vengono chiusi con resolved_at/resolved_by.
+ */
+export async function retryIngestion(storage, retryOf, { ingestionId = uuidv4() } = {}) {
+  const startedAt = new Date().toISOString();
+  const report = newReport(storage, ingestionId);
+  report.retryOf = retryOf;
+
+  try {
+    const azienda_id = await storage.transaction(async tx => {
+      const original = await tx.getIngestion(retryOf);
+      if (!original) throw new Error(`Ingestion ${retryOf} non trovata`);
+      const openErrors = await tx.getOpenIngestionErrors(retryOf);
+      if (!openErrors.length) throw new Error(`Nessun errore di sezione aperto per l'ingestion ${retryOf}`);
+
+      const { azienda_id, summary } = original;
+      const payload = await tx.getCompanyVersionPayload(azienda_id, summary.contentHash);
+      if (!payload) throw new Error(`Snapshot ${summary.contentHash} non trovato in company_versions`);
+
+      report.fiscalYear = summary.fiscalYear;
+      report.contentHash = summary.contentHash;
+      report.effectiveDate = summary.effectiveDate;
+      const only = [...new Set(openErrors.map(e => e.section))];
+      for (const [derived, sources] of Object.entries(DERIVED_SECTIONS)) {
+        if (sources.some(s => only.includes(s)) && !only.includes(derived)) only.push(derived);
+      }
+      report.retriedSections = only;
+
+      const promotions = await tx.getSchemaPromotions();
+      const sections = buildSections(tx, payload, {
+        azienda_id, ingestionId, globalEffective: summary.effectiveDate, fiscalYear: summary.fiscalYear, promotions
+      }, report);
+      const errors = await runSections(tx, sections, only, report);
+
+      const failed = new Set(errors.map(e => e.section));
+      const resolved = openErrors.filter(e => !failed.has(e.section)).map(e => e.error_id);
+      report.status = errors.length ? 'PARTIAL' : 'UPDATED';
+      await ingestionLogger(tx, { ingestionId, startedAt, azienda_id }, report)(errors);
+      if (resolved.length) await tx.resolveIngestionErrors(resolved, ingestionId);
+      report.resolvedErrors = resolved.length;
+      return azienda_id;
+    });
+    return { azienda_id, report };
+  } catch (err) {
+    await recordIngestionError(storage, { ingestionId, startedAt, error: err });
+    throw err;
+  }
+}
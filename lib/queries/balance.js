@@ -0,0 +1,89 @@
+import { buildBalanceTree } from '../legend.js';
+import { SCHEMA } from '../config.js';
+
+/**
+ * Bilancio riclassificato di un'azienda: Stato Patrimoniale e Conto Economico come albero
+ * (gerarchia e segni dalla release della legenda collegata alle voci, vedi lib/legend.js).
+ * Senza `year` usa l'ultimo esercizio; null se l'azienda non esiste.
+ */
+export async function getBalanceTree(db, aziendaId, { year, full = false } = {}, { schema = SCHEMA } = {}) {
+  const fq = table => `${schema}.${table}`;
+
+  const companyResult = await db.query(`select azienda_id from ${fq('companies')} where azienda_id::text = $1`, [aziendaId]);
+  if (companyResult.rows.length === 0) return null;
+  const params = [companyResult.rows[0].azienda_id];
+
+  const yearsResult = await db.query(`
+    select distinct year from ${fq('balance_entries')} where azienda_id = $1 order by year desc
+  `, params);
+  const years = yearsResult.rows.map(r => r.year);
+  const selected = year ?? years[0] ?? null;
+
+  const entries = await db.query(`
+    select code, statement, description, amount, legend_release_id from ${fq('balance_entries')}
+    where azienda_id = $1 and year = $2
+  `, [...params, selected]);
+
+  // legenda della release a cui sono collegate le voci (piu' le voci del triage); senza release la corrente
+  const release_id = entries.rows.find(e => e.legend_release_id)?.legend_release_id ?? null;
+  const legend = release_id
+    ? await db.query(`
+        select code, description, statement, parent_code, sign, sort_order, outline, null as alias_of
+        from ${fq('legend_code_versions')} where release_id = $1
+        union all
+        select code, description, statement, parent_code, sign, sort_order, outline, alias_of
+        from ${fq('legend_codes')} l
+        where source = 'triage'
+          and not exists (select 1 from ${fq('legend_code_versions')} v where v.release_id = $1 and v.code = l.code)
+      `, [release_id])
+    : await db.query(`select code, description, statement, parent_code, sign, sort_order, outline, alias_of from ${fq('legend_codes')}`);
+
+  return {
+    azienda_id: params[0],
+    year: selected,
+    years,
+    legend_release_id: release_id,
+    ...buildBalanceTree(legend.rows, entries.rows, { prune: !full })
+  };
+}
+
+/** Esiti dei controlli di coerenza (lib/balance-checks.js), dal piu' recente esercizio; null se l'azienda non esiste. */
+export async function getBalanceChecks(db, aziendaId, { year, status } = {}, { schema = SCHEMA } = {}) {
+  const fq = table => `${schema}.${table}`;
+
+  const companyResult = await db.query(`select azienda_id from ${fq('companies')} where azienda_id::text = $1`, [aziendaId]);
+  if (companyResult.rows.length === 0) return null;
+  const azienda_id = companyResult.rows[0].azienda_id;
+
+  const res = await db.query(`
+    select year, check_id, status, expected, actual, difference, tolerance, details, ingestion_id, checked_at
+    from ${fq('balance_checks')}
+    where azienda_id = $1 and ($2::int is null or year = $2) and ($3::text is null or status = $3)
+    order by year desc, check_id
+  `, [azienda_id, year ?? null, status ?? null]);
+
+  const summary = { pass: 0, fail: 0, skipped: 0 };
+  for (const row of res.rows) summary[row.status]++;
+  return { azienda_id, summary, checks: res.rows };
+}
+
+/** Indici ricalcolati (lib/ratios.js) con il confronto col provider; null se l'azienda non esiste. */
+export async function getComputedRatios(db, aziendaId, { year, status } = {}, { schema = SCHEMA } = {}) {
+  const fq = table => `${schema}.${table}`;
+
+  const companyResult = await db.query(`select azienda_id from ${fq('companies')} where azienda_id::text = $1`, [aziendaId]);
+  if (companyResult.rows.length === 0) return null;
+  const azienda_id = companyResult.rows[0].azienda_id;
+
+  const res = await db.query(`
+    select year, ratio_id, value, provider_kpi, provider_value, difference, status, details,
+           catalogue_version, ingestion_id, computed_at
+    from ${fq('computed_ratios')}
+    where azienda_id = $1 and ($2::int is null or year = $2) and ($3::text is null or status = $3)
+    order by year desc, ratio_id
+  `, [azienda_id, year ?? null, status ?? null]);
+
+  const summary = { match: 0, mismatch: 0, computed: 0, not_computable: 0 };
+  for (const row of res.rows) summary[row.status]++;
+  return { azienda_id, summary, ratios: res.rows };
+}
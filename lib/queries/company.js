@@ -0,0 +1,308 @@
+import {
+  extractCompany, extractContacts, extractAddresses, extractAteco, extractManagers, extractBalanceEntries
+} from '../extractors.js';
+import { canOverwrite, contactsColumns, addressColumns } from '../pipeline.js';
+import { classifyStatement } from '../statements.js';
+import { unwrap, computeManagerId, resolveFiscalYear } from '../util.js';
+import { diffJson } from '../diff.js';
+import { SCHEMA } from '../config.js';
+
+/**
+ * Vista "as of" di un'azienda: cosa diceva il record a una certa data. Ogni sezione si ricostruisce dagli
+ * snapshot completi di company_versions in vigore alla data (effective_date <= asOf), non dalle tabelle
+ * correnti: balance_entries e' aggiornata sul posto (una riesposizione sovrascrive gli importi) e gli snapshot
+ * OUTDATED non scrivono le sezioni. `db` e' qualunque oggetto con query(sql, params) (pg Client/Pool).
+ */
+
+export const AS_OF_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// voci di bilancio di uno snapshot, con l'anno fiscale usato dall'ingestion (puo' venire da --year)
+function snapshotBalanceRows(snapshot) {
+  const fiscalYear = snapshot.fiscal_year
+    ? { year: snapshot.fiscal_year, source: snapshot.fiscal_year_source }
+    : resolveFiscalYear(snapshot.raw_json);
+  if (!fiscalYear) return [];
+  return extractBalanceEntries(snapshot.raw_json, fiscalYear.year, fiscalYear.source === 'cli')
+    .filter(row => row.year && row.statement && row.code);
+}
+
+// bilancio alla data: gli snapshot in vigore rigiocati in ordine di efficacia con le regole della pipeline
+// (canOverwrite: un comparativo non sovrascrive un deposito, un deposito vecchio non sovrascrive uno recente)
+function replayBalance(extracted, legend) {
+  const entries = new Map();
+  for (const { snapshot, rows } of extracted) {
+    for (const row of rows) {
+      const legendRow = legend.get(row.code);
+      const { statement } = classifyStatement(row.code, {
+        legend: legendRow?.statement, group: row.statement_source === 'heuristic' ? null : row.statement
+      });
+      const key = `${row.year}|${statement}|${row.code}`;
+      const incoming = { filing_year: row.filing_year ?? row.year, is_comparative: row.is_comparative === true };
+      if (!canOverwrite(entries.get(key), incoming)) continue;
+      entries.set(key, {
+        year: row.year,
+        statement,
+        code: row.code,
+        description: legendRow?.description || row.description || null,
+        amount: row.amount ?? null,
+        currency: row.currency ?? null,
+        ...incoming,
+        version_id: snapshot.version_id,
+        valid_from: snapshot.valid_from
+      });
+    }
+  }
+  return [...entries.values()].sort((a, b) => b.year - a.year || a.statement.localeCompare(b.statement)
+    || a.code.localeCompare(b.code));
+}
+
+export async function getCompanyAsOf(db, aziendaId, asOf, { schema = SCHEMA } = {}) {
+  const fq = table => `${schema}.${table}`;
+
+  const companyResult = await db.query(`select azienda_id from ${fq('companies')} where azienda_id::text = $1`, [aziendaId]);
+  if (companyResult.rows.length === 0) return null;
+  const { azienda_id } = companyResult.rows[0];
+
+  // snapshot in vigore alla data (le date sono inclusive del giorno intero), dal piu' vecchio,
+  // con l'anno fiscale usato dalla loro ingestion (puo' venire da --year)
+  const versionResult = await db.query(`
+    select * from (
+      select v.version_id, v.effective_date as valid_from, v.content_hash, v.ingested_at, v.raw_json,
+             lead(v.effective_date) over (order by v.effective_date, v.ingested_at) as valid_to,
+             (i.summary->'fiscalYear'->>'year')::int as fiscal_year, i.summary->'fiscalYear'->>'source' as fiscal_year_source
+      from ${fq('company_versions')} v
+      left join lateral (
+        select summary from ${fq('ingestions')}
+        where azienda_id = v.azienda_id and summary->>'contentHash' = v.content_hash and status <> 'ERROR'
+        order by started_at desc limit 1
+      ) i on true
+      where v.azienda_id = $1
+    ) s
+    where valid_from < ($2::date + 1)
+    order by valid_from, ingested_at
+  `, [azienda_id, asOf]);
+  const snapshots = versionResult.rows;
+  const snapshot = snapshots.at(-1) ?? null;
+  if (!snapshot) {
+    return {
+      asOf, azienda_id, company: null, version: null, contacts: null, addresses: [], ateco: [], managers: [], balance_entries: []
+    };
+  }
+
+  const payload = snapshot.raw_json;
+  const contacts = extractContacts(payload);
+  const managers = extractManagers(payload).flatMap(m => m.roles
+    .filter(r => !r.startDate || r.startDate <= asOf)
+    .map(r => ({
+      manager_id: computeManagerId(m),
+      tax_code: m.taxCode,
+      name: m.name,
+      surname: m.surname,
+      role_code: r.code,
+      role_description: r.description,
+      role_start_date: r.startDate,
+      is_legal_representative: m.isLegalRepresentative
+    })))
+    .sort((a, b) => (a.surname || '').localeCompare(b.surname || '') || (a.name || '').localeCompare(b.name || '')
+      || a.role_code.localeCompare(b.role_code));
+
+  // statement e descrizioni dalla legenda corrente, come per le voci salvate (lib/statements.js)
+  const extracted = snapshots.map(v => ({ snapshot: v, rows: snapshotBalanceRows(v) }));
+  const codes = [...new Set(extracted.flatMap(e => e.rows.map(r => r.code)))];
+  const legendResult = await db.query(`
+    select code, description, statement from ${fq('legend_codes')} where code = any($1::text[])
+  `, [codes]);
+  const legend = new Map(legendResult.rows.map(r => [r.code, r]));
+
+  return {
+    asOf,
+    azienda_id,
+    company: { ...extractCompany(payload), azienda_id },
+    version: {
+      version_id: snapshot.version_id,
+      content_hash: snapshot.content_hash,
+      ingested_at: snapshot.ingested_at,
+      valid_from: snapshot.valid_from,
+      valid_to: snapshot.valid_to
+    },
+    contacts: contacts ? { ...contactsColumns(contacts), raw_json: contacts } : null,
+    addresses: extractAddresses(payload).map(addr => ({ ...addressColumns(addr), raw_json: addr })),
+    ateco: extractAteco(payload).map(entry => ({
+      ateco_code: entry.ateco_code, ateco_description: entry.ateco_description, raw_json: entry
+    })),
+    managers,
+    balance_entries: replayBalance(extracted, legend)
+  };
+}
+
+/** Record normalizzato corrente di un'azienda (solo sue righe); null se non esiste. */
+export async function getCompany(db, aziendaId, { schema = SCHEMA } = {}) {
+  const fq = table => `${schema}.${table}`;
+
+  const companyResult = await db.query(`select * from ${fq('companies')} where azienda_id::text = $1`, [aziendaId]);
+  if (companyResult.rows.length === 0) return null;
+  const company = companyResult.rows[0];
+  const params = [company.azienda_id];
+
+  const [contacts, addresses, ateco, balance, kpis, managers, ownership, versions, ingestions] = await Promise.all([
+    db.query(`
+      select * from ${fq('contacts')} where azienda_id = $1
+      order by effective_date desc, created_at desc limit 1
+    `, params),
+    // sezioni append-only: l'ultima riga per tipo e' quella corrente
+    db.query(`
+      select distinct on (coalesce(address_type, '')) * from ${fq('addresses')} where azienda_id = $1
+      order by coalesce(address_type, ''), effective_date desc, created_at desc
+    `, params),
+    db.query(`
+      select distinct on (coalesce(raw_json->>'type', '')) * from ${fq('ateco')} where azienda_id = $1
+      order by coalesce(raw_json->>'type', ''), effective_date desc, created_at desc
+    `, params),
+    db.query(`select * from ${fq('balance_entries')} where azienda_id = $1 order by year desc, statement, code`, params),
+    db.query(`select * from ${fq('company_kpis')} where azienda_id = $1 order by fiscal_year desc, kpi_name`, params),
+    db.query(`
+      select r.role_id, r.manager_id, r.role_code, r.role_description, r.role_start_date, r.is_legal_representative,
+             m.tax_code, m.name, m.surname, m.gender, m.birth_date, m.birth_town
+      from ${fq('manager_roles')} r
+      join ${fq('managers')} m on m.manager_id = r.manager_id
+      where r.azienda_id = $1 and r.role_end_date is null
+      order by m.surname, m.name, r.role_code
+    `, params),
+    db.query(`
+      select * from ${fq('ownership_edges')}
+      where source_azienda_id = $1 or owner_azienda_id = $1 or owned_azienda_id = $1
+      order by relation, percent_share desc nulls last
+    `, params),
+    db.query(`
+      select version_id, effective_date, content_hash, ingested_at from ${fq('company_versions')}
+      where azienda_id = $1 order by effective_date desc, ingested_at desc
+    `, params),
+    db.query(`
+      select ingestion_id, started_at, finished_at, status, batch_id from ${fq('ingestions')}
+      where azienda_id = $1 order by started_at desc
+    `, params)
+  ]);
+
+  return {
+    azienda_id: company.azienda_id,
+    company,
+    contacts: contacts.rows[0] || null,
+    addresses: addresses.rows,
+    ateco: ateco.rows,
+    managers: managers.rows,
+    ownership_edges: ownership.rows,
+    balance_entries: balance.rows,
+    company_kpis: kpis.rows,
+    company_versions: versions.rows,
+    ingestions: ingestions.rows
+  };
+}
+
+/* ------------------------- ELENCO / RICERCA ------------------------- */
+
+// cursore opaco: posizione (nome, azienda_id) dell'ultima riga della pagina precedente
+export function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.company_name || '', row.azienda_id])).toString('base64url');
+}
+
+/** null se il cursore non e' valido. */
+export function decodeCursor(cursor) {
+  try {
+    const value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Array.isArray(value) && value.length === 2 && value.every(v => typeof v === 'string') ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+const likeEscape = value => value.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Elenco aziende con ricerca (nome, partita IVA, codice fiscale), filtri e paginazione a cursore.
+ * Filtri: status, legalForm, ateco (prefisso del codice), province (sigla della sede),
+ * turnoverMin/turnoverMax (ecofin.turnover dell'ultimo esercizio). Ritorna { items, next_cursor }.
+ */
+export async function listCompanies(db, filters = {}, { schema = SCHEMA } = {}) {
+  const fq = table => `${schema}.${table}`;
+  const { q, status, legalForm, ateco, province, turnoverMin, turnoverMax, cursor, limit = 50 } = filters;
+  const params = [];
+  const where = [];
+  const param = value => `$${params.push(value)}`;
+
+  if (q) {
+    const code = String(q).trim().toUpperCase();
+    where.push(`(s.company_name ilike ${param(`%${likeEscape(String(q).trim())}%`)}
+      or s.vat_code = ${param(code.replace(/^IT/, ''))} or s.tax_code = ${param(code)})`);
+  }
+  if (status) where.push(`s.status ilike ${param(likeEscape(status))}`);
+  if (legalForm) where.push(`s.legal_form ilike ${param(likeEscape(legalForm))}`);
+  if (province) where.push(`upper(s.province) = ${param(String(province).toUpperCase())}`);
+  if (ateco) {
+    where.push(`exists (select 1 from ${fq('ateco')} x
+      where x.azienda_id = s.azienda_id and x.ateco_code like ${param(`${likeEscape(String(ateco).replace(/\./g, ''))}%`)})`);
+  }
+  if (turnoverMin !== undefined) where.push(`s.turnover >= ${param(turnoverMin)}`);
+  if (turnoverMax !== undefined) where.push(`s.turnover <= ${param(turnoverMax)}`);
+  if (cursor) where.push(`(coalesce(s.company_name, ''), s.azienda_id::text) > (${param(cursor[0])}, ${param(cursor[1])})`);
+
+  const result = await db.query(`
+    select * from (
+      select c.azienda_id, c.company_name, c.vat_code, c.tax_code, c.status, c.legal_form,
+             sede.province, sede.town, primary_ateco.ateco_code, primary_ateco.ateco_description,
+             t.value as turnover, t.fiscal_year as turnover_year, c.updated_at
+      from ${fq('companies')} c
+      -- sede legale corrente (in mancanza: l'indirizzo piu' recente)
+      left join lateral (
+        select a.province, a.town from ${fq('addresses')} a
+        where a.azienda_id = c.azienda_id
+        order by (a.address_type = 'SEDE') desc nulls last, a.effective_date desc, a.created_at desc
+        limit 1
+      ) sede on true
+      left join lateral (
+        select x.ateco_code, x.ateco_description from ${fq('ateco')} x
+        where x.azienda_id = c.azienda_id and x.raw_json->>'type' = 'primary'
+        order by x.effective_date desc, x.created_at desc
+        limit 1
+      ) primary_ateco on true
+      left join lateral (
+        select k.value, k.fiscal_year from ${fq('company_kpis')} k
+        where k.azienda_id = c.azienda_id and k.kpi_name = 'ecofin.turnover'
+        order by k.fiscal_year desc
+        limit 1
+      ) t on true
+    ) s
+    ${where.length ? `where ${where.join('\n      and ')}` : ''}
+    order by coalesce(s.company_name, ''), s.azienda_id::text
+    limit ${param(limit + 1)}
+  `, params);
+
+  // una riga in piu' dice se esiste la pagina successiva
+  const items = result.rows.slice(0, limit);
+  return {
+    items,
+    next_cursor: result.rows.length > limit ? encodeCursor(items.at(-1)) : null
+  };
+}
+
+/** Diff tra due versioni (company_versions) della stessa azienda; null se una delle due non esiste. */
+export async function getCompanyVersionDiff(db, aziendaId, versionA, versionB, { schema = SCHEMA } = {}) {
+  // version_id::text e' sempre minuscolo: gli UUID in maiuscolo vanno normalizzati prima del confronto
+  const [idA, idB] = [versionA, versionB].map(id => String(id).toLowerCase());
+  const result = await db.query(`
+    select version_id, effective_date, content_hash, ingested_at, raw_json
+    from ${schema}.company_versions
+    where azienda_id::text = $1 and version_id::text = any($2::text[])
+  `, [aziendaId, [idA, idB]]);
+  const byId = new Map(result.rows.map(r => [r.version_id, r]));
+  const a = byId.get(idA);
+  const b = byId.get(idB);
+  if (!a || !b) return null;
+
+  const meta = ({ raw_json, ...rest }) => rest;
+  return {
+    azienda_id: aziendaId,
+    from: meta(a),
+    to: meta(b),
+    ...diffJson(unwrap(a.raw_json), unwrap(b.raw_json))
+  };
+}
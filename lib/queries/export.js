@@ -0,0 +1,83 @@
+import { listCompanies, decodeCursor } from './company.js';
+import { SCHEMA } from '../config.js';
+
+/** Dati degli export (lib/export.js). `db` e' un pg Client/Pool. */
+
+// limite delle righe di un export di portafoglio: oltre l'export e' troncato (truncated)
+export const MAX_EXPORT_COMPANIES = 10000;
+
+async function companyOf(db, fq, aziendaId) {
+  const res = await db.query(`
+    select azienda_id, company_name from ${fq('companies')} where azienda_id::text = $1
+  `, [aziendaId]);
+  return res.rows[0] ?? null;
+}
+
+/**
+ * Voci di bilancio di un'azienda con descrizione e ordine della legenda (release collegata,
+ * altrimenti legenda corrente); null se l'azienda non esiste.
+ */
+export async function getBalanceExport(db, aziendaId, { schema = SCHEMA } = {}) {
+  const fq = table => `${schema}.${table}`;
+  const company = await companyOf(db, fq, aziendaId);
+  if (!company) return null;
+
+  const res = await db.query(`
+    select b.year, b.statement, b.code, coalesce(v.description, l.description, b.description) as description,
+           b.amount, b.currency, b.is_comparative, b.legend_release_id, coalesce(v.sort_order, l.sort_order) as sort_order
+    from ${fq('balance_entries')} b
+    left join ${fq('legend_code_versions')} v on v.release_id = b.legend_release_id and v.code = b.code
+    left join ${fq('legend_codes')} l on l.code = b.code
+    where b.azienda_id = $1
+    order by b.year, b.statement, sort_order nulls last, b.code
+  `, [company.azienda_id]);
+  return { company, entries: res.rows };
+}
+
+/** KPI del provider di un'azienda; null se l'azienda non esiste. */
+export async function getKpiExport(db, aziendaId, { schema = SCHEMA } = {}) {
+  const fq = table => `${schema}.${table}`;
+  const company = await companyOf(db, fq, aziendaId);
+  if (!company) return null;
+
+  const res = await db.query(`
+    select fiscal_year, block, kpi_name, value, is_comparative from ${fq('company_kpis')}
+    where azienda_id = $1
+    order by fiscal_year, block, kpi_name
+  `, [company.azienda_id]);
+  return { company, kpis: res.rows };
+}
+
+/**
+ * Tutte le aziende che rispettano i filtri di listCompanies, con i KPI `kpiNames` (esercizio `year`,
+ * o l'ultimo disponibile). Ritorna { companies, kpis: Map azienda_id -> Map kpi_name -> { value, fiscal_year },
+ * truncated } con truncated se le aziende superano MAX_EXPORT_COMPANIES.
+ */
+export async function getPortfolioExport(db, filters = {}, { kpiNames = [], year } = {}, { schema = SCHEMA } = {}) {
+  const fq = table => `${schema}.${table}`;
+  const companies = [];
+  let cursor = null;
+  do {
+    const page = await listCompanies(db, { ...filters, cursor, limit: 200 }, { schema });
+    companies.push(...page.items);
+    cursor = page.next_cursor ? decodeCursor(page.next_cursor) : null;
+  } while (cursor && companies.length < MAX_EXPORT_COMPANIES);
+
+  const truncated = companies.length > MAX_EXPORT_COMPANIES || cursor !== null;
+  companies.splice(MAX_EXPORT_COMPANIES);
+
+  const kpis = new Map();
+  if (kpiNames.length && companies.length) {
+    const res = await db.query(`
+      select distinct on (azienda_id, kpi_name) azienda_id, kpi_name, value, fiscal_year
+      from ${fq('company_kpis')}
+      where azienda_id = any($1::uuid[]) and kpi_name = any($2::text[]) and ($3::int is null or fiscal_year = $3)
+      order by azienda_id, kpi_name, fiscal_year desc
+    `, [companies.map(c => c.azienda_id), kpiNames, year ?? null]);
+    for (const row of res.rows) {
+      if (!kpis.has(row.azienda_id)) kpis.set(row.azienda_id, new Map());
+      kpis.get(row.azienda_id).set(row.kpi_name, { value: row.value, fiscal_year: row.fiscal_year });
+    }
+  }
+  return { companies, kpis, truncated };
+}
@@ -0,0 +1,125 @@
+import { SCHEMA } from '../config.js';
+import { STATEMENTS } from '../statements.js';
+
+/**
+ * Triage dei codici di bilancio fuori legenda (unmapped_codes): un analista li definisce come nuove voci
+ * di legend_codes o li collega come alias di una voce esistente. `db` e' un pg Client/Pool.
+ */
+
+export const TRIAGE_ACTIONS = ['define', 'alias'];
+
+/** Errore di input del triage: il server lo traduce in `status` (400/404/409). */
+export function triageError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** Coda dei codici non mappati, con quante voci di bilancio e aziende li usano. */
+export async function listUnmappedCodes(db, { schema = SCHEMA } = {}) {
+  const fq = table => `${schema}.${table}`;
+  const res = await db.query(`
+    select u.*, coalesce(b.entries, 0)::int as entries, coalesce(b.companies, 0)::int as companies,
+           b.source_paths, b.years
+    from ${fq('unmapped_codes')} u
+    left join lateral (
+      select count(*) as entries, count(distinct azienda_id) as companies,
+             array_agg(distinct source_path) as source_paths, array_agg(distinct year order by year) as years
+      from ${fq('balance_entries')} where code = u.code
+    ) b on true
+    order by u.occurrences desc, u.last_seen_at desc
+  `);
+  return res.rows;
+}
+
+/** Voci di legenda per la scelta di padre/alias: ricerca su codice o descrizione. */
+export async function searchLegendCodes(db, { q, statement, limit = 50 } = {}, { schema = SCHEMA } = {}) {
+  const fq = table => `${schema}.${table}`;
+  const res = await db.query(`
+    select code, description, statement, parent_code, sign, outline, alias_of, source
+    from ${fq('legend_codes')}
+    where ($1::text is null or code ilike $1 || '%' or description ilike '%' || $1 || '%')
+      and ($2::text is null or statement = $2)
+    order by sort_order nulls last, code
+    limit $3
+  `, [q || null, statement || null, limit]);
+  return res.rows;
+}
+
+/** Storico delle decisioni di triage, dalla piu' recente. */
+export async function listLegendDecisions(db, { code, limit = 100 } = {}, { schema = SCHEMA } = {}) {
+  const fq = table => `${schema}.${table}`;
+  const res = await db.query(`
+    select * from ${fq('legend_code_decisions')}
+    where ($1::text is null or code = $1)
+    order by decided_at desc
+    limit $2
+  `, [code || null, limit]);
+  return res.rows;
+}
+
+async function legendRow(db, fq, code) {
+  const res = await db.query(`select * from ${fq('legend_codes')} where code = $1`, [code]);
+  return res.rows[0] || null;
+}
+
+/**
+ * Risolve un codice non mappato. `decision`:
+ *   { action: 'define', description, statement, parent_code?, sign?, decided_by, note? }
+ *   { action: 'alias', alias_of, decided_by, note? }  (descrizione e statement presi dalla voce di destinazione)
+ * In un'unica istruzione: nuova riga legend_codes, descrizione riscritta su tutte le balance_entries
+ * del codice, codice tolto dalla coda, decisione registrata. Ritorna la riga di legend_code_decisions.
+ */
+export async function resolveUnmappedCode(db, code, decision, { schema = SCHEMA } = {}) {
+  const fq = table => `${schema}.${table}`;
+  const { action, decided_by, note = null } = decision;
+
+  if (!TRIAGE_ACTIONS.includes(action)) throw triageError(400, `action non valida (${TRIAGE_ACTIONS.join(', ')})`);
+  if (!decided_by || !String(decided_by).trim()) throw triageError(400, 'decided_by obbligatorio (chi prende la decisione)');
+  if (await legendRow(db, fq, code)) throw triageError(409, `Il codice ${code} e' gia' in legenda`);
+
+  let row;
+  if (action === 'alias') {
+    const target = decision.alias_of && await legendRow(db, fq, decision.alias_of);
+    if (!target) throw triageError(400, `alias_of: codice di legenda ${decision.alias_of ?? '(mancante)'} inesistente`);
+    // gli alias puntano sempre alla voce canonica, mai a un altro alias
+    const canonical = target.alias_of ? await legendRow(db, fq, target.alias_of) : target;
+    row = {
+      description: canonical.description, statement: canonical.statement, parent_code: null, sign: 1, alias_of: canonical.code
+    };
+  } else {
+    const description = String(decision.description || '').trim();
+    if (!description) throw triageError(400, 'description obbligatoria');
+    if (!STATEMENTS.includes(decision.statement)) throw triageError(400, `statement non valido (${STATEMENTS.join(', ')})`);
+    const sign = decision.sign === undefined || decision.sign === null ? 1 : Number(decision.sign);
+    if (![-1, 0, 1].includes(sign)) throw triageError(400, 'sign non valido (-1, 0, 1)');
+    if (decision.parent_code) {
+      const parent = await legendRow(db, fq, decision.parent_code);
+      if (!parent || parent.alias_of) throw triageError(400, `parent_code: ${decision.parent_code} non e' una voce di legenda`);
+    }
+    row = { description, statement: decision.statement, parent_code: decision.parent_code || null, sign, alias_of: null };
+  }
+
+  // istruzione unica (le CTE di scrittura sono atomiche): niente transazione sul client condiviso del server
+  const res = await db.query(`
+    with closed as (
+      delete from ${fq('unmapped_codes')} where code = $1 returning *
+    ), legend as (
+      insert into ${fq('legend_codes')} (code, description, statement, parent_code, sign, alias_of, source)
+      select $1, $2, $3, $4, $5, $6, 'triage' from closed
+      returning code
+    ), entries as (
+      update ${fq('balance_entries')} set description = $2
+      where code = $1 and exists (select 1 from legend)
+      returning 1
+    )
+    insert into ${fq('legend_code_decisions')}
+      (code, action, description, statement, parent_code, sign, alias_of, previous, entries_updated, decided_by, note)
+    select $1, $7, $2, $3, $4, $5, $6, (select to_jsonb(c) from closed c), (select count(*) from entries), $8, $9
+    from legend
+    returning *
+  `, [code, row.description, row.statement, row.parent_code, row.sign, row.alias_of, action, String(decided_by).trim(), note]);
+
+  if (!res.rows.length) throw triageError(404, `Codice ${code} non presente tra i codici non mappati`);
+  return res.rows[0];
+}
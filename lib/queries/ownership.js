@@ -0,0 +1,83 @@
+import { SCHEMA } from '../config.js';
+
+/**
+ * Grafo delle partecipazioni (soci/partecipate) attorno a un'azienda. `db` e' un pg Client/Pool.
+ * I nodi sono identificati dal codice fiscale: persone e aziende non ingerite non hanno azienda_id.
+ */
+
+// stessa normalizzazione degli estrattori (lib/extractors.js), che salvano i codici degli archi in maiuscolo
+const normalizeCode = code => (code ? String(code).trim().toUpperCase() || null : null);
+
+/**
+ * Nodi e archi fino a `depth` livelli dall'azienda; null se l'azienda non esiste.
+ * Ritorna { root, depth, nodes: [{ id, azienda_id, name, type, depth }], edges: [{ owner, owned, ... }] }.
+ */
+export async function getOwnershipGraph(db, aziendaId, { depth = 1 } = {}, { schema = SCHEMA } = {}) {
+  const fq = table => `${schema}.${table}`;
+
+  const companyResult = await db.query(`
+    select azienda_id, company_name, tax_code, vat_code from ${fq('companies')}
+    where azienda_id::text = $1
+  `, [aziendaId]);
+  if (companyResult.rows.length === 0) return null;
+  const root = companyResult.rows[0];
+
+  const rootCodes = [root.tax_code, root.vat_code].map(normalizeCode).filter(Boolean);
+  const rootKey = rootCodes[0] ?? root.azienda_id;
+  const nodes = new Map([[rootKey, {
+    id: rootKey, azienda_id: root.azienda_id, name: root.company_name, type: 'COMPANY', depth: 0
+  }]]);
+  const edges = new Map();
+  let frontier = [{ key: rootKey, codes: rootCodes, azienda_id: root.azienda_id }];
+
+  for (let level = 1; level <= depth && frontier.length > 0; level++) {
+    const codes = frontier.flatMap(n => n.codes);
+    const ids = frontier.map(n => n.azienda_id).filter(Boolean);
+    const edgesResult = await db.query(`
+      select e.*,
+             oc.company_name as owner_company_name, oc.tax_code as owner_company_tax_code,
+             dc.company_name as owned_company_name, dc.tax_code as owned_company_tax_code
+      from ${fq('ownership_edges')} e
+      left join ${fq('companies')} oc on oc.azienda_id = e.owner_azienda_id
+      left join ${fq('companies')} dc on dc.azienda_id = e.owned_azienda_id
+      where e.owner_tax_code = any($1::text[]) or e.owned_tax_code = any($1::text[])
+         or e.owner_azienda_id = any($2::uuid[]) or e.owned_azienda_id = any($2::uuid[])
+      order by e.effective_date desc
+    `, [codes, ids]);
+
+    const next = [];
+    for (const e of edgesResult.rows) {
+      const ownerCodes = [e.owner_company_tax_code, e.owner_tax_code].map(normalizeCode).filter(Boolean);
+      const ownedCodes = [e.owned_company_tax_code, e.owned_tax_code].map(normalizeCode).filter(Boolean);
+      const sides = [
+        { key: ownerCodes[0] ?? e.owner_azienda_id, azienda_id: e.owner_azienda_id,
+          name: e.owner_company_name || e.owner_name, type: e.owner_type, codes: ownerCodes },
+        { key: ownedCodes[0] ?? e.owned_azienda_id, azienda_id: e.owned_azienda_id,
+          name: e.owned_company_name || e.owned_name, type: 'COMPANY', codes: ownedCodes }
+      ];
+      if (!sides[0].key || !sides[1].key) continue;
+
+      // lo stesso legame puo' essere dichiarato da entrambe le aziende: teniamo il piu' recente
+      const edgeKey = `${sides[0].key}>${sides[1].key}`;
+      if (!edges.has(edgeKey)) {
+        edges.set(edgeKey, {
+          owner: sides[0].key,
+          owned: sides[1].key,
+          relation: e.relation,
+          percent_share: e.percent_share !== null ? Number(e.percent_share) : null,
+          effective_date: e.effective_date,
+          source_azienda_id: e.source_azienda_id
+        });
+      }
+
+      for (const side of sides) {
+        if (nodes.has(side.key)) continue;
+        nodes.set(side.key, { id: side.key, azienda_id: side.azienda_id, name: side.name, type: side.type, depth: level });
+        next.push({ key: side.key, codes: side.codes, azienda_id: side.azienda_id });
+      }
+    }
+    frontier = next;
+  }
+
+  return { root: rootKey, depth, nodes: [...nodes.values()], edges: [...edges.values()] };
+}
@@ -0,0 +1,210 @@
+import fs from 'fs';
+import { CODE_RE } from './extractors.js';
+
+/**
+ * Indici di bilancio ricalcolati da balance_entries con le formule di ratios.json (dati, non codice)
+ * e confrontati con i KPI del provider. Le formule passano da un parser dedicato: solo numeri,
+ * codici di legenda, termini del catalogo, + - * / e parentesi (nessun eval).
+ */
+
+export const RATIOS_FILE = new URL('../ratios.json', import.meta.url);
+
+// scarto ammesso rispetto al provider, che arrotonda a 2-4 decimali
+export const DEFAULT_TOLERANCE = { absolute: 0.01, relative: 0.01 };
+
+const TOKEN_RE = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/()]))/y;
+const TERM_RE = /^[a-z_][a-z0-9_]*$/;
+
+function tokenize(text) {
+  const tokens = [];
+  let pos = 0;
+  while (text.slice(pos).trim()) {
+    TOKEN_RE.lastIndex = pos;
+    const m = TOKEN_RE.exec(text);
+    if (!m) throw new Error(`carattere non ammesso: "${text.slice(pos).trim()[0]}"`);
+    if (m[1]) tokens.push({ type: 'num', value: Number(m[1]) });
+    else if (m[2]) tokens.push({ type: 'name', value: m[2] });
+    else tokens.push({ type: 'op', value: m[3] });
+    pos = TOKEN_RE.lastIndex;
+  }
+  return tokens;
+}
+
+/**
+ * Formula -> albero { type: num|code|term|neg|bin }.
+ * Grammatica: expr = term (("+"|"-") term)*, term = unary (("*"|"/") unary)*,
+ * unary = "-" unary | primary, primary = numero | CODICE | termine | "(" expr ")".
+ */
+export function parseFormula(text) {
+  const tokens = tokenize(String(text));
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (...ops) => peek()?.type === 'op' && ops.includes(peek().value);
+
+  function primary() {
+    const tok = tokens[pos++];
+    if (!tok) throw new Error('formula incompleta');
+    if (tok.type === 'num') return { type: 'num', value: tok.value };
+    if (tok.type === 'name') {
+      if (CODE_RE.test(tok.value)) return { type: 'code', code: tok.value };
+      if (TERM_RE.test(tok.value)) return { type: 'term', name: tok.value };
+      throw new Error(`"${tok.value}" non e' ne' un codice di legenda ne' un termine`);
+    }
+    if (tok.value === '(') {
+      const node = expr();
+      if (!isOp(')')) throw new Error('parentesi non chiusa');
+      pos++;
+      return node;
+    }
+    throw new Error(`operatore inatteso "${tok.value}"`);
+  }
+  function unary() {
+    if (isOp('-')) {
+      pos++;
+      return { type: 'neg', arg: unary() };
+    }
+    return primary();
+  }
+  function term() {
+    let node = unary();
+    while (isOp('*', '/')) {
+      const op = tokens[pos++].value;
+      node = { type: 'bin', op, left: node, right: unary() };
+    }
+    return node;
+  }
+  function expr() {
+    let node = term();
+    while (isOp('+', '-')) {
+      const op = tokens[pos++].value;
+      node = { type: 'bin', op, left: node, right: term() };
+    }
+    return node;
+  }
+
+  const tree = expr();
+  if (pos < tokens.length) throw new Error(`token inatteso "${tokens[pos].value}"`);
+  return tree;
+}
+
+function referencedTerms(node, out = new Set()) {
+  if (node.type === 'term') out.add(node.name);
+  if (node.arg) referencedTerms(node.arg, out);
+  if (node.left) referencedTerms(node.left, out);
+  if (node.right) referencedTerms(node.right, out);
+  return out;
+}
+
+/** Legge e compila il catalogo: formule non valide, termini inesistenti o circolari sono errori. */
+export function loadRatioCatalogue(file = RATIOS_FILE) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const compile = (label, formula) => {
+    try {
+      return parseFormula(formula);
+    } catch (err) {
+      throw new Error(`ratios.json ${label}: ${err.message}`);
+    }
+  };
+
+  const terms = new Map(Object.entries(raw.terms || {}).map(([name, formula]) => {
+    if (!TERM_RE.test(name)) throw new Error(`ratios.json: nome di termine non valido "${name}"`);
+    return [name, compile(`terms.${name}`, formula)];
+  }));
+  const checkTerms = (label, tree, path = []) => {
+    for (const name of referencedTerms(tree)) {
+      if (!terms.has(name)) throw new Error(`ratios.json ${label}: termine sconosciuto "${name}"`);
+      if (path.includes(name)) throw new Error(`ratios.json ${label}: termini circolari ${[...path, name].join(' -> ')}`);
+      checkTerms(label, terms.get(name), [...path, name]);
+    }
+  };
+  for (const [name, tree] of terms) checkTerms(`terms.${name}`, tree, [name]);
+
+  const ids = new Set();
+  const ratios = (raw.ratios || []).map(r => {
+    if (!r.id || ids.has(r.id)) throw new Error(`ratios.json: id mancante o duplicato "${r.id}"`);
+    ids.add(r.id);
+    const tree = compile(r.id, r.formula);
+    checkTerms(r.id, tree);
+    return { ...r, tolerance: { ...DEFAULT_TOLERANCE, ...r.tolerance }, tree };
+  });
+  return { version: raw.version ?? null, terms, ratios };
+}
+
+// valore della formula; null se una divisione ha denominatore 0. I codici assenti valgono 0 e finiscono in `missing`
+function evaluate(node, ctx) {
+  switch (node.type) {
+    case 'num':
+      return node.value;
+    case 'code':
+      if (ctx.amounts.has(node.code)) {
+        ctx.found.add(node.code);
+        return ctx.amounts.get(node.code);
+      }
+      ctx.missing.add(node.code);
+      return 0;
+    case 'term':
+      return evaluate(ctx.terms.get(node.name), ctx);
+    case 'neg': {
+      const v = evaluate(node.arg, ctx);
+      return v === null ? null : -v;
+    }
+    default: {
+      const [a, b] = [evaluate(node.left, ctx), evaluate(node.right, ctx)];
+      if (a === null || b === null) return null;
+      if (node.op === '+') return a + b;
+      if (node.op === '-') return a - b;
+      if (node.op === '*') return a * b;
+      return b === 0 ? null : a / b;
+    }
+  }
+}
+
+let defaultCatalogue = null;
+
+/** Catalogo di ratios.json, letto una volta per processo. */
+export function ratioCatalogue() {
+  return (defaultCatalogue ??= loadRatioCatalogue());
+}
+
+const round4 = n => Math.round(n * 10000) / 10000;
+
+/**
+ * Calcola il catalogo su un esercizio. `amounts`: Map code -> importo; `provider`: Map kpi_name -> valore.
+ * Ritorna righe { ratio_id, value, provider_kpi, provider_value, difference, status, details } con status:
+ *   match / mismatch   confronto con il KPI del provider entro la tolleranza
+ *   computed           il payload non ha il KPI: il valore calcolato e' l'unico disponibile
+ *   not_computable     nessun codice della formula presente, o denominatore 0
+ */
+export function computeRatios(amounts, provider = new Map(), catalogue = ratioCatalogue()) {
+  return catalogue.ratios.map(ratio => {
+    const ctx = { amounts, terms: catalogue.terms, found: new Set(), missing: new Set() };
+    const raw = evaluate(ratio.tree, ctx);
+    const value = raw === null || ctx.found.size === 0 ? null : round4(raw);
+    const provider_value = ratio.provider && provider.has(ratio.provider) ? Number(provider.get(ratio.provider)) : null;
+
+    let status = 'computed';
+    let difference = null;
+    if (value === null) {
+      status = 'not_computable';
+    } else if (provider_value !== null) {
+      difference = round4(value - provider_value);
+      const allowed = Math.max(ratio.tolerance.absolute, Math.abs(provider_value) * ratio.tolerance.relative);
+      status = Math.abs(difference) <= allowed ? 'match' : 'mismatch';
+    }
+    return {
+      ratio_id: ratio.id,
+      value,
+      provider_kpi: ratio.provider ?? null,
+      provider_value,
+      difference,
+      status,
+      details: {
+        name: ratio.name,
+        unit: ratio.unit ?? null,
+        formula: ratio.formula,
+        missing: [...ctx.missing],
+        ...(ctx.found.size === 0 ? { reason: 'nessuna voce disponibile' } : raw === null ? { reason: 'denominatore zero' } : {})
+      }
+    };
+  });
+}
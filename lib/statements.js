@@ -0,0 +1,33 @@
+/**
+ * Statement (SP_A / SP_P / CE) delle voci di bilancio. Fa fede la legenda (release in vigore e voci
+ * del triage, con lo statement della radice civilistica: vedi lib/legend.js, che completa la legenda del
+ * provider con l'attivo di schemi_bilancio_attivo.json). Il gruppo del payload e l'euristica sui
+ * prefissi servono solo quando la legenda non conosce il codice, e i disaccordi diventano conflitti.
+ */
+
+export const STATEMENTS = ['SP_A', 'SP_P', 'CE'];
+
+// euristica storica dell'estrattore sui prefissi: usata solo senza gruppo nel payload
+export function heuristicStatement(code) {
+  return code.startsWith('IPL') ? 'SP_P' : (code.startsWith('IIC1') ? 'CE' : 'SP_A');
+}
+
+// fonti in ordine di autorita': vince la prima che conosce il codice
+const SOURCES = ['legend', 'group', 'heuristic'];
+
+/**
+ * Statement di una voce. `legend`: statement della legenda (o null), `group`: quello del gruppo del
+ * payload in cui l'estrattore ha trovato la voce (null se l'ha ricavato dall'euristica); l'euristica sui
+ * prefissi decide solo quando legenda e gruppo non conoscono il codice. Ritorna
+ * { statement, source: legend|group|heuristic, votes, conflict } con votes { legend, group, heuristic } e
+ * conflict { sources, ...votes } se legenda e gruppo non concordano (sources: le fonti in disaccordo).
+ * L'euristica sbaglia per costruzione (IIC180 e seguenti dell'attivo, riserve IIC2xx): il suo voto
+ * resta in votes ma non e' mai un conflitto.
+ */
+export function classifyStatement(code, { legend = null, group = null } = {}) {
+  const votes = { legend, group, heuristic: heuristicStatement(code) };
+  const source = SOURCES.find(name => votes[name]);
+  const statement = votes[source];
+  const sources = ['legend', 'group'].filter(name => votes[name] && votes[name] !== statement);
+  return { statement, source, votes, conflict: sources.length ? { sources, ...votes } : null };
+}
@@ -0,0 +1,125 @@
+import { v4 as uuidv4 } from 'uuid';
+import { loadLegendHierarchy } from '../legend.js';
+
+/**
+ * Storage "a secco" (--dry-run): nessuna connessione al DB. Le scritture vengono solo registrate
+ * con la tabella di destinazione e il percorso JSON di origine; le letture ritornano lo stato
+ * di un DB vuoto, quindi il risultato e' cio' che una prima ingestion scriverebbe.
+ */
+
+// metodo di scrittura -> [operazione, tabella, righe(args), sorgente della riga]
+const WRITES = {
+  upsertCompany: ['upsert', 'companies', ([row]) => [row], () => 'companyDetails'],
+  insertCompanyVersion: ['insert', 'company_versions', ([row]) => [row], () => '$'],
+  insertRawSection: ['insert', 'raw_sections', ([row]) => [row], () => '$'],
+  insertContacts: ['insert', 'contacts', ([row]) => [row]],
+  insertAddress: ['insert', 'addresses', ([row]) => [row]],
+  insertAteco: ['insert', 'ateco', ([row]) => [row]],
+  recordUnmappedCode: ['upsert', 'unmapped_codes', ([code, statement_guess]) => [{ code, statement_guess }]],
+  upsertStatementConflict: ['upsert', 'statement_conflicts', ([row]) => [row]],
+  upsertBalanceEntry: ['upsert', 'balance_entries', ([row]) => [row]],
+  upsertBalanceChecks: ['upsert', 'balance_checks', ([rows]) => rows, () => null],
+  upsertKpis: ['upsert', 'company_kpis', ([rows]) => rows, row => row.source_path],
+  upsertComputedRatios: ['upsert', 'computed_ratios', ([rows]) => rows, () => null],
+  upsertManager: ['upsert', 'managers', ([row]) => [row]],
+  insertManagerRole: ['insert', 'manager_roles', ([row]) => [row]],
+  upsertOwnershipEdge: ['upsert', 'ownership_edges', ([row]) => [row]],
+  upsertUnknownFields: ['upsert', 'unknown_fields', ([azienda_id, rows]) => rows.map(r => ({ azienda_id, ...r })), row => row.json_path],
+  insertIngestion: ['insert', 'ingestions', ([row]) => [row], () => null],
+  insertIngestionErrors: ['insert', 'ingestion_errors', ([rows]) => rows, () => null]
+};
+
+// legenda del file, con gli statement ricavati dalla gerarchia come in legend_codes
+function loadLegend(file) {
+  try {
+    return new Map(loadLegendHierarchy(file).map(({ code, description, statement }) => [code, { description, statement }]));
+  } catch {
+    return new Map();
+  }
+}
+
+export function createDryRunStorage({ legendFile = './schemi_bilancio_conto_completo.json' } = {}) {
+  const legend = loadLegend(legendFile);
+  const writes = [];
+  let current = null;
+
+  const written = (table, azienda_id) => writes
+    .filter(w => w.table === table && w.row.azienda_id === azienda_id)
+    .map(w => w.row);
+
+  const tx = {
+    // percorso JSON della riga che la pipeline sta per scrivere (vedi atRow)
+    annotate(source) {
+      current = source ?? null;
+    },
+
+    async savepoint(fn) {
+      return fn();
+    },
+
+    async getCompanyVersionState() {
+      return { latest: null, seen: false };
+    },
+    async getCompanyVersionPayload() {
+      return null;
+    },
+    async getSectionRows() {
+      return [];
+    },
+    // bilancio e KPI vedono le scritture registrate: controlli e indici girano sulle righe appena "scritte"
+    async getBalanceEntryStates(azienda_id, years) {
+      return written('balance_entries', azienda_id).filter(row => years.includes(row.year));
+    },
+    async getKpiStates(azienda_id, years) {
+      return written('company_kpis', azienda_id).filter(row => years.includes(row.fiscal_year));
+    },
+    async getManagerRoles() {
+      return [];
+    },
+    async getSchemaPromotions() {
+      return [];
+    },
+    // una sola legenda, quella del file: nessuna release
+    async getLegendRelease() {
+      return null;
+    },
+    async lookupLegendCode(code) {
+      return legend.get(code) ?? null;
+    },
+    async resolveAziendaIdByTaxCode() {
+      return null;
+    },
+    async linkOwnershipEdges() {},
+    async updateManagerRole() {},
+    async deleteOwnershipEdgesExcept() {
+      return 0;
+    },
+    async getIngestion() {
+      return null;
+    },
+    async getOpenIngestionErrors() {
+      return [];
+    },
+    async resolveIngestionErrors() {},
+    async insertIngestionBatch() {},
+    async updateIngestionBatch() {}
+  };
+
+  for (const [method, [op, table, rowsOf, sourceOf]] of Object.entries(WRITES)) {
+    tx[method] = async (...args) => {
+      for (const row of rowsOf(args)) {
+        writes.push({ op, table, row, source: sourceOf ? sourceOf(row) : current });
+      }
+      return method === 'insertManagerRole' || method === 'upsertOwnershipEdge' ? uuidv4() : undefined;
+    };
+  }
+
+  return {
+    backend: 'dry-run',
+    writes,
+    async transaction(fn) {
+      return fn(tx);
+    },
+    async close() {}
+  };
+}
@@ -0,0 +1,39 @@
+import { createPostgresStorage } from './postgres.js';
+import { createSupabaseStorage } from './supabase.js';
+import { SCHEMA } from '../config.js';
+
+/**
+ * Storage dell'ingestion. Entrambi i backend ricevono righe gia' normalizzate dalla pipeline,
+ * quindi a parita' di JSON scrivono le stesse righe.
+ *
+ *   transaction(fn)  esegue fn(tx) (Postgres: begin/commit/rollback; Supabase: senza rollback)
+ *   checkSchema()    verifica che le tabelle richieste esistano nello schema configurato
+ *   close()
+ *
+ * tx: savepoint(fn) (isolamento di una sezione), getCompanyVersionPayload, getCompanyVersionState,
+ *     upsertCompany, insertCompanyVersion, insertRawSection, getSectionRows, insertContacts,
+ *     insertAddress, insertAteco, getLegendRelease, lookupLegendCode, recordUnmappedCode, upsertStatementConflict,
+ *     getBalanceEntryStates, upsertBalanceEntry, upsertBalanceChecks, getKpiStates, upsertKpis,
+ *     upsertComputedRatios, upsertManager, getManagerRoles, insertManagerRole, updateManagerRole, resolveAziendaIdByTaxCode, linkOwnershipEdges,
+ *     upsertOwnershipEdge, deleteOwnershipEdgesExcept, getSchemaPromotions, upsertUnknownFields,
+ *     insertIngestion, insertIngestionErrors, getIngestion, getOpenIngestionErrors, resolveIngestionErrors,
+ *     insertIngestionBatch, updateIngestionBatch
+ *     annotate(source) facoltativo: percorso JSON delle prossime scritture (usato da dry-run.js per --explain)
+ */
+
+export const BACKENDS = ['postgres', 'supabase'];
+
+export function createStorage(backend = process.env.STORAGE_BACKEND || 'postgres', { schema = SCHEMA } = {}) {
+  switch (backend) {
+    case 'postgres':
+      return createPostgresStorage({ connectionString: process.env.DATABASE_URL, schema });
+    case 'supabase':
+      return createSupabaseStorage({
+        url: process.env.SUPABASE_URL,
+        key: process.env.SUPABASE_SERVICE_ROLE,
+        schema
+      });
+    default:
+      throw new Error(`Storage backend sconosciuto: ${backend} (disponibili: ${BACKENDS.join(', ')})`);
+  }
+}
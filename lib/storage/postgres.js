@@ -0,0 +1,359 @@
+import pg from 'pg';
+import { assertSchema } from '../config.js';
+
+/**
+ * Storage Postgres (driver `pg`): ogni ingestion gira in una transazione su un client del pool.
+ */
+
+// oggetti/array -> jsonb (node-pg altrimenti serializza gli array come array Postgres)
+function toParam(value) {
+  if (value !== null && typeof value === 'object' && !(value instanceof Date)) return JSON.stringify(value);
+  return value ?? null;
+}
+
+function makeTx(client, SCHEMA) {
+  const fq = table => `${SCHEMA}.${table}`;
+  let savepoints = 0;
+
+  async function insertRow(table, row, { conflict, update = [], returning } = {}) {
+    const cols = Object.keys(row);
+    const params = cols.map(c => toParam(row[c]));
+    let sql = `insert into ${fq(table)} (${cols.join(', ')}) values (${cols.map((_, i) => `$${i + 1}`).join(', ')})`;
+    if (conflict) {
+      sql += update.length
+        ? ` on conflict (${conflict}) do update set ${update.map(c => `${c} = excluded.${c}`).join(', ')}`
+        : ` on conflict (${conflict}) do nothing`;
+    }
+    if (returning) sql += ` returning ${returning}`;
+    return client.query(sql, params);
+  }
+
+  return {
+    query: (sql, params) => client.query(sql, params),
+
+    // fn in un savepoint: se fallisce si annullano solo le sue scritture e la transazione resta utilizzabile
+    async savepoint(fn) {
+      const name = `section_${++savepoints}`;
+      await client.query(`savepoint ${name}`);
+      try {
+        const result = await fn();
+        await client.query(`release savepoint ${name}`);
+        return result;
+      } catch (err) {
+        await client.query(`rollback to savepoint ${name}`);
+        throw err;
+      }
+    },
+
+    async upsertCompany(row) {
+      await insertRow('companies', { ...row, updated_at: new Date().toISOString() }, {
+        conflict: 'azienda_id',
+        update: Object.keys(row).filter(c => c !== 'azienda_id').concat('updated_at')
+      });
+    },
+
+    async getCompanyVersionPayload(azienda_id, content_hash) {
+      const res = await client.query(`
+        select raw_json from ${fq('company_versions')}
+        where azienda_id = $1 and content_hash = $2
+        order by ingested_at desc limit 1
+      `, [azienda_id, content_hash]);
+      return res.rows[0]?.raw_json ?? null;
+    },
+
+    async getCompanyVersionState(azienda_id, content_hash) {
+      const res = await client.query(`
+        select content_hash, effective_date,
+               exists (select 1 from ${fq('company_versions')} where azienda_id = $1 and content_hash = $2) as seen
+        from ${fq('company_versions')}
+        where azienda_id = $1
+        order by effective_date desc, ingested_at desc
+        limit 1
+      `, [azienda_id, content_hash]);
+      const row = res.rows[0];
+      return {
+        latest: row ? { content_hash: row.content_hash, effective_date: row.effective_date.toISOString() } : null,
+        seen: row?.seen === true
+      };
+    },
+
+    async insertCompanyVersion(row) {
+      await client.query(`
+        insert into ${fq('company_versions')} (azienda_id, effective_date, content_hash, raw_json)
+        values ($1,$2,$3,$4)
+        on conflict do nothing
+      `, [row.azienda_id, row.effective_date, row.content_hash, toParam(row.raw_json)]);
+    },
+
+    async insertRawSection(row) {
+      await insertRow('raw_sections', row);
+    },
+
+    async getSectionRows(table, azienda_id) {
+      const res = await client.query(
+        `select effective_date, raw_json from ${fq(table)} where azienda_id = $1`, [azienda_id]);
+      return res.rows.map(r => ({ effective_date: r.effective_date.toISOString(), raw_json: r.raw_json }));
+    },
+
+    async insertContacts(row) {
+      await insertRow('contacts', row);
+    },
+
+    async insertAddress(row) {
+      await insertRow('addresses', row);
+    },
+
+    async insertAteco(row) {
+      await insertRow('ateco', row);
+    },
+
+    // release della legenda in vigore alla chiusura dell'esercizio (31/12); null se nessuna la copre
+    async getLegendRelease(year) {
+      const res = await client.query(`
+        select release_id from ${fq('legend_releases')}
+        where valid_from <= make_date($1, 12, 31) and (valid_to is null or valid_to >= make_date($1, 12, 31))
+        order by valid_from desc limit 1
+      `, [year]);
+      return res.rows[0]?.release_id ?? null;
+    },
+
+    // { description, statement } nella release indicata; altrimenti dalla legenda corrente (voci del triage incluse)
+    async lookupLegendCode(code, releaseId = null) {
+      const res = await client.query(`
+        select description, statement from (
+          select 1 as priority, description, statement from ${fq('legend_code_versions')} where release_id=$2 and code=$1
+          union all
+          select 2, description, statement from ${fq('legend_codes')} where code=$1
+        ) found order by priority limit 1
+      `, [code, releaseId]);
+      return res.rows[0] ?? null;
+    },
+
+    async recordUnmappedCode(code, statementGuess) {
+      await client.query(`
+        insert into ${fq('unmapped_codes')} (code, statement_guess, occurrences)
+        values ($1,$2,1)
+        on conflict (code) do update set last_seen_at=now(), occurrences=unmapped_codes.occurrences+1
+      `, [code, statementGuess]);
+    },
+
+    async upsertStatementConflict(row) {
+      await insertRow('statement_conflicts', row, {
+        conflict: 'azienda_id, code',
+        update: ['statement', 'source', 'legend_statement', 'group_statement', 'heuristic_statement', 'detected_by', 'detected_at']
+      });
+    },
+
+    async getBalanceEntryStates(azienda_id, years) {
+      const res = await client.query(`
+        select year, statement, code, amount, filing_year, is_comparative from ${fq('balance_entries')}
+        where azienda_id = $1 and year = any($2::int[])
+      `, [azienda_id, years]);
+      return res.rows;
+    },
+
+    async upsertBalanceEntry(row) {
+      await insertRow('balance_entries', row, {
+        conflict: 'azienda_id, year, statement, code',
+        update: ['description', 'amount', 'currency', 'source_path', 'note', 'content_hash', 'filing_year', 'is_comparative',
+          'legend_release_id']
+      });
+    },
+
+    async upsertBalanceChecks(rows) {
+      for (const row of rows) {
+        await insertRow('balance_checks', row, {
+          conflict: 'azienda_id, year, check_id',
+          update: ['status', 'expected', 'actual', 'difference', 'tolerance', 'details', 'ingestion_id', 'checked_at']
+        });
+      }
+    },
+
+    async upsertComputedRatios(rows) {
+      for (const row of rows) {
+        await insertRow('computed_ratios', row, {
+          conflict: 'azienda_id, year, ratio_id',
+          update: ['value', 'provider_kpi', 'provider_value', 'difference', 'status', 'details', 'catalogue_version',
+            'ingestion_id', 'computed_at']
+        });
+      }
+    },
+
+    async getKpiStates(azienda_id, years) {
+      const res = await client.query(`
+        select fiscal_year, kpi_name, value, filing_year, is_comparative from ${fq('company_kpis')}
+        where azienda_id = $1 and fiscal_year = any($2::int[])
+      `, [azienda_id, years]);
+      return res.rows;
+    },
+
+    async upsertKpis(rows) {
+      for (const row of rows) {
+        await insertRow('company_kpis', row, {
+          conflict: 'azienda_id, fiscal_year, kpi_name',
+          update: ['block', 'value', 'source_path', 'effective_date', 'filing_year', 'is_comparative', 'updated_at']
+        });
+      }
+    },
+
+    async upsertManager(row) {
+      await insertRow('managers', row, {
+        conflict: 'manager_id',
+        update: Object.keys(row).filter(c => c !== 'manager_id')
+      });
+    },
+
+    async getManagerRoles(azienda_id) {
+      const res = await client.query(`
+        select role_id, manager_id, role_code, to_char(role_start_date, 'YYYY-MM-DD') as role_start_date, role_end_date
+        from ${fq('manager_roles')} where azienda_id = $1
+      `, [azienda_id]);
+      return res.rows;
+    },
+
+    async insertManagerRole(row) {
+      const res = await insertRow('manager_roles', row, { returning: 'role_id' });
+      return res.rows[0].role_id;
+    },
+
+    async updateManagerRole(role_id, patch) {
+      const cols = Object.keys(patch);
+      await client.query(
+        `update ${fq('manager_roles')} set ${cols.map((c, i) => `${c} = $${i + 2}`).join(', ')} where role_id = $1`,
+        [role_id, ...cols.map(c => toParam(patch[c]))]
+      );
+    },
+
+    async resolveAziendaIdByTaxCode(taxCode, candidateId) {
+      const res = await client.query(`
+        select azienda_id from ${fq('companies')}
+        where azienda_id = $1 or tax_code = $2 or vat_code = $2
+        limit 1
+      `, [candidateId, taxCode]);
+      return res.rows[0]?.azienda_id || null;
+    },
+
+    async linkOwnershipEdges(azienda_id, taxCodes) {
+      for (const side of ['owner', 'owned']) {
+        await client.query(`
+          update ${fq('ownership_edges')} set ${side}_azienda_id = $1, updated_at = now()
+          where ${side}_azienda_id is null and ${side}_tax_code = any($2::text[])
+        `, [azienda_id, taxCodes]);
+      }
+    },
+
+    async upsertOwnershipEdge(row) {
+      const res = await insertRow('ownership_edges', row, {
+        conflict: 'source_azienda_id, relation, owner_tax_code, owned_tax_code',
+        update: Object.keys(row).filter(c => !['source_azienda_id', 'relation', 'owner_tax_code', 'owned_tax_code'].includes(c)),
+        returning: 'edge_id'
+      });
+      return res.rows[0].edge_id;
+    },
+
+    async deleteOwnershipEdgesExcept(source_azienda_id, keepIds) {
+      const res = await client.query(`
+        delete from ${fq('ownership_edges')}
+        where source_azienda_id = $1 and not (edge_id = any($2::uuid[]))
+      `, [source_azienda_id, keepIds]);
+      return res.rowCount;
+    },
+
+    async getSchemaPromotions() {
+      const res = await client.query(`select json_path, target_table, column_name from ${fq('schema_promotions')}`);
+      return res.rows;
+    },
+
+    // una riga per (azienda, percorso): occorrenze = ingestion in cui e' comparso, tipi sommati su tutti i valori
+    async upsertUnknownFields(azienda_id, rows) {
+      for (const row of rows) {
+        await client.query(`
+          insert into ${fq('unknown_fields')} as u (azienda_id, section, json_path, value_jsonb, observed_types)
+          values ($1,$2,$3,$4,$5)
+          on conflict (azienda_id, section, json_path) do update set
+            value_jsonb = excluded.value_jsonb,
+            last_seen_at = now(),
+            occurrences = u.occurrences + 1,
+            observed_types = (
+              select jsonb_object_agg(k, coalesce((u.observed_types->>k)::int, 0) + coalesce((excluded.observed_types->>k)::int, 0))
+              from jsonb_object_keys(coalesce(u.observed_types, '{}'::jsonb) || excluded.observed_types) as k
+            )
+        `, [azienda_id, row.section, row.json_path, JSON.stringify(row.value), toParam(row.observed_types)]);
+      }
+    },
+
+    async insertIngestion(row) {
+      await insertRow('ingestions', row);
+    },
+
+    async insertIngestionErrors(rows) {
+      for (const row of rows) await insertRow('ingestion_errors', row);
+    },
+
+    async getIngestion(ingestion_id) {
+      const res = await client.query(`select * from ${fq('ingestions')} where ingestion_id = $1`, [ingestion_id]);
+      return res.rows[0] || null;
+    },
+
+    async getOpenIngestionErrors(ingestion_id) {
+      const res = await client.query(`
+        select * from ${fq('ingestion_errors')} where ingestion_id = $1 and resolved_at is null
+      `, [ingestion_id]);
+      return res.rows;
+    },
+
+    async resolveIngestionErrors(error_ids, resolved_by) {
+      await client.query(`
+        update ${fq('ingestion_errors')} set resolved_at = now(), resolved_by = $2
+        where error_id = any($1::uuid[])
+      `, [error_ids, resolved_by]);
+    },
+
+    async insertIngestionBatch(row) {
+      await insertRow('ingestion_batches', row);
+    },
+
+    async updateIngestionBatch(batch_id, patch) {
+      const cols = Object.keys(patch);
+      await client.query(
+        `update ${fq('ingestion_batches')} set ${cols.map((c, i) => `${c} = $${i + 2}`).join(', ')} where batch_id = $1`,
+        [batch_id, ...cols.map(c => toParam(patch[c]))]
+      );
+    }
+  };
+}
+
+export function createPostgresStorage({ connectionString, schema }) {
+  const pool = new pg.Pool({
+    connectionString,
+    ssl: { rejectUnauthorized: false }
+  });
+
+  return {
+    backend: 'postgres',
+    schema,
+
+    async checkSchema(tables) {
+      await assertSchema(pool, { schema, tables });
+    },
+
+    async transaction(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query('begin');
+        const result = await fn(makeTx(client, schema));
+        await client.query('commit');
+        return result;
+      } catch (err) {
+        await client.query('rollback').catch(() => {});
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+
+    async close() {
+      await pool.end();
+    }
+  };
+}
@@ -0,0 +1,305 @@
+import { createClient } from '@supabase/supabase-js';
+import { REQUIRED_TABLES, missingTablesError } from '../config.js';
+
+/**
+ * Storage Supabase: DML via supabase-js (HTTP).
+ * PostgREST non espone transazioni: transaction() esegue fn senza rollback.
+ */
+
+export function createSupabaseStorage({ url, key, schema }) {
+  const supa = createClient(url, key, {
+    auth: { persistSession: false },
+    db: { schema }   // <- qui diciamo allo SDK quale schema usare
+  });
+
+  /** --------- DML helper (HTTP) --------- */
+  async function upsert(table, rows, conflict) {
+    const { data, error } = await supa.from(table).upsert(rows, { onConflict: conflict, ignoreDuplicates: false }).select();
+    if (error) throw error;
+    return data;
+  }
+  async function insert(table, rows) {
+    const { data, error } = await supa.from(table).insert(rows).select();
+    if (error) throw error;
+    return data;
+  }
+
+  const tx = {
+    // niente savepoint via HTTP: le righe gia' scritte da una sezione fallita restano
+    async savepoint(fn) {
+      return fn();
+    },
+
+    async upsertCompany(row) {
+      await upsert('companies', [{ ...row, updated_at: new Date().toISOString() }], 'azienda_id');
+    },
+
+    async getCompanyVersionPayload(azienda_id, content_hash) {
+      const { data, error } = await supa.from('company_versions').select('raw_json')
+        .eq('azienda_id', azienda_id)
+        .eq('content_hash', content_hash)
+        .order('ingested_at', { ascending: false })
+        .limit(1);
+      if (error) throw error;
+      return data?.[0]?.raw_json ?? null;
+    },
+
+    async getCompanyVersionState(azienda_id, content_hash) {
+      const { data, error } = await supa.from('company_versions')
+        .select('content_hash, effective_date')
+        .eq('azienda_id', azienda_id)
+        .order('effective_date', { ascending: false })
+        .order('ingested_at', { ascending: false })
+        .limit(1);
+      if (error) throw error;
+      const { count: seen, error: seenError } = await supa.from('company_versions')
+        .select('version_id', { count: 'exact', head: true })
+        .eq('azienda_id', azienda_id)
+        .eq('content_hash', content_hash);
+      if (seenError) throw seenError;
+      return { latest: data?.[0] || null, seen: seen > 0 };
+    },
+
+    async insertCompanyVersion(row) {
+      const { error } = await supa.from('company_versions').insert([row]);
+      if (error && error.code !== '23505') throw error; // on conflict do nothing
+    },
+
+    async insertRawSection(row) {
+      await insert('raw_sections', [row]);
+    },
+
+    async getSectionRows(table, azienda_id) {
+      const { data, error } = await supa.from(table).select('effective_date, raw_json').eq('azienda_id', azienda_id);
+      if (error) throw error;
+      return data;
+    },
+
+    async insertContacts(row) {
+      await insert('contacts', [row]);
+    },
+
+    async insertAddress(row) {
+      await insert('addresses', [row]);
+    },
+
+    async insertAteco(row) {
+      await insert('ateco', [row]);
+    },
+
+    async getLegendRelease(year) {
+      const { data, error } = await supa.from('legend_releases')
+        .select('release_id, valid_to')
+        .lte('valid_from', `${year}-12-31`)
+        .order('valid_from', { ascending: false })
+        .limit(1);
+      if (error) throw error;
+      const release = data?.[0];
+      return release && (!release.valid_to || release.valid_to >= `${year}-12-31`) ? release.release_id : null;
+    },
+
+    async lookupLegendCode(code, releaseId = null) {
+      if (releaseId) {
+        const { data, error } = await supa.from('legend_code_versions')
+          .select('description, statement').eq('release_id', releaseId).eq('code', code).maybeSingle();
+        if (error) throw error;
+        if (data) return data;
+      }
+      const { data, error } = await supa.from('legend_codes').select('description, statement').eq('code', code).maybeSingle();
+      if (error) throw error;
+      return data ?? null;
+    },
+
+    async recordUnmappedCode(code, statementGuess) {
+      const { data, error } = await supa.from('unmapped_codes').select('occurrences').eq('code', code).maybeSingle();
+      if (error) throw error;
+      if (data) {
+        const { error: updError } = await supa.from('unmapped_codes')
+          .update({ occurrences: (data.occurrences || 0) + 1, last_seen_at: new Date().toISOString() })
+          .eq('code', code);
+        if (updError) throw updError;
+      } else {
+        await insert('unmapped_codes', [{ code, statement_guess: statementGuess, occurrences: 1 }]);
+      }
+    },
+
+    async upsertStatementConflict(row) {
+      await upsert('statement_conflicts', [row], 'azienda_id,code');
+    },
+
+    async getBalanceEntryStates(azienda_id, years) {
+      const { data, error } = await supa.from('balance_entries')
+        .select('year, statement, code, amount, filing_year, is_comparative')
+        .eq('azienda_id', azienda_id)
+        .in('year', years);
+      if (error) throw error;
+      return data;
+    },
+
+    async upsertBalanceEntry(row) {
+      await upsert('balance_entries', [row], 'azienda_id,year,statement,code');
+    },
+
+    async getKpiStates(azienda_id, years) {
+      const { data, error } = await supa.from('company_kpis')
+        .select('fiscal_year, kpi_name, value, filing_year, is_comparative')
+        .eq('azienda_id', azienda_id)
+        .in('fiscal_year', years);
+      if (error) throw error;
+      return data;
+    },
+
+    async upsertBalanceChecks(rows) {
+      if (rows.length) await upsert('balance_checks', rows, 'azienda_id,year,check_id');
+    },
+
+    async upsertComputedRatios(rows) {
+      if (rows.length) await upsert('computed_ratios', rows, 'azienda_id,year,ratio_id');
+    },
+
+    async upsertKpis(rows) {
+      if (rows.length) await upsert('company_kpis', rows, 'azienda_id,fiscal_year,kpi_name');
+    },
+
+    async upsertManager(row) {
+      await upsert('managers', [row], 'manager_id');
+    },
+
+    async getManagerRoles(azienda_id) {
+      const { data, error } = await supa.from('manager_roles')
+        .select('role_id, manager_id, role_code, role_start_date, role_end_date')
+        .eq('azienda_id', azienda_id);
+      if (error) throw error;
+      return data;
+    },
+
+    async insertManagerRole(row) {
+      const [inserted] = await insert('manager_roles', [row]);
+      return inserted.role_id;
+    },
+
+    async updateManagerRole(role_id, patch) {
+      const { error } = await supa.from('manager_roles').update(patch).eq('role_id', role_id);
+      if (error) throw error;
+    },
+
+    async resolveAziendaIdByTaxCode(taxCode, candidateId) {
+      const { data, error } = await supa.from('companies').select('azienda_id')
+        .or(`azienda_id.eq.${candidateId},tax_code.eq.${taxCode},vat_code.eq.${taxCode}`)
+        .limit(1);
+      if (error) throw error;
+      return data?.[0]?.azienda_id || null;
+    },
+
+    async linkOwnershipEdges(azienda_id, taxCodes) {
+      for (const side of ['owner', 'owned']) {
+        const { error } = await supa.from('ownership_edges')
+          .update({ [`${side}_azienda_id`]: azienda_id, updated_at: new Date().toISOString() })
+          .is(`${side}_azienda_id`, null)
+          .in(`${side}_tax_code`, taxCodes);
+        if (error) throw error;
+      }
+    },
+
+    async upsertOwnershipEdge(row) {
+      const [saved] = await upsert('ownership_edges', [row], 'source_azienda_id,relation,owner_tax_code,owned_tax_code');
+      return saved.edge_id;
+    },
+
+    async deleteOwnershipEdgesExcept(source_azienda_id, keepIds) {
+      let q = supa.from('ownership_edges').delete().eq('source_azienda_id', source_azienda_id);
+      if (keepIds.length) q = q.not('edge_id', 'in', `(${keepIds.join(',')})`);
+      const { data, error } = await q.select('edge_id');
+      if (error) throw error;
+      return data?.length || 0;
+    },
+
+    async getSchemaPromotions() {
+      const { data, error } = await supa.from('schema_promotions').select('json_path, target_table, column_name');
+      if (error) throw error;
+      return data;
+    },
+
+    async upsertUnknownFields(azienda_id, rows) {
+      if (!rows.length) return;
+      const { data: existing, error } = await supa.from('unknown_fields')
+        .select('section, json_path, occurrences, observed_types')
+        .eq('azienda_id', azienda_id);
+      if (error) throw error;
+      const byPath = new Map(existing.map(r => [`${r.section}|${r.json_path}`, r]));
+      await upsert('unknown_fields', rows.map(row => {
+        const prev = byPath.get(`${row.section}|${row.json_path}`);
+        const observed_types = { ...(prev?.observed_types || {}) };
+        for (const [kind, n] of Object.entries(row.observed_types)) observed_types[kind] = (observed_types[kind] || 0) + n;
+        return {
+          azienda_id,
+          section: row.section,
+          json_path: row.json_path,
+          value_jsonb: row.value,
+          observed_types,
+          occurrences: (prev?.occurrences || 0) + 1,
+          last_seen_at: new Date().toISOString()
+        };
+      }), 'azienda_id,section,json_path');
+    },
+
+    async insertIngestion(row) {
+      await insert('ingestions', [row]);
+    },
+
+    async insertIngestionErrors(rows) {
+      await insert('ingestion_errors', rows);
+    },
+
+    async getIngestion(ingestion_id) {
+      const { data, error } = await supa.from('ingestions').select('*').eq('ingestion_id', ingestion_id).maybeSingle();
+      if (error) throw error;
+      return data;
+    },
+
+    async getOpenIngestionErrors(ingestion_id) {
+      const { data, error } = await supa.from('ingestion_errors').select('*')
+        .eq('ingestion_id', ingestion_id)
+        .is('resolved_at', null);
+      if (error) throw error;
+      return data;
+    },
+
+    async resolveIngestionErrors(error_ids, resolved_by) {
+      const { error } = await supa.from('ingestion_errors')
+        .update({ resolved_at: new Date().toISOString(), resolved_by })
+        .in('error_id', error_ids);
+      if (error) throw error;
+    },
+
+    async insertIngestionBatch(row) {
+      await insert('ingestion_batches', [row]);
+    },
+
+    async updateIngestionBatch(batch_id, patch) {
+      const { error } = await supa.from('ingestion_batches').update(patch).eq('batch_id', batch_id);
+      if (error) throw error;
+    }
+  };
+
+  return {
+    backend: 'supabase',
+    schema,
+
+    // PostgREST non espone information_schema: una select vuota per tabella
+    async checkSchema(tables = REQUIRED_TABLES) {
+      const missing = [];
+      for (const table of tables) {
+        const { error } = await supa.from(table).select('*', { head: true }).limit(0);
+        if (error) missing.push(table);
+      }
+      if (missing.length) throw missingTablesError(schema, missing);
+    },
+
+    async transaction(fn) {
+      return fn(tx);
+    },
+
+    async close() {}
+  };
+}
@@ -0,0 +1,133 @@
+import { v5 as uuidv5, v4 as uuidv4 } from 'uuid';
+
+/** --------- Utils condivise (estrattori, pipeline, storage) --------- */
+
+export const NS = '6ba7b810-9dad-11d1-80b4-00c04fd430c8'; // namespace UUIDv5 (DNS); stabile per generazione azienda_id
+
+export function safeGet(obj, pathArr, def = undefined) {
+  return pathArr.reduce((acc, k) => (acc && acc[k] !== undefined ? acc[k] : def), obj);
+}
+
+export function walk(obj, cb, path = []) {
+  if (obj && typeof obj === 'object') {
+    cb(obj, path);
+    if (Array.isArray(obj)) {
+      obj.forEach((v, i) => walk(v, cb, path.concat([String(i)])));
+    } else {
+      Object.entries(obj).forEach(([k, v]) => walk(v, cb, path.concat([k])));
+    }
+  }
+}
+
+export function getTopKeys(o) { return o && typeof o === 'object' ? Object.keys(o) : []; }
+
+export function toSnakeCase(str) {
+  return String(str)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[\s\-.]+/g, '_')
+    .toLowerCase()
+    .slice(0, 60); // teniamolo corto per il limite 63 char
+}
+
+// tipo di un valore osservato nel JSON (i conteggi per tipo finiscono in unknown_fields.observed_types)
+export function valueKind(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'numeric';
+  if (typeof value === 'string') {
+    // date vs timestamptz: se ha 'T' e' un timestamp
+    if (/^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(Date.parse(value))) return value.includes('T') ? 'timestamp' : 'date';
+    return 'text';
+  }
+  return 'json';
+}
+
+// tipo Postgres che accoglie TUTTI i valori osservati (non un solo campione); i null non contano
+export function inferPgType(kinds) {
+  const seen = Object.keys(kinds || {}).filter(k => k !== 'null' && kinds[k] > 0);
+  const only = (...allowed) => seen.length > 0 && seen.every(k => allowed.includes(k));
+  if (only('boolean')) return 'boolean';
+  if (only('integer')) return 'bigint';
+  if (only('integer', 'numeric')) return 'numeric';
+  if (only('date')) return 'date';
+  if (only('date', 'timestamp')) return 'timestamptz';
+  if (only('json')) return 'jsonb';
+  return 'text';
+}
+
+export function toDateOnly(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+}
+
+// i payload IT-full arrivano dentro la busta { data, success, error }: lavoriamo sempre sul contenuto
+export function unwrap(payload) {
+  return payload?.data || payload;
+}
+
+// preferenza vatCode -> taxCode
+export function computeAziendaId(payload) {
+  const data = unwrap(payload);
+  const vat = safeGet(data, ['companyDetails', 'vatCode']) || data?.vatCode;
+  const tax = safeGet(data, ['companyDetails', 'taxCode']) || data?.taxCode;
+  const base = vat || tax;
+  return base ? uuidv5(String(base).trim(), NS) : uuidv4(); // fallback (sconsigliato ma necessario per lossless)
+}
+
+// persone deduplicate per codice fiscale (stesso schema UUIDv5 di computeAziendaId)
+export function computeManagerId(person) {
+  const base = person.taxCode
+    ? String(person.taxCode).trim().toUpperCase()
+    : [person.surname, person.name, person.birthDate].filter(Boolean).join('|').toUpperCase();
+  return base ? uuidv5(base, NS) : uuidv4();
+}
+
+// 11 cifre -> persona giuridica (P.IVA/CF numerico); altrimenti codice fiscale di persona fisica
+export function partyType(taxCode) {
+  return /^\d{11}$/.test(String(taxCode || '')) ? 'COMPANY' : 'PERSON';
+}
+
+export function effectiveDateForSection(sectionName, sectionPayload, globalFallback) {
+  // Bilanci: year -> 31-12-year; altrimenti lastUpdateDate || updateDate || globalFallback
+  if (sectionName === 'balance') {
+    const year = sectionPayload?.year || sectionPayload?.fiscalYear;
+    if (year) return new Date(Date.UTC(Number(year), 11, 31)).toISOString();
+  }
+  // Snapshot intero: data di aggiornamento del provider (sta in companyDetails, non nell'envelope)
+  if (sectionName === 'root') {
+    const data = unwrap(sectionPayload);
+    const updated = data?.lastUpdateDate || data?.companyDetails?.lastUpdateDate;
+    if (updated) return new Date(updated).toISOString();
+  }
+  const dates = [
+    sectionPayload?.lastUpdateDate,
+    sectionPayload?.updateDate,
+    sectionPayload?.sinceDate,
+    sectionPayload?.roleStartDate
+  ].filter(Boolean);
+  return (dates[0] ? new Date(dates[0]) : new Date(globalFallback)).toISOString();
+}
+
+export function isNewer(dateNew, dateOld) {
+  if (!dateOld) return true;
+  return new Date(dateNew).getTime() > new Date(dateOld).getTime();
+}
+
+// anno fiscale: override CLI > anno esplicito > data di bilancio > anno del fatturato
+export function resolveFiscalYear(payload, override) {
+  const data = unwrap(payload);
+  const candidates = [
+    ['cli', override],
+    ['balance.year', data?.balance?.year],
+    ['fiscalYear', data?.fiscalYear],
+    ['year', data?.year],
+    ['ecofin.balanceSheetDate', data?.ecofin?.balanceSheetDate ? String(data.ecofin.balanceSheetDate).slice(0, 4) : null],
+    ['ecofin.turnoverYear', data?.ecofin?.turnoverYear]
+  ];
+  for (const [source, value] of candidates) {
+    const year = Number(value);
+    if (Number.isInteger(year) && year >= 1900 && year <= 2100) return { year, source };
+  }
+  return null;
+}
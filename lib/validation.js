@@ -0,0 +1,71 @@
+import fs from 'fs';
+import Ajv from 'ajv';
+
+/**
+ * Validazione dei payload IT-full contro gli schemi versionati in schemas/it-full/vN.json.
+ * Le violazioni strutturali rifiutano il payload; le proprieta' non previste dallo schema
+ * (additionalProperties) sono deriva del provider e finiscono come avvisi nel report.
+ */
+
+export const IT_FULL_SCHEMA = 'it-full/v1';
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validators = new Map();
+
+function validatorFor(name) {
+  if (!validators.has(name)) {
+    const file = new URL(`../schemas/${name}.json`, import.meta.url);
+    if (!/^[\w-]+\/v\d+$/.test(name) || !fs.existsSync(file)) {
+      throw new Error(`Schema ${name} non disponibile (attesi schemas/<famiglia>/vN.json)`);
+    }
+    const schema = JSON.parse(fs.readFileSync(file, 'utf8'));
+    validators.set(name, ajv.compile(schema));
+  }
+  return validators.get(name);
+}
+
+// "/data/companyDetails" + proprieta' in piu' -> "/data/companyDetails/leiCode"
+const escapePointer = key => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+function toViolation(err) {
+  if (err.keyword === 'additionalProperties') {
+    return { pointer: `${err.instancePath}/${escapePointer(err.params.additionalProperty)}`, message: 'proprieta\' non prevista dallo schema' };
+  }
+  return { pointer: err.instancePath || '/', message: err.message };
+}
+
+/**
+ * Ritorna { schema, errors, warnings } con violazioni { pointer, message } (JSON pointer RFC 6901).
+ * Una risposta del provider con success:false o error valorizzato e' sempre un errore.
+ */
+export function validatePayload(payload, { schema = IT_FULL_SCHEMA } = {}) {
+  const validate = validatorFor(schema);
+  validate(payload);
+
+  const errors = [];
+  const warnings = [];
+  for (const err of validate.errors || []) {
+    // il ramo if/then/else ripete l'errore del ramo scelto: basta quello
+    if (err.keyword === 'if') continue;
+    (err.keyword === 'additionalProperties' ? warnings : errors).push(toViolation(err));
+  }
+
+  if (payload && typeof payload === 'object' && 'data' in payload) {
+    if (payload.success === false) {
+      errors.unshift({ pointer: '/success', message: `risposta del provider fallita: ${payload.message || 'success:false'}` });
+    }
+    if (payload.error !== undefined && payload.error !== null) {
+      errors.unshift({ pointer: '/error', message: `il provider ha restituito un errore: ${JSON.stringify(payload.error)}` });
+    }
+  }
+  return { schema, errors, warnings };
+}
+
+/** Errore di validazione: `violations` elenca i JSON pointer non conformi. */
+export function invalidPayloadError({ schema, errors }) {
+  const list = errors.slice(0, 10).map(v => `${v.pointer}: ${v.message}`).join('; ');
+  const more = errors.length > 10 ? ` (+${errors.length - 10})` : '';
+  const err = new Error(`Payload non conforme a ${schema}: ${list}${more}`);
+  err.violations = errors;
+  return err;
+}
@@ -0,0 +1,90 @@
+import 'dotenv/config';
+import pg from 'pg';
+import { parseArgs } from 'util';
+import { createMigrator, writeMigration } from './lib/migrations.js';
+import { SCHEMA, pgConfig } from './lib/config.js';
+
+/**
+ * Migrazioni del database (migrations/NNNN_nome.sql):
+ *   node migrate.js status
+ *   node migrate.js up [--to NNNN]
+ *   node migrate.js down [--steps N]
+ *   node migrate.js baseline NNNN      (DB gia' esistente: segna come applicate senza eseguirle)
+ *   node migrate.js new <nome>         (crea il file con un modello commentato delle sezioni up/down:
+ *                                       finche' up contiene solo commenti la migrazione non si applica)
+ *
+ * Lo schema di destinazione e' SCHEMA (lib/config.js, default: openapi). Su un Postgres locale
+ * senza TLS usare DATABASE_URL=postgres://...?sslmode=disable.
+ */
+
+const VERSION_RE = /^\d{4}$/;
+
+// modello di `new`: solo commenti, quindi `up` lo rifiuta finche' non si scrive l'SQL
+const TEMPLATE = {
+  comment: 'Descrizione della migrazione: cosa cambia e perche\'.',
+  up: [
+    '-- SQL della migrazione; nomi non qualificati (search_path e\' lo schema di destinazione), es.:',
+    '-- ALTER TABLE companies ADD COLUMN nuova_colonna text;'
+  ].join('\n'),
+  down: [
+    '-- SQL che annulla la sezione up; senza SQL la migrazione resta irreversibile, es.:',
+    '-- ALTER TABLE companies DROP COLUMN nuova_colonna;'
+  ].join('\n')
+};
+
+const fmt = m => `${m.version}_${m.name}`;
+
+async function main() {
+  const { values: args, positionals } = parseArgs({
+    options: {
+      to: { type: 'string' },
+      steps: { type: 'string', default: '1' }
+    },
+    allowPositionals: true
+  });
+  const [command, arg] = positionals;
+  const steps = Number(args.steps);
+  if (!['status', 'up', 'down', 'baseline', 'new'].includes(command)
+      || (args.to && !VERSION_RE.test(args.to)) || !Number.isInteger(steps) || steps < 1
+      || (command === 'baseline' && !VERSION_RE.test(arg || '')) || (command === 'new' && !arg)) {
+    console.error('Usage: node migrate.js status');
+    console.error('       node migrate.js up [--to NNNN]');
+    console.error('       node migrate.js down [--steps N]');
+    console.error('       node migrate.js baseline NNNN');
+    console.error('       node migrate.js new <nome>');
+    process.exit(1);
+  }
+
+  if (command === 'new') {
+    const { file } = await writeMigration(arg, TEMPLATE);
+    console.log(`✅ Creata ${file}`);
+    return;
+  }
+
+  const client = new pg.Client(pgConfig());
+  await client.connect();
+  try {
+    const migrator = createMigrator(client, { schema: SCHEMA });
+    if (command === 'status') {
+      const rows = await migrator.status();
+      console.table(rows.map(({ version, name, state, applied_at, applied_by }) => ({ version, name, state, applied_at, applied_by })));
+      if (rows.some(r => r.state === 'modified' || r.state === 'missing')) process.exitCode = 1;
+    } else if (command === 'up') {
+      const applied = await migrator.up({ to: args.to });
+      console.log(applied.length ? applied.map(m => `⬆️  ${fmt(m)}`).join('\n') : `Schema ${SCHEMA} gia' aggiornato`);
+    } else if (command === 'down') {
+      const reverted = await migrator.down({ steps });
+      console.log(reverted.length ? reverted.map(m => `⬇️  ${fmt(m)}`).join('\n') : 'Nessuna migrazione da annullare');
+    } else {
+      const marked = await migrator.baseline(arg);
+      console.log(marked.length ? marked.map(m => `✔️  ${fmt(m)} (baseline)`).join('\n') : 'Nessuna migrazione da segnare');
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,273 @@
+-- Schema iniziale: le tabelle esistenti prima dell'introduzione delle migrazioni.
+-- Nomi non qualificati: migrate.js imposta search_path sullo schema di destinazione (SCHEMA).
+-- Ambienti gia' creati da schema.sql/bootstrap.js: `node migrate.js baseline 0001`.
+
+-- migrate:up
+CREATE TABLE companies (
+  azienda_id uuid NOT NULL,
+  vat_code text UNIQUE,
+  tax_code text UNIQUE,
+  company_name text,
+  legal_form text,
+  status text,
+  cciaa text,
+  rea_code text,
+  country_code text,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT companies_pkey PRIMARY KEY (azienda_id)
+);
+CREATE TABLE legend_codes (
+  code text NOT NULL,
+  description text,
+  statement text,
+  extra jsonb,
+  CONSTRAINT legend_codes_pkey PRIMARY KEY (code)
+);
+CREATE TABLE unmapped_codes (
+  code text NOT NULL,
+  statement_guess text,
+  first_seen_at timestamp with time zone DEFAULT now(),
+  last_seen_at timestamp with time zone DEFAULT now(),
+  occurrences integer DEFAULT 1,
+  CONSTRAINT unmapped_codes_pkey PRIMARY KEY (code)
+);
+CREATE TABLE ingestion_batches (
+  batch_id uuid NOT NULL,
+  source text NOT NULL,
+  started_at timestamp with time zone DEFAULT now(),
+  finished_at timestamp with time zone,
+  status text DEFAULT 'RUNNING'::text CHECK (status = ANY (ARRAY['RUNNING'::text, 'COMPLETED'::text, 'COMPLETED_WITH_ERRORS'::text])),
+  concurrency integer,
+  total integer DEFAULT 0,
+  counts jsonb,
+  summary jsonb,
+  CONSTRAINT ingestion_batches_pkey PRIMARY KEY (batch_id)
+);
+CREATE TABLE ingestions (
+  ingestion_id uuid NOT NULL,
+  source text DEFAULT 'it-full'::text,
+  started_at timestamp with time zone DEFAULT now(),
+  finished_at timestamp with time zone,
+  azienda_id uuid,
+  status text DEFAULT 'PARTIAL'::text CHECK (status = ANY (ARRAY['UPDATED'::text, 'UNCHANGED'::text, 'OUTDATED'::text, 'PARTIAL'::text, 'ERROR'::text])),
+  summary jsonb,
+  batch_id uuid,
+  CONSTRAINT ingestions_pkey PRIMARY KEY (ingestion_id),
+  CONSTRAINT ingestions_batch_id_fkey FOREIGN KEY (batch_id) REFERENCES ingestion_batches(batch_id)
+);
+CREATE TABLE ingestion_errors (
+  error_id uuid NOT NULL,
+  ingestion_id uuid,
+  azienda_id uuid,
+  section text,
+  json_path text,
+  message text,
+  raw_snippet jsonb,
+  created_at timestamp with time zone DEFAULT now(),
+  resolved_at timestamp with time zone,
+  resolved_by uuid,
+  CONSTRAINT ingestion_errors_pkey PRIMARY KEY (error_id),
+  CONSTRAINT ingestion_errors_ingestion_id_fkey FOREIGN KEY (ingestion_id) REFERENCES ingestions(ingestion_id),
+  CONSTRAINT ingestion_errors_resolved_by_fkey FOREIGN KEY (resolved_by) REFERENCES ingestions(ingestion_id)
+);
+CREATE TABLE company_versions (
+  version_id uuid NOT NULL DEFAULT gen_random_uuid(),
+  azienda_id uuid,
+  effective_date timestamp with time zone NOT NULL,
+  content_hash text NOT NULL,
+  raw_json jsonb NOT NULL,
+  ingested_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT company_versions_pkey PRIMARY KEY (version_id),
+  CONSTRAINT company_versions_azienda_id_fkey FOREIGN KEY (azienda_id) REFERENCES companies(azienda_id)
+);
+CREATE TABLE raw_sections (
+  raw_id uuid NOT NULL DEFAULT gen_random_uuid(),
+  azienda_id uuid,
+  section text NOT NULL,
+  effective_date timestamp with time zone NOT NULL,
+  raw_json jsonb NOT NULL,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT raw_sections_pkey PRIMARY KEY (raw_id),
+  CONSTRAINT raw_sections_azienda_id_fkey FOREIGN KEY (azienda_id) REFERENCES companies(azienda_id)
+);
+CREATE TABLE contacts (
+  contact_id uuid NOT NULL DEFAULT gen_random_uuid(),
+  azienda_id uuid,
+  effective_date timestamp with time zone NOT NULL,
+  phone text,
+  email text,
+  pec text,
+  website text,
+  raw_json jsonb,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT contacts_pkey PRIMARY KEY (contact_id),
+  CONSTRAINT contacts_azienda_id_fkey FOREIGN KEY (azienda_id) REFERENCES companies(azienda_id)
+);
+CREATE TABLE addresses (
+  address_id uuid NOT NULL DEFAULT gen_random_uuid(),
+  azienda_id uuid,
+  effective_date timestamp with time zone NOT NULL,
+  address_type text,
+  street text,
+  zip_code text,
+  town text,
+  province text,
+  region text,
+  country text,
+  raw_json jsonb,
+  created_at timestamp with time zone DEFAULT now(),
+  tax_code text,
+  name text,
+  surname text,
+  CONSTRAINT addresses_pkey PRIMARY KEY (address_id),
+  CONSTRAINT addresses_azienda_id_fkey FOREIGN KEY (azienda_id) REFERENCES companies(azienda_id)
+);
+CREATE TABLE ateco (
+  ateco_id uuid NOT NULL,
+  azienda_id uuid,
+  effective_date timestamp with time zone NOT NULL,
+  ateco_code text,
+  ateco_description text,
+  raw_json jsonb,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT ateco_pkey PRIMARY KEY (ateco_id),
+  CONSTRAINT ateco_azienda_id_fkey FOREIGN KEY (azienda_id) REFERENCES companies(azienda_id)
+);
+CREATE TABLE balance_entries (
+  entry_id uuid NOT NULL DEFAULT gen_random_uuid(),
+  azienda_id uuid,
+  year integer NOT NULL,
+  statement text NOT NULL CHECK (statement = ANY (ARRAY['SP_A'::text, 'SP_P'::text, 'CE'::text])),
+  code text NOT NULL,
+  description text,
+  amount numeric,
+  currency text,
+  source_path text,
+  note text,
+  content_hash text,
+  created_at timestamp with time zone DEFAULT now(),
+  filing_year integer,
+  is_comparative boolean DEFAULT false,
+  CONSTRAINT balance_entries_pkey PRIMARY KEY (entry_id),
+  CONSTRAINT balance_entries_unique UNIQUE (azienda_id, year, statement, code),
+  CONSTRAINT balance_entries_azienda_id_fkey FOREIGN KEY (azienda_id) REFERENCES companies(azienda_id)
+);
+CREATE TABLE company_kpis (
+  kpi_id uuid NOT NULL DEFAULT gen_random_uuid(),
+  azienda_id uuid NOT NULL,
+  fiscal_year integer NOT NULL,
+  block text NOT NULL,
+  kpi_name text NOT NULL,
+  value numeric,
+  source_path text,
+  effective_date timestamp with time zone NOT NULL,
+  filing_year integer,
+  is_comparative boolean DEFAULT false,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT company_kpis_pkey PRIMARY KEY (kpi_id),
+  CONSTRAINT company_kpis_unique UNIQUE (azienda_id, fiscal_year, kpi_name),
+  CONSTRAINT company_kpis_azienda_id_fkey FOREIGN KEY (azienda_id) REFERENCES companies(azienda_id)
+);
+CREATE TABLE managers (
+  manager_id uuid NOT NULL,
+  tax_code text UNIQUE,
+  name text,
+  surname text,
+  gender text,
+  birth_date date,
+  birth_town text,
+  raw_json jsonb,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT managers_pkey PRIMARY KEY (manager_id)
+);
+CREATE TABLE manager_roles (
+  role_id uuid NOT NULL DEFAULT gen_random_uuid(),
+  manager_id uuid NOT NULL,
+  azienda_id uuid NOT NULL,
+  role_code text NOT NULL,
+  role_description text,
+  role_start_date date,
+  role_end_date date,
+  is_legal_representative boolean DEFAULT false,
+  effective_date timestamp with time zone NOT NULL,
+  raw_json jsonb,
+  created_at timestamp with time zone DEFAULT now(),
+  last_seen_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT manager_roles_pkey PRIMARY KEY (role_id),
+  CONSTRAINT manager_roles_unique UNIQUE NULLS NOT DISTINCT (manager_id, azienda_id, role_code, role_start_date),
+  CONSTRAINT manager_roles_manager_id_fkey FOREIGN KEY (manager_id) REFERENCES managers(manager_id),
+  CONSTRAINT manager_roles_azienda_id_fkey FOREIGN KEY (azienda_id) REFERENCES companies(azienda_id)
+);
+CREATE TABLE ownership_edges (
+  edge_id uuid NOT NULL DEFAULT gen_random_uuid(),
+  source_azienda_id uuid NOT NULL,
+  relation text NOT NULL CHECK (relation = ANY (ARRAY['SHAREHOLDER'::text, 'AFFILIATE'::text])),
+  owner_tax_code text,
+  owner_name text,
+  owner_type text CHECK (owner_type = ANY (ARRAY['PERSON'::text, 'COMPANY'::text])),
+  owner_azienda_id uuid,
+  owned_tax_code text,
+  owned_name text,
+  owned_azienda_id uuid,
+  percent_share numeric,
+  effective_date timestamp with time zone NOT NULL,
+  raw_json jsonb,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT ownership_edges_pkey PRIMARY KEY (edge_id),
+  CONSTRAINT ownership_edges_unique UNIQUE NULLS NOT DISTINCT (source_azienda_id, relation, owner_tax_code, owned_tax_code),
+  CONSTRAINT ownership_edges_source_azienda_id_fkey FOREIGN KEY (source_azienda_id) REFERENCES companies(azienda_id),
+  CONSTRAINT ownership_edges_owner_azienda_id_fkey FOREIGN KEY (owner_azienda_id) REFERENCES companies(azienda_id),
+  CONSTRAINT ownership_edges_owned_azienda_id_fkey FOREIGN KEY (owned_azienda_id) REFERENCES companies(azienda_id)
+);
+CREATE TABLE unknown_fields (
+  azienda_id uuid NOT NULL,
+  section text NOT NULL,
+  json_path text NOT NULL,
+  value_jsonb jsonb,
+  first_seen_at timestamp with time zone DEFAULT now(),
+  last_seen_at timestamp with time zone DEFAULT now(),
+  occurrences integer DEFAULT 1,
+  observed_types jsonb DEFAULT '{}'::jsonb,
+  CONSTRAINT unknown_fields_pkey PRIMARY KEY (azienda_id, section, json_path),
+  CONSTRAINT unknown_fields_azienda_id_fkey FOREIGN KEY (azienda_id) REFERENCES companies(azienda_id)
+);
+CREATE TABLE schema_promotions (
+  promotion_id uuid NOT NULL DEFAULT gen_random_uuid(),
+  json_path text NOT NULL UNIQUE,
+  target_table text NOT NULL DEFAULT 'companies'::text,
+  column_name text NOT NULL,
+  pg_type text NOT NULL,
+  observed_types jsonb,
+  companies_count integer,
+  occurrences integer,
+  backfilled_rows integer,
+  promoted_by text,
+  note text,
+  promoted_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT schema_promotions_pkey PRIMARY KEY (promotion_id),
+  CONSTRAINT schema_promotions_column_unique UNIQUE (target_table, column_name)
+);
+
+-- migrate:down
+DROP TABLE schema_promotions;
+DROP TABLE unknown_fields;
+DROP TABLE ownership_edges;
+DROP TABLE manager_roles;
+DROP TABLE managers;
+DROP TABLE company_kpis;
+DROP TABLE balance_entries;
+DROP TABLE ateco;
+DROP TABLE addresses;
+DROP TABLE contacts;
+DROP TABLE raw_sections;
+DROP TABLE company_versions;
+DROP TABLE ingestion_errors;
+DROP TABLE ingestions;
+DROP TABLE ingestion_batches;
+DROP TABLE unmapped_codes;
+DROP TABLE legend_codes;
+DROP TABLE companies;
@@ -0,0 +1,18 @@
+-- Gerarchia civilistica del bilancio su legend_codes (vedi lib/legend.js).
+-- I valori si popolano con `node populate_legend_codes.js`.
+
+-- migrate:up
+ALTER TABLE legend_codes
+  ADD COLUMN parent_code text,
+  ADD COLUMN sign smallint NOT NULL DEFAULT 1 CHECK (sign = ANY (ARRAY[-1, 0, 1])),
+  ADD COLUMN sort_order integer,
+  ADD COLUMN outline text;
+CREATE INDEX legend_codes_parent_idx ON legend_codes (parent_code);
+
+-- migrate:down
+DROP INDEX legend_codes_parent_idx;
+ALTER TABLE legend_codes
+  DROP COLUMN outline,
+  DROP COLUMN sort_order,
+  DROP COLUMN sign,
+  DROP COLUMN parent_code;
@@ -0,0 +1,23 @@
+-- Esito dei controlli di coerenza del bilancio (lib/balance-checks.js), uno per azienda/esercizio/controllo.
+-- ingestion_id senza FK: la riga ingestions si scrive a fine ingestion, dopo le sezioni.
+
+-- migrate:up
+CREATE TABLE balance_checks (
+  azienda_id uuid NOT NULL,
+  year integer NOT NULL,
+  check_id text NOT NULL,
+  status text NOT NULL CHECK (status = ANY (ARRAY['pass'::text, 'fail'::text, 'skipped'::text])),
+  expected numeric,
+  actual numeric,
+  difference numeric,
+  tolerance numeric,
+  details jsonb,
+  ingestion_id uuid,
+  checked_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT balance_checks_pkey PRIMARY KEY (azienda_id, year, check_id),
+  CONSTRAINT balance_checks_azienda_id_fkey FOREIGN KEY (azienda_id) REFERENCES companies(azienda_id)
+);
+CREATE INDEX balance_checks_failed_idx ON balance_checks (year) WHERE status = 'fail';
+
+-- migrate:down
+DROP TABLE balance_checks;
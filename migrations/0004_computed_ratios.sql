@@ -0,0 +1,24 @@
+-- Indici ricalcolati da balance_entries con le formule di ratios.json (lib/ratios.js)
+-- e confronto con il KPI del provider (company_kpis.kpi_name = provider_kpi).
+
+-- migrate:up
+CREATE TABLE computed_ratios (
+  azienda_id uuid NOT NULL,
+  year integer NOT NULL,
+  ratio_id text NOT NULL,
+  value numeric,
+  provider_kpi text,
+  provider_value numeric,
+  difference numeric,
+  status text NOT NULL CHECK (status = ANY (ARRAY['match'::text, 'mismatch'::text, 'computed'::text, 'not_computable'::text])),
+  details jsonb,
+  catalogue_version integer,
+  ingestion_id uuid,
+  computed_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT computed_ratios_pkey PRIMARY KEY (azienda_id, year, ratio_id),
+  CONSTRAINT computed_ratios_azienda_id_fkey FOREIGN KEY (azienda_id) REFERENCES companies(azienda_id)
+);
+CREATE INDEX computed_ratios_mismatch_idx ON computed_ratios (ratio_id) WHERE status = 'mismatch';
+
+-- migrate:down
+DROP TABLE computed_ratios;
@@ -0,0 +1,32 @@
+-- Triage dei codici fuori legenda: un codice di unmapped_codes diventa una voce di legend_codes
+-- (descrizione, statement, nodo padre) o un alias di una voce esistente; ogni decisione resta
+-- in legend_code_decisions. source distingue le voci degli schemi (ricaricate da
+-- populate_legend_codes.js) da quelle decise a mano.
+
+-- migrate:up
+ALTER TABLE legend_codes
+  ADD COLUMN alias_of text,
+  ADD COLUMN source text NOT NULL DEFAULT 'schemi' CHECK (source = ANY (ARRAY['schemi'::text, 'triage'::text]));
+CREATE TABLE legend_code_decisions (
+  decision_id uuid NOT NULL DEFAULT gen_random_uuid(),
+  code text NOT NULL,
+  action text NOT NULL CHECK (action = ANY (ARRAY['define'::text, 'alias'::text])),
+  description text,
+  statement text,
+  parent_code text,
+  sign smallint,
+  alias_of text,
+  previous jsonb,
+  entries_updated integer,
+  decided_by text NOT NULL,
+  note text,
+  decided_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT legend_code_decisions_pkey PRIMARY KEY (decision_id)
+);
+CREATE INDEX legend_code_decisions_code_idx ON legend_code_decisions (code, decided_at DESC);
+
+-- migrate:down
+DROP TABLE legend_code_decisions;
+ALTER TABLE legend_codes
+  DROP COLUMN source,
+  DROP COLUMN alias_of;
@@ -0,0 +1,39 @@
+-- Legenda versionata per release della tassonomia (import con `node populate_legend_codes.js`):
+-- legend_code_versions conserva le voci di ogni release, legend_codes resta la legenda corrente
+-- (ultima release + voci del triage). Ogni voce di bilancio punta alla release in vigore
+-- alla chiusura del suo esercizio.
+
+-- migrate:up
+CREATE TABLE legend_releases (
+  release_id text NOT NULL,
+  valid_from date NOT NULL,
+  valid_to date,
+  source_file text,
+  content_hash text NOT NULL,
+  changes jsonb,
+  imported_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT legend_releases_pkey PRIMARY KEY (release_id),
+  CONSTRAINT legend_releases_valid_from_key UNIQUE (valid_from),
+  CONSTRAINT legend_releases_validity_check CHECK (valid_to IS NULL OR valid_to >= valid_from)
+);
+CREATE TABLE legend_code_versions (
+  release_id text NOT NULL REFERENCES legend_releases (release_id) ON DELETE CASCADE,
+  code text NOT NULL,
+  description text,
+  statement text,
+  parent_code text,
+  sign smallint NOT NULL DEFAULT 1 CHECK (sign = ANY (ARRAY[-1, 0, 1])),
+  sort_order integer,
+  outline text,
+  CONSTRAINT legend_code_versions_pkey PRIMARY KEY (release_id, code)
+);
+ALTER TABLE legend_codes ADD COLUMN release_id text;
+ALTER TABLE balance_entries ADD COLUMN legend_release_id text REFERENCES legend_releases (release_id);
+CREATE INDEX balance_entries_legend_release_idx ON balance_entries (legend_release_id);
+
+-- migrate:down
+DROP INDEX balance_entries_legend_release_idx;
+ALTER TABLE balance_entries DROP COLUMN legend_release_id;
+ALTER TABLE legend_codes DROP COLUMN release_id;
+DROP TABLE legend_code_versions;
+DROP TABLE legend_releases;
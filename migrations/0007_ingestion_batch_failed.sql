@@ -0,0 +1,17 @@
+-- Run batch interrotte (sorgente illeggibile, errore dello stream NDJSON): stato FAILED con il motivo
+-- in error, invece di restare RUNNING per sempre.
+
+-- migrate:up
+ALTER TABLE ingestion_batches DROP CONSTRAINT ingestion_batches_status_check;
+ALTER TABLE ingestion_batches
+  ADD CONSTRAINT ingestion_batches_status_check
+    CHECK (status = ANY (ARRAY['RUNNING'::text, 'COMPLETED'::text, 'COMPLETED_WITH_ERRORS'::text, 'FAILED'::text])),
+  ADD COLUMN error text;
+
+-- migrate:down
+UPDATE ingestion_batches SET status = 'COMPLETED_WITH_ERRORS' WHERE status = 'FAILED';
+ALTER TABLE ingestion_batches DROP COLUMN error;
+ALTER TABLE ingestion_batches DROP CONSTRAINT ingestion_batches_status_check;
+ALTER TABLE ingestion_batches
+  ADD CONSTRAINT ingestion_batches_status_check
+    CHECK (status = ANY (ARRAY['RUNNING'::text, 'COMPLETED'::text, 'COMPLETED_WITH_ERRORS'::text]));
@@ -0,0 +1,22 @@
+-- Disaccordi sullo statement di una voce di bilancio tra legenda e gruppo del payload
+-- (lib/statements.js): uno per azienda e codice, con i tre voti (euristica inclusa) e la scelta fatta.
+-- Li scrivono la pipeline (detected_by 'ingestion') e reclassify_statements.js ('reclassify').
+
+-- migrate:up
+CREATE TABLE statement_conflicts (
+  azienda_id uuid NOT NULL,
+  code text NOT NULL,
+  statement text NOT NULL,
+  source text NOT NULL CHECK (source = ANY (ARRAY['legend'::text, 'group'::text, 'heuristic'::text])),
+  legend_statement text,
+  group_statement text,
+  heuristic_statement text,
+  detected_by text NOT NULL CHECK (detected_by = ANY (ARRAY['ingestion'::text, 'reclassify'::text])),
+  detected_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT statement_conflicts_pkey PRIMARY KEY (azienda_id, code),
+  CONSTRAINT statement_conflicts_azienda_id_fkey FOREIGN KEY (azienda_id) REFERENCES companies(azienda_id) ON DELETE CASCADE
+);
+CREATE INDEX statement_conflicts_code_idx ON statement_conflicts (code);
+
+-- migrate:down
+DROP TABLE statement_conflicts;
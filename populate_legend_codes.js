@@ -1,103 +1,152 @@
 import 'dotenv/config';
-import fs from 'fs';
-import { createClient } from '@supabase/supabase-js';
+import pg from 'pg';
+import hash from 'object-hash';
+import { parseArgs } from 'util';
+import { fq, pgConfig } from './lib/config.js';
+import { LEGEND_FILE, loadLegendHierarchy, diffLegend } from './lib/legend.js';
 
-// Configurazione Supabase
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE = process.env.SUPABASE_SERVICE_ROLE;
-const SCHEMA = process.env.SCHEMA || 'public';
+/**
+ * Import di una release della legenda (tassonomia del bilancio) con validita' da una data:
+ *   node populate_legend_codes.js --release <id> --valid-from YYYY-MM-DD [--file schemi.json] [--dry-run]
+ *
+ * Non svuota nulla: confronta la release con quella precedente (o, al primo import, con legend_codes)
+ * e riporta codici aggiunti, rimossi, rinominati e spostati. Le voci della release restano in
+ * legend_code_versions; se e' la release piu' recente aggiorna anche legend_codes (le voci del
+ * triage restano). Infine ricollega ogni voce di bilancio alla release in vigore per il suo esercizio.
+ * L'attivo dello stato patrimoniale, assente dal file del provider, viene da schemi_bilancio_attivo.json.
+ * --dry-run stampa le differenze senza scrivere.
+ */
 
-const supa = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE, {
-  auth: { persistSession: false },
-  db: { schema: SCHEMA }
-});
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function usage() {
+  console.error('Usage: node populate_legend_codes.js --release <id> --valid-from YYYY-MM-DD [--file schemi.json] [--dry-run]');
+  process.exit(1);
+}
+
+function printDiff(diff, against) {
+  console.log(`Confronto con ${against}:`);
+  console.log(`  ➕ aggiunti ${diff.added.length}, ➖ rimossi ${diff.removed.length}, ✏️  rinominati ${diff.renamed.length}, `
+    + `↔️  spostati ${diff.moved.length}, invariati ${diff.unchanged}`);
+  for (const code of diff.added) console.log(`  + ${code}`);
+  for (const code of diff.removed) console.log(`  - ${code}`);
+  for (const r of diff.renamed) console.log(`  ~ ${r.code}: "${r.from}" -> "${r.to}"`);
+  for (const m of diff.moved) console.log(`  > ${m.code}: ${JSON.stringify(m.from)} -> ${JSON.stringify(m.to)}`);
+}
 
-async function populateLegendCodes() {
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      release: { type: 'string' },
+      'valid-from': { type: 'string' },
+      file: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+  const validFrom = args['valid-from'];
+  if (!args.release || !DATE_RE.test(validFrom || '') || Number.isNaN(Date.parse(validFrom))) usage();
+
+  // gerarchia civilistica (padre, segno, ordine) ricavata dagli schemi e dall'attivo: vedi lib/legend.js
+  const file = args.file ?? LEGEND_FILE;
+  const rows = loadLegendHierarchy(file);
+  const content_hash = hash(rows);
+
+  const client = new pg.Client(pgConfig());
+  await client.connect();
   try {
-    console.log('Connesso a Supabase');
-
-    // Leggi il file degli schemi
-    const schemaData = JSON.parse(fs.readFileSync('./schemi_bilancio_conto_completo.json', 'utf8'));
-    
-    // Svuota la tabella legend_codes
-    const { error: deleteError } = await supa.from('legend_codes').delete().neq('code', '');
-    if (deleteError) {
-      console.error('Errore durante lo svuotamento:', deleteError);
+    await client.query('begin');
+
+    const existing = (await client.query(`select * from ${fq('legend_releases')} where release_id = $1`, [args.release])).rows[0];
+    if (existing) {
+      if (existing.content_hash !== content_hash) {
+        throw new Error(`La release ${args.release} esiste gia' con un contenuto diverso: importare con un nuovo --release`);
+      }
+      console.log(`Release ${args.release} gia' importata, nessuna modifica`);
+      await client.query('rollback');
       return;
     }
-    console.log('Tabella legend_codes svuotata');
-
-    let insertCount = 0;
-    const batchSize = 100;
-    const allCodes = [];
-
-    // Prepara tutti i codici per l'inserimento batch
-    for (const item of schemaData.stato_patrimoniale_attivo) {
-      allCodes.push({
-        code: item.code,
-        description: item.description,
-        statement: 'SP_A'
-      });
-    }
 
-    for (const item of schemaData.stato_patrimoniale_passivo) {
-      allCodes.push({
-        code: item.code,
-        description: item.description,
-        statement: 'SP_P'
-      });
-    }
+    const [previous] = (await client.query(`
+      select release_id from ${fq('legend_releases')} where valid_from < $1 order by valid_from desc limit 1
+    `, [validFrom])).rows;
+    const [next] = (await client.query(`
+      select release_id, valid_from from ${fq('legend_releases')} where valid_from > $1 order by valid_from limit 1
+    `, [validFrom])).rows;
 
-    for (const item of schemaData.conto_economico) {
-      allCodes.push({
-        code: item.code,
-        description: item.description,
-        statement: 'CE'
-      });
-    }
+    // primo import: il termine di confronto e' la legenda caricata prima del versionamento
+    const baseline = previous
+      ? await client.query(`select * from ${fq('legend_code_versions')} where release_id = $1`, [previous.release_id])
+      : await client.query(`select * from ${fq('legend_codes')} where source = 'schemi'`);
+    const diff = diffLegend(baseline.rows, rows);
+    printDiff(diff, previous ? `release ${previous.release_id}` : 'legend_codes corrente');
 
-    // Inserisci in batch
-    for (let i = 0; i < allCodes.length; i += batchSize) {
-      const batch = allCodes.slice(i, i + batchSize);
-      const { error } = await supa.from('legend_codes').insert(batch);
-      if (error) {
-        console.error(`Errore durante l'inserimento batch ${i}-${i + batch.length}:`, error);
-      } else {
-        insertCount += batch.length;
-        console.log(`Inseriti ${batch.length} codici (totale: ${insertCount})`);
-      }
+    if (args['dry-run']) {
+      await client.query('rollback');
+      console.log('--dry-run: nessuna scrittura');
+      return;
     }
 
-    console.log(`\nInseriti ${insertCount} codici nella tabella legend_codes`);
-    
-    // Verifica alcuni inserimenti
-    const { data: countData, error: countError } = await supa
-      .from('legend_codes')
-      .select('*', { count: 'exact', head: true });
-    
-    if (!countError) {
-      console.log(`Totale codici in tabella: ${countData?.length || 'N/A'}`);
+    if (previous) {
+      await client.query(`
+        update ${fq('legend_releases')} set valid_to = $2::date - 1
+        where release_id = $1 and (valid_to is null or valid_to >= $2::date)
+      `, [previous.release_id, validFrom]);
     }
-    
-    // Mostra alcuni esempi
-    const { data: examples, error: exampleError } = await supa
-      .from('legend_codes')
-      .select('code, description, statement')
-      .order('statement')
-      .order('code')
-      .limit(10);
-    
-    if (!exampleError && examples) {
-      console.log('\nEsempi di codici inseriti:');
-      examples.forEach(row => {
-        console.log(`${row.code} (${row.statement}): ${row.description}`);
-      });
+    await client.query(`
+      insert into ${fq('legend_releases')} (release_id, valid_from, valid_to, source_file, content_hash, changes)
+      values ($1, $2, $3::date - 1, $4, $5, $6)
+    `, [args.release, validFrom, next?.valid_from ?? null, String(file instanceof URL ? file.pathname : file), content_hash,
+      JSON.stringify(diff)]);
+    await client.query(`
+      insert into ${fq('legend_code_versions')} (release_id, code, description, statement, parent_code, sign, sort_order, outline)
+      select $1, code, description, statement, parent_code, sign, sort_order, outline
+      from jsonb_to_recordset($2::jsonb)
+        as r(code text, description text, statement text, parent_code text, sign smallint, sort_order integer, outline text)
+    `, [args.release, JSON.stringify(rows)]);
+    console.log(`Release ${args.release}: ${rows.length} codici, valida dal ${validFrom}${next ? ` al giorno prima di ${next.release_id}` : ''}`);
+
+    // legend_codes e' la legenda corrente: solo la release piu' recente la aggiorna
+    if (!next) {
+      const current = await client.query(`
+        insert into ${fq('legend_codes')} (code, description, statement, parent_code, sign, sort_order, outline, alias_of, source, release_id)
+        select code, description, statement, parent_code, sign, sort_order, outline, null, 'schemi', release_id
+        from ${fq('legend_code_versions')} where release_id = $1
+        on conflict (code) do update set description = excluded.description, statement = excluded.statement,
+          parent_code = excluded.parent_code, sign = excluded.sign, sort_order = excluded.sort_order,
+          outline = excluded.outline, alias_of = null, source = 'schemi', release_id = excluded.release_id
+      `, [args.release]);
+      const retired = await client.query(`
+        delete from ${fq('legend_codes')} l
+        where l.source = 'schemi'
+          and not exists (select 1 from ${fq('legend_code_versions')} v where v.release_id = $1 and v.code = l.code)
+      `, [args.release]);
+      console.log(`legend_codes: ${current.rowCount} codici della release, ${retired.rowCount} ritirati (restano nelle release precedenti)`);
     }
 
-  } catch (error) {
-    console.error('Errore durante il popolamento:', error);
+    // ogni voce di bilancio punta alla release in vigore al 31/12 dell'esercizio, con la sua descrizione
+    const relinked = await client.query(`
+      update ${fq('balance_entries')} b
+      set legend_release_id = r.release_id,
+          description = coalesce((
+            select v.description from ${fq('legend_code_versions')} v where v.release_id = r.release_id and v.code = b.code
+          ), b.description)
+      from ${fq('legend_releases')} r
+      where r.valid_from <= make_date(b.year, 12, 31) and (r.valid_to is null or r.valid_to >= make_date(b.year, 12, 31))
+        and b.legend_release_id is distinct from r.release_id
+    `);
+    console.log(`balance_entries: ${relinked.rowCount} voci ricollegate alla release in vigore`);
+
+    await client.query('commit');
+    console.log(`✅ Release ${args.release} importata`);
+  } catch (err) {
+    await client.query('rollback');
+    throw err;
+  } finally {
+    await client.end();
   }
 }
 
-// Esegui lo script
-populateLegendCodes();
\ No newline at end of file
+main().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
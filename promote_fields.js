@@ -0,0 +1,197 @@
+import 'dotenv/config';
+import fs from 'fs/promises';
+import os from 'os';
+import pg from 'pg';
+import { parseArgs } from 'util';
+import { inferPgType, toSnakeCase } from './lib/util.js';
+import { createMigrator, writeMigration } from './lib/migrations.js';
+import { SCHEMA, fq, pgConfig } from './lib/config.js';
+
+/**
+ * Revisione e promozione dei campi JSON non mappati (unknown_fields):
+ *   node promote_fields.js review [--min-companies N] [--limit N]
+ *   node promote_fields.js promote <json_path> [--column nome] [--type pgtype] [--by autore] [--note testo]
+ *   node promote_fields.js list
+ *
+ * review propone colonna e tipo dedotto da TUTTI i valori osservati; promote genera una migrazione
+ * (migrations/NNNN_promote_<colonna>.sql) che aggiunge la colonna a companies, la valorizza dall'ultima
+ * versione di ogni azienda e registra il passaggio in schema_promotions, e la applica subito.
+ * Da quel momento l'ingestion scrive la colonna e il percorso non finisce piu' in unknown_fields;
+ * gli altri ambienti ottengono la stessa colonna con `node migrate.js up`.
+ */
+
+const PG_TYPES = ['boolean', 'bigint', 'numeric', 'date', 'timestamptz', 'text', 'jsonb'];
+const COLUMN_RE = /^[a-z_][a-z0-9_]*$/;
+
+// solo percorsi scalari: un elemento di array non ha una colonna "naturale" su companies
+const isPromotable = path => !path.includes('[]');
+
+async function fieldStats(client, jsonPath = null) {
+  const totals = await client.query(`
+    select json_path, min(section) as section, count(distinct azienda_id)::int as companies,
+           sum(occurrences)::int as occurrences,
+           (array_agg(value_jsonb order by last_seen_at desc))[1] as sample
+    from ${fq('unknown_fields')}
+    where $1::text is null or json_path = $1
+    group by json_path
+  `, [jsonPath]);
+  const kinds = await client.query(`
+    select u.json_path, t.key as kind, sum(t.value::int)::int as n
+    from ${fq('unknown_fields')} u, jsonb_each_text(coalesce(u.observed_types, '{}'::jsonb)) t
+    where $1::text is null or u.json_path = $1
+    group by u.json_path, t.key
+  `, [jsonPath]);
+
+  const stats = new Map(totals.rows.map(r => [r.json_path, { ...r, observed_types: {} }]));
+  for (const { json_path, kind, n } of kinds.rows) {
+    if (stats.has(json_path)) stats.get(json_path).observed_types[kind] = n;
+  }
+  return [...stats.values()].map(s => ({
+    ...s,
+    promotable: isPromotable(s.json_path),
+    proposed_column: toSnakeCase(s.json_path),
+    proposed_type: inferPgType(s.observed_types)
+  }));
+}
+
+async function review(client, { minCompanies, limit }) {
+  const rows = (await fieldStats(client))
+    .filter(s => s.companies >= minCompanies)
+    .sort((a, b) => b.companies - a.companies || b.occurrences - a.occurrences || a.json_path.localeCompare(b.json_path))
+    .slice(0, limit);
+
+  if (!rows.length) {
+    console.log('Nessun campo non mappato con questi filtri');
+    return;
+  }
+  console.table(rows.map(s => ({
+    json_path: s.json_path,
+    aziende: s.companies,
+    occorrenze: s.occurrences,
+    tipi: Object.entries(s.observed_types).map(([k, n]) => `${k}:${n}`).join(' '),
+    colonna: s.promotable ? s.proposed_column : '(array: non promuovibile)',
+    tipo: s.promotable ? s.proposed_type : '',
+    esempio: JSON.stringify(s.sample)?.slice(0, 40)
+  })));
+}
+
+const lit = v => (v === null || v === undefined ? 'null' : `'${String(v).replace(/'/g, "''")}'`);
+
+// migrazione che rende la promozione riproducibile negli altri ambienti (colonna, valorizzazione, riga di audit)
+function promotionMigration(jsonPath, columnName, pgType, { observedTypes, promotedBy, note }) {
+  const pathArray = `array[${jsonPath.split('.').map(lit).join(', ')}]`;
+  return {
+    comment: `Promozione di ${jsonPath} a companies.${columnName} (${pgType}), generata da promote_fields.js`,
+    up: `
+alter table companies add column ${columnName} ${pgType};
+
+-- valore dall'ultima versione di ogni azienda (payload con o senza busta { data })
+update companies c
+set ${columnName} = (v.doc #>> ${pathArray})::${pgType}
+from (
+  select distinct on (azienda_id) azienda_id, coalesce(raw_json->'data', raw_json) as doc
+  from company_versions
+  order by azienda_id, effective_date desc, ingested_at desc
+) v
+where v.azienda_id = c.azienda_id and v.doc #>> ${pathArray} is not null;
+
+insert into schema_promotions (json_path, target_table, column_name, pg_type, observed_types, promoted_by, note)
+values (${lit(jsonPath)}, 'companies', ${lit(columnName)}, ${lit(pgType)}, ${lit(JSON.stringify(observedTypes))}, ${lit(promotedBy)}, ${lit(note)})
+on conflict (json_path) do nothing;`,
+    down: `
+delete from schema_promotions where json_path = ${lit(jsonPath)};
+alter table companies drop column ${columnName};`
+  };
+}
+
+async function promote(client, jsonPath, { column, type, by, note }) {
+  if (!isPromotable(jsonPath)) throw new Error(`Percorso dentro un array, non promuovibile su companies: ${jsonPath}`);
+
+  const [stats] = await fieldStats(client, jsonPath);
+  if (!stats) throw new Error(`Percorso mai osservato in unknown_fields: ${jsonPath}`);
+
+  const columnName = column || stats.proposed_column;
+  const pgType = type || stats.proposed_type;
+  if (!COLUMN_RE.test(columnName)) throw new Error(`Nome colonna non valido: ${columnName}`);
+  if (!PG_TYPES.includes(pgType)) throw new Error(`Tipo non supportato: ${pgType} (ammessi: ${PG_TYPES.join(', ')})`);
+
+  const exists = await client.query(`
+    select 1 from information_schema.columns
+    where table_schema = $1 and table_name = 'companies' and column_name = $2
+  `, [SCHEMA, columnName]);
+  if (exists.rowCount) throw new Error(`La colonna companies.${columnName} esiste gia'`);
+
+  // la nuova migrazione deve essere l'ultima: prima si allinea il DB a quelle gia' presenti
+  const migrator = createMigrator(client, { schema: SCHEMA });
+  const notApplied = (await migrator.status()).filter(m => m.state !== 'applied');
+  if (notApplied.length) {
+    throw new Error(`Migrazioni non allineate (${notApplied.map(m => `${m.version} ${m.state}`).join(', ')}): esegui prima node migrate.js up`);
+  }
+
+  const promotedBy = by || process.env.USER || os.userInfo().username;
+  const { version, file } = await writeMigration(`promote_${columnName}`,
+    promotionMigration(jsonPath, columnName, pgType, { observedTypes: stats.observed_types, promotedBy, note: note || null }));
+
+  try {
+    // migrazione + statistiche di questo ambiente + pulizia di unknown_fields in un'unica transazione
+    return await migrator.applyWith(version, async () => {
+      const backfilled = await client.query(`select count(*)::int as n from ${fq('companies')} where ${columnName} is not null`);
+      const saved = await client.query(`
+        update ${fq('schema_promotions')}
+        set companies_count = $2, occurrences = $3, backfilled_rows = $4
+        where json_path = $1
+        returning *
+      `, [jsonPath, stats.companies, stats.occurrences, backfilled.rows[0].n]);
+      await client.query(`delete from ${fq('unknown_fields')} where json_path = $1`, [jsonPath]);
+      return { ...saved.rows[0], migration: file };
+    });
+  } catch (err) {
+    // transazione annullata: il file generato non deve restare tra le migrazioni
+    await fs.unlink(file).catch(() => {});
+    throw err;
+  }
+}
+
+async function main() {
+  const { values: args, positionals } = parseArgs({
+    options: {
+      'min-companies': { type: 'string', default: '1' },
+      limit: { type: 'string', default: '50' },
+      column: { type: 'string' },
+      type: { type: 'string' },
+      by: { type: 'string' },
+      note: { type: 'string' }
+    },
+    allowPositionals: true
+  });
+  const [command, jsonPath] = positionals;
+  if (!['review', 'promote', 'list'].includes(command) || (command === 'promote' && !jsonPath)) {
+    console.error('Usage: node promote_fields.js review [--min-companies N] [--limit N]');
+    console.error('       node promote_fields.js promote <json_path> [--column nome] [--type pgtype] [--by autore] [--note testo]');
+    console.error('       node promote_fields.js list');
+    process.exit(1);
+  }
+
+  const client = new pg.Client(pgConfig());
+  await client.connect();
+  try {
+    if (command === 'review') {
+      await review(client, { minCompanies: Number(args['min-companies']) || 1, limit: Number(args.limit) || 50 });
+    } else if (command === 'promote') {
+      const promotion = await promote(client, jsonPath, args);
+      console.log(`✅ ${promotion.json_path} -> companies.${promotion.column_name} (${promotion.pg_type}), ${promotion.backfilled_rows} aziende valorizzate`);
+      console.log(`   migrazione: ${promotion.migration}`);
+    } else {
+      const res = await client.query(`select * from ${fq('schema_promotions')} order by promoted_at`);
+      console.table(res.rows.map(({ json_path, column_name, pg_type, promoted_by, promoted_at }) =>
+        ({ json_path, column_name, pg_type, promoted_by, promoted_at })));
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,106 @@
+import 'dotenv/config';
+import pg from 'pg';
+import { parseArgs } from 'util';
+import { classifyStatement } from './lib/statements.js';
+import { fq, pgConfig } from './lib/config.js';
+
+/**
+ * Corregge lo statement delle voci di bilancio gia' salvate con la stessa regola della pipeline
+ * (lib/statements.js: legenda della release collegata, altrimenti legenda corrente):
+ *   node reclassify_statements.js [--azienda <azienda_id>] [--dry-run]
+ *
+ * Va eseguito dopo aver importato la legenda (populate_legend_codes.js), che e' la fonte degli statement.
+ * Se una voce esiste gia' con lo statement corretto (stesso anno e codice), quella mal classificata
+ * e' un duplicato e viene eliminata. Per ogni correzione stampa il motivo (fonte scelta e voti di
+ * legenda, statement salvato ed euristica); i disaccordi finiscono in statement_conflicts con lo
+ * statement salvato al posto del gruppo del payload. --dry-run stampa le correzioni senza scrivere.
+ */
+
+const votesOf = votes => `legenda ${votes.legend ?? '-'}, salvato ${votes.group ?? '-'}, euristica ${votes.heuristic}`;
+
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      azienda: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+
+  const client = new pg.Client(pgConfig());
+  await client.connect();
+  try {
+    await client.query('begin');
+
+    // una riga per codice/statement salvato/release, con lo statement della legenda che la pipeline userebbe oggi
+    const res = await client.query(`
+      select b.code, b.statement, b.legend_release_id, count(*)::int as entries,
+             coalesce(v.statement, l.statement) as legend_statement
+      from ${fq('balance_entries')} b
+      left join ${fq('legend_code_versions')} v on v.release_id = b.legend_release_id and v.code = b.code
+      left join ${fq('legend_codes')} l on l.code = b.code
+      where $1::text is null or b.azienda_id::text = $1
+      group by b.code, b.statement, b.legend_release_id, v.statement, l.statement
+      order by b.code
+    `, [args.azienda ?? null]);
+
+    const totals = { entries: 0, moved: 0, duplicates: 0, conflicts: 0 };
+    for (const group of res.rows) {
+      totals.entries += group.entries;
+      // lo statement salvato e' quello che l'estrattore aveva scelto: vale come voto del gruppo
+      const { statement, source, votes, conflict } = classifyStatement(group.code, {
+        legend: group.legend_statement, group: group.statement
+      });
+      const params = [group.code, group.statement, statement, group.legend_release_id, args.azienda ?? null];
+      const scope = `b.code = $1 and b.statement = $2 and b.legend_release_id is not distinct from $4
+        and ($5::text is null or b.azienda_id::text = $5)`;
+      if (conflict) {
+        const recorded = await client.query(`
+          insert into ${fq('statement_conflicts')} (azienda_id, code, statement, source, legend_statement, group_statement,
+            heuristic_statement, detected_by)
+          select distinct b.azienda_id, $1, $3::text, $6::text, $7::text, $2, $8::text, 'reclassify'
+          from ${fq('balance_entries')} b where ${scope}
+          on conflict (azienda_id, code) do update set statement = excluded.statement, source = excluded.source,
+            legend_statement = excluded.legend_statement, group_statement = excluded.group_statement,
+            heuristic_statement = excluded.heuristic_statement, detected_by = excluded.detected_by, detected_at = now()
+        `, [...params, source, votes.legend, votes.heuristic]);
+        totals.conflicts += recorded.rowCount;
+      }
+      if (statement === group.statement) continue;
+
+      console.log(`${group.code}: ${group.statement} -> ${statement} (${source}; ${votesOf(votes)}; `
+        + `${group.entries} voci${group.legend_release_id ? `, release ${group.legend_release_id}` : ''})`);
+      if (args['dry-run']) {
+        totals.moved += group.entries;
+        continue;
+      }
+      const duplicates = await client.query(`
+        delete from ${fq('balance_entries')} b
+        where ${scope}
+          and exists (select 1 from ${fq('balance_entries')} ok
+                      where ok.azienda_id = b.azienda_id and ok.year = b.year and ok.code = b.code and ok.statement = $3)
+      `, params);
+      const moved = await client.query(`update ${fq('balance_entries')} b set statement = $3 where ${scope}`, params);
+      totals.duplicates += duplicates.rowCount;
+      totals.moved += moved.rowCount;
+    }
+
+    if (args['dry-run']) {
+      await client.query('rollback');
+      console.log(`--dry-run: ${totals.moved} voci da riclassificare su ${totals.entries}`);
+      return;
+    }
+    await client.query('commit');
+    console.log(`✅ ${totals.moved} voci riclassificate, ${totals.duplicates} duplicati eliminati (su ${totals.entries} voci), `
+      + `${totals.conflicts} conflitti registrati in statement_conflicts`);
+  } catch (err) {
+    await client.query('rollback');
+    throw err;
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
@@ -3,6 +3,18 @@ import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import pg from 'pg';
+import {
+  getCompany, getCompanyAsOf, getCompanyVersionDiff, listCompanies, decodeCursor, AS_OF_RE
+} from './lib/queries/company.js';
+import { getBalanceTree, getBalanceChecks, getComputedRatios } from './lib/queries/balance.js';
+import { getOwnershipGraph } from './lib/queries/ownership.js';
+import {
+  listUnmappedCodes, searchLegendCodes, listLegendDecisions, resolveUnmappedCode
+} from './lib/queries/legend.js';
+import { STATEMENTS } from './lib/statements.js';
+import { getBalanceExport, getKpiExport, getPortfolioExport } from './lib/queries/export.js';
+import { balanceTable, kpiTable, portfolioTable, render, CONTENT_TYPES, EXPORT_LAYOUTS } from './lib/export.js';
+import { SCHEMA, fq, pgConfig, assertSchema } from './lib/config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -10,25 +22,16 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// PostgreSQL connection
+// PostgreSQL connection (schema da lib/config.js: SCHEMA)
 const { Client } = pg;
-const pgClient = new Client({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false }
-});
-
-// Connetti al database
-pgClient.connect().catch(err => {
-  console.error('Errore connessione database:', err);
-  process.exit(1);
-});
+const pgClient = new Client(pgConfig());
 
 // Middleware
 app.use(express.static(__dirname));
 app.use(express.json());
 
-// Endpoint per servire il report HTML
-app.get('/', (req, res) => {
+// Endpoint per servire il report HTML (il routing tra elenco, azienda, confronto e triage e' lato client)
+app.get(['/', '/companies/:id', '/compare', '/unmapped-codes'], (req, res) => {
   res.sendFile(path.join(__dirname, 'report.html'));
 });
 
@@ -57,7 +60,7 @@ app.get('/test', (req, res) => {
             <h3>🔗 Link di test:</h3>
             <ul>
                 <li><a href="/">Report principale</a></li>
-                <li><a href="/test-report.html">Report di test</a></li>
+                <li><a href="/api/companies">API Elenco aziende (JSON)</a></li>
                 <li><a href="/api/report">API Report (JSON)</a></li>
             </ul>
         </div>
@@ -85,17 +88,22 @@ app.get('/test', (req, res) => {
   `);
 })
 
-// API endpoint per recuperare tutti i dati
+// API endpoint per recuperare tutti i dati (?id=azienda_id; senza id l'ultima azienda creata)
 app.get('/api/report', async (req, res) => {
   try {
     const data = {};
     
     // Recupera dati azienda
-    const companyResult = await pgClient.query(`
-      SELECT * FROM public.companies 
+    const companyResult = req.query.id
+      ? await pgClient.query(`SELECT * FROM ${fq('companies')} WHERE azienda_id::text = $1`, [req.query.id])
+      : await pgClient.query(`
+      SELECT * FROM ${fq('companies')} 
       ORDER BY created_at DESC 
       LIMIT 1
     `);
+    if (req.query.id && companyResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Azienda non trovata' });
+    }
     
     if (companyResult.rows.length > 0) {
       data.company = companyResult.rows[0];
@@ -103,7 +111,7 @@ app.get('/api/report', async (req, res) => {
       
       // Recupera contatti
       const contactsResult = await pgClient.query(`
-        SELECT * FROM public.contacts 
+        SELECT * FROM ${fq('contacts')} 
         WHERE azienda_id = $1 
         ORDER BY created_at DESC
       `, [azienda_id]);
@@ -111,7 +119,7 @@ app.get('/api/report', async (req, res) => {
       
       // Recupera indirizzi
       const addressesResult = await pgClient.query(`
-        SELECT * FROM public.addresses 
+        SELECT * FROM ${fq('addresses')} 
         WHERE azienda_id = $1 
         ORDER BY created_at DESC
       `, [azienda_id]);
@@ -119,42 +127,24 @@ app.get('/api/report', async (req, res) => {
       
       // Recupera dati ATECO
       const atecoResult = await pgClient.query(`
-        SELECT * FROM public.ateco 
+        SELECT * FROM ${fq('ateco')} 
         WHERE azienda_id = $1 
         ORDER BY created_at DESC
       `, [azienda_id]);
       data.ateco = atecoResult.rows;
       
-      // Recupera dati di bilancio
-      // Recupera dati di bilancio
+      // Recupera dati di bilancio (solo di questa azienda: vuoto se non ne ha)
       const balanceResult = await pgClient.query(`
-        SELECT * FROM public.balance_entries 
+        SELECT * FROM ${fq('balance_entries')} 
         WHERE azienda_id = $1 
         ORDER BY year DESC, statement, code
       `, [azienda_id]);
-      
-      // Se non ci sono dati per questa azienda, cerca la prima azienda con dati di bilancio
-      if (balanceResult.rows.length === 0) {
-        const alternativeBalanceResult = await pgClient.query(`
-          SELECT DISTINCT azienda_id FROM public.balance_entries LIMIT 1
-        `);
-        if (alternativeBalanceResult.rows.length > 0) {
-          const altAziendaId = alternativeBalanceResult.rows[0].azienda_id;
-          const altBalanceResult = await pgClient.query(`
-            SELECT * FROM public.balance_entries 
-            WHERE azienda_id = $1 
-            ORDER BY year DESC, statement, code
-          `, [altAziendaId]);
-          data.balance_entries = altBalanceResult.rows;
-        }
-      } else {
-        data.balance_entries = balanceResult.rows;
-      }
+      data.balance_entries = balanceResult.rows;
       
       // Recupera versioni azienda
       const versionsResult = await pgClient.query(`
         SELECT version_id, effective_date, content_hash, ingested_at 
-        FROM public.company_versions 
+        FROM ${fq('company_versions')} 
         WHERE azienda_id = $1 
         ORDER BY ingested_at DESC
       `, [azienda_id]);
@@ -163,7 +153,7 @@ app.get('/api/report', async (req, res) => {
       // Recupera sezioni raw
       const rawSectionsResult = await pgClient.query(`
         SELECT raw_id, section, effective_date, created_at 
-        FROM public.raw_sections 
+        FROM ${fq('raw_sections')} 
         WHERE azienda_id = $1 
         ORDER BY created_at DESC
       `, [azienda_id]);
@@ -171,7 +161,7 @@ app.get('/api/report', async (req, res) => {
       
       // Recupera ingestions
       const ingestionsResult = await pgClient.query(`
-        SELECT * FROM public.ingestions 
+        SELECT * FROM ${fq('ingestions')} 
         WHERE azienda_id = $1 
         ORDER BY started_at DESC
       `, [azienda_id]);
@@ -181,12 +171,12 @@ app.get('/api/report', async (req, res) => {
     // Statistiche generali
     const statsResult = await pgClient.query(`
       SELECT 
-        (SELECT COUNT(*) FROM public.companies) as total_companies,
-        (SELECT COUNT(*) FROM public.contacts) as total_contacts,
-        (SELECT COUNT(*) FROM public.addresses) as total_addresses,
-        (SELECT COUNT(*) FROM public.ateco) as total_ateco,
-        (SELECT COUNT(*) FROM public.balance_entries) as total_balance_entries,
-        (SELECT COUNT(*) FROM public.ingestions) as total_ingestions
+        (SELECT COUNT(*) FROM ${fq('companies')}) as total_companies,
+        (SELECT COUNT(*) FROM ${fq('contacts')}) as total_contacts,
+        (SELECT COUNT(*) FROM ${fq('addresses')}) as total_addresses,
+        (SELECT COUNT(*) FROM ${fq('ateco')}) as total_ateco,
+        (SELECT COUNT(*) FROM ${fq('balance_entries')}) as total_balance_entries,
+        (SELECT COUNT(*) FROM ${fq('ingestions')}) as total_ingestions
     `);
     data.stats = statsResult.rows[0];
     
@@ -211,7 +201,7 @@ app.get('/api/balance-summary', async (req, res) => {
         COUNT(*) as entries_count,
         SUM(amount) as total_amount,
         currency
-      FROM public.balance_entries 
+      FROM ${fq('balance_entries')} 
       GROUP BY year, statement, currency
       ORDER BY year DESC, statement
     `);
@@ -227,16 +217,11 @@ app.get('/api/balance-summary', async (req, res) => {
   }
 });
 
-// Endpoint per recuperare codici non mappati
+// Endpoint per la coda dei codici non mappati, con voci e aziende che li usano
 app.get('/api/unmapped-codes', async (req, res) => {
   try {
-    const result = await pgClient.query(`
-      SELECT * FROM public.unmapped_codes 
-      ORDER BY occurrences DESC, last_seen_at DESC
-    `);
-    
-    res.json(result.rows);
-    
+    res.json(await listUnmappedCodes(pgClient));
+
   } catch (error) {
     console.error('Errore API unmapped codes:', error);
     res.status(500).json({ 
@@ -246,6 +231,339 @@ app.get('/api/unmapped-codes', async (req, res) => {
   }
 });
 
+// Endpoint per risolvere un codice non mappato (triage). Body JSON:
+//   { action: 'define', description, statement, parent_code?, sign?, decided_by, note? }
+//   { action: 'alias', alias_of, decided_by, note? }
+app.post('/api/unmapped-codes/:code/resolve', async (req, res) => {
+  try {
+    const decision = await resolveUnmappedCode(pgClient, req.params.code, req.body || {});
+    res.status(201).json(decision);
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Errore API resolve unmapped code:', error);
+    res.status(500).json({
+      error: 'Errore nella risoluzione del codice non mappato',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint per cercare voci di legenda (padre o destinazione alias nel triage); ?q=codice|descrizione &statement=
+app.get('/api/legend-codes', async (req, res) => {
+  try {
+    const { q, statement } = req.query;
+    if (statement !== undefined && !STATEMENTS.includes(statement)) {
+      return res.status(400).json({ error: `Parametro statement non valido (${STATEMENTS.join(', ')})` });
+    }
+    res.json(await searchLegendCodes(pgClient, { q, statement }));
+
+  } catch (error) {
+    console.error('Errore API legend codes:', error);
+    res.status(500).json({
+      error: 'Errore nella ricerca dei codici di legenda',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint per lo storico delle decisioni di triage; ?code= per un solo codice
+app.get('/api/legend-decisions', async (req, res) => {
+  try {
+    res.json(await listLegendDecisions(pgClient, { code: req.query.code }));
+
+  } catch (error) {
+    console.error('Errore API legend decisions:', error);
+    res.status(500).json({
+      error: 'Errore nel recupero delle decisioni sulla legenda',
+      details: error.message
+    });
+  }
+});
+
+// filtri di listCompanies dalla query string (elenco ed export); { error } se non validi
+function companyFilters(query) {
+  const amount = name => (query[name] === undefined ? undefined : Number(query[name]));
+  const turnoverMin = amount('turnover_min');
+  const turnoverMax = amount('turnover_max');
+  if ([turnoverMin, turnoverMax].some(v => v !== undefined && !Number.isFinite(v))) {
+    return { error: 'Parametri turnover_min/turnover_max non validi (numeri)' };
+  }
+  return {
+    filters: {
+      q: query.q,
+      status: query.status,
+      legalForm: query.legal_form,
+      ateco: query.ateco,
+      province: query.province,
+      turnoverMin,
+      turnoverMax
+    }
+  };
+}
+
+// Endpoint per l'elenco aziende: ricerca, filtri e paginazione a cursore
+//   ?q=nome|partita IVA|codice fiscale &status= &legal_form= &ateco= &province= &turnover_min= &turnover_max=
+//   &limit=1..200 (default 50) &cursor=<next_cursor della pagina precedente>
+app.get('/api/companies', async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({ error: 'Parametro limit non valido (intero tra 1 e 200)' });
+    }
+    const { filters, error } = companyFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Parametro cursor non valido' });
+    }
+
+    const page = await listCompanies(pgClient, { ...filters, cursor, limit });
+    res.json({ ...page, limit });
+
+  } catch (error) {
+    console.error('Errore API companies:', error);
+    res.status(500).json({
+      error: 'Errore nel recupero dell\'elenco aziende',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint per un'azienda: record normalizzato completo, o vista a una certa data con ?asOf=YYYY-MM-DD
+app.get('/api/companies/:id', async (req, res) => {
+  try {
+    const { asOf } = req.query;
+    if (asOf !== undefined && (!AS_OF_RE.test(asOf) || Number.isNaN(Date.parse(asOf)))) {
+      return res.status(400).json({ error: 'Parametro asOf non valido (formato YYYY-MM-DD)' });
+    }
+
+    const view = asOf
+      ? await getCompanyAsOf(pgClient, req.params.id, asOf)
+      : await getCompany(pgClient, req.params.id);
+    if (!view) {
+      return res.status(404).json({ error: 'Azienda non trovata' });
+    }
+    res.json(view);
+
+  } catch (error) {
+    console.error('Errore API company:', error);
+    res.status(500).json({
+      error: 'Errore nel recupero della vista azienda',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint per il diff strutturato tra due versioni (a = precedente, b = successiva)
+app.get('/api/companies/:id/versions/:a/diff/:b', async (req, res) => {
+  try {
+    const diff = await getCompanyVersionDiff(pgClient, req.params.id, req.params.a, req.params.b);
+    if (!diff) {
+      return res.status(404).json({ error: 'Versione non trovata per questa azienda' });
+    }
+    res.json(diff);
+
+  } catch (error) {
+    console.error('Errore API version diff:', error);
+    res.status(500).json({
+      error: 'Errore nel calcolo delle differenze tra versioni',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint per il bilancio riclassificato (SP e CE ad albero con subtotali); ?year=YYYY, ?full=1 anche i rami vuoti
+app.get('/api/companies/:id/balance-tree', async (req, res) => {
+  try {
+    const { year, full } = req.query;
+    if (year !== undefined && !/^\d{4}$/.test(year)) {
+      return res.status(400).json({ error: 'Parametro year non valido (formato YYYY)' });
+    }
+
+    const tree = await getBalanceTree(pgClient, req.params.id, {
+      year: year === undefined ? undefined : Number(year),
+      full: full === '1' || full === 'true'
+    });
+    if (!tree) {
+      return res.status(404).json({ error: 'Azienda non trovata' });
+    }
+    if (year !== undefined && !tree.years.includes(tree.year)) {
+      return res.status(404).json({ error: `Nessun bilancio ${year} per questa azienda`, years: tree.years });
+    }
+    res.json(tree);
+
+  } catch (error) {
+    console.error('Errore API balance tree:', error);
+    res.status(500).json({
+      error: 'Errore nella costruzione del bilancio riclassificato',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint per i controlli di coerenza del bilancio; ?year=YYYY, ?status=pass|fail|skipped
+app.get('/api/companies/:id/balance-checks', async (req, res) => {
+  try {
+    const { year, status } = req.query;
+    if (year !== undefined && !/^\d{4}$/.test(year)) {
+      return res.status(400).json({ error: 'Parametro year non valido (formato YYYY)' });
+    }
+    if (status !== undefined && !['pass', 'fail', 'skipped'].includes(status)) {
+      return res.status(400).json({ error: 'Parametro status non valido (pass, fail, skipped)' });
+    }
+
+    const checks = await getBalanceChecks(pgClient, req.params.id, {
+      year: year === undefined ? undefined : Number(year),
+      status
+    });
+    if (!checks) {
+      return res.status(404).json({ error: 'Azienda non trovata' });
+    }
+    res.json(checks);
+
+  } catch (error) {
+    console.error('Errore API balance checks:', error);
+    res.status(500).json({
+      error: 'Errore nel recupero dei controlli di bilancio',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint per gli indici ricalcolati dal bilancio e confrontati col provider; ?year=YYYY, ?status=mismatch|...
+app.get('/api/companies/:id/ratios', async (req, res) => {
+  try {
+    const { year, status } = req.query;
+    if (year !== undefined && !/^\d{4}$/.test(year)) {
+      return res.status(400).json({ error: 'Parametro year non valido (formato YYYY)' });
+    }
+    if (status !== undefined && !['match', 'mismatch', 'computed', 'not_computable'].includes(status)) {
+      return res.status(400).json({ error: 'Parametro status non valido (match, mismatch, computed, not_computable)' });
+    }
+
+    const ratios = await getComputedRatios(pgClient, req.params.id, {
+      year: year === undefined ? undefined : Number(year),
+      status
+    });
+    if (!ratios) {
+      return res.status(404).json({ error: 'Azienda non trovata' });
+    }
+    res.json(ratios);
+
+  } catch (error) {
+    console.error('Errore API ratios:', error);
+    res.status(500).json({
+      error: 'Errore nel recupero degli indici calcolati',
+      details: error.message
+    });
+  }
+});
+
+// file di export come download (lib/export.js)
+function sendExport(res, format, filename, tables) {
+  res.set('Content-Type', CONTENT_TYPES[format]);
+  res.attachment(`${filename}.${format}`);
+  res.send(render(format, tables));
+}
+
+// Endpoint per l'export del bilancio: /api/companies/:id/balance.csv|.xlsx ?layout=wide (default)|long
+app.get('/api/companies/:id/balance.:format(csv|xlsx)', async (req, res) => {
+  try {
+    const layout = req.query.layout ?? 'wide';
+    if (!EXPORT_LAYOUTS.includes(layout)) {
+      return res.status(400).json({ error: `Parametro layout non valido (${EXPORT_LAYOUTS.join(', ')})` });
+    }
+
+    const data = await getBalanceExport(pgClient, req.params.id);
+    if (!data) {
+      return res.status(404).json({ error: 'Azienda non trovata' });
+    }
+    sendExport(res, req.params.format, `bilancio_${data.company.azienda_id}_${layout}`, [balanceTable(data.entries, { layout })]);
+
+  } catch (error) {
+    console.error('Errore API balance export:', error);
+    res.status(500).json({
+      error: 'Errore nell\'export del bilancio',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint per l'export dei KPI: /api/companies/:id/kpis.csv|.xlsx ?layout=wide (default)|long
+app.get('/api/companies/:id/kpis.:format(csv|xlsx)', async (req, res) => {
+  try {
+    const layout = req.query.layout ?? 'wide';
+    if (!EXPORT_LAYOUTS.includes(layout)) {
+      return res.status(400).json({ error: `Parametro layout non valido (${EXPORT_LAYOUTS.join(', ')})` });
+    }
+
+    const data = await getKpiExport(pgClient, req.params.id);
+    if (!data) {
+      return res.status(404).json({ error: 'Azienda non trovata' });
+    }
+    sendExport(res, req.params.format, `kpi_${data.company.azienda_id}_${layout}`, [kpiTable(data.kpis, { layout })]);
+
+  } catch (error) {
+    console.error('Errore API kpi export:', error);
+    res.status(500).json({
+      error: 'Errore nell\'export dei KPI',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint per l'export dell'elenco aziende: /api/companies.csv|.xlsx con gli stessi filtri di /api/companies
+//   &kpis=<kpi_name>,<kpi_name> (una colonna per KPI) &year=YYYY (default: ultimo esercizio di ogni KPI)
+app.get('/api/companies.:format(csv|xlsx)', async (req, res) => {
+  try {
+    const { filters, error } = companyFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { year } = req.query;
+    if (year !== undefined && !/^\d{4}$/.test(year)) {
+      return res.status(400).json({ error: 'Parametro year non valido (formato YYYY)' });
+    }
+    const kpiNames = String(req.query.kpis || '').split(',').map(k => k.trim()).filter(Boolean);
+
+    const data = await getPortfolioExport(pgClient, filters, { kpiNames, year: year === undefined ? undefined : Number(year) });
+    if (data.truncated) res.set('X-Export-Truncated', 'true');
+    sendExport(res, req.params.format, 'aziende', [portfolioTable(data.companies, data.kpis, kpiNames)]);
+
+  } catch (error) {
+    console.error('Errore API companies export:', error);
+    res.status(500).json({
+      error: 'Errore nell\'export dell\'elenco aziende',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint per il grafo delle partecipazioni (soci/partecipate) fino a N livelli
+app.get('/api/companies/:id/ownership', async (req, res) => {
+  try {
+    const depth = Math.min(Math.max(parseInt(req.query.depth, 10) || 1, 1), 5);
+
+    const graph = await getOwnershipGraph(pgClient, req.params.id, { depth });
+    if (!graph) {
+      return res.status(404).json({ error: 'Azienda non trovata' });
+    }
+    res.json(graph);
+
+  } catch (error) {
+    console.error('Errore API ownership:', error);
+    res.status(500).json({
+      error: 'Errore nel recupero del grafo delle partecipazioni',
+      details: error.message
+    });
+  }
+});
+
 // Gestione errori
 app.use((err, req, res, next) => {
   console.error('Errore server:', err);
@@ -255,11 +573,19 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Avvia il server
-app.listen(PORT, () => {
-  console.log(`🚀 Server avviato su http://localhost:${PORT}`);
-  console.log(`📊 Report disponibile su http://localhost:${PORT}`);
-});
+// Avvia il server solo se il database risponde e lo schema contiene tutte le tabelle
+pgClient.connect()
+  .then(() => assertSchema(pgClient))
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`🚀 Server avviato su http://localhost:${PORT} (schema ${SCHEMA})`);
+      console.log(`📊 Report disponibile su http://localhost:${PORT}`);
+    });
+  })
+  .catch(err => {
+    console.error('Errore connessione database:', err.message);
+    process.exit(1);
+  });
 
 // Gestione chiusura graceful
 process.on('SIGINT', async () => {
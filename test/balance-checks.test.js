@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runBalanceChecks, amountsByYear, BALANCE_CHECKS, DEFAULT_TOLERANCE } from '../lib/balance-checks.js';
+
+// importi che quadrano per un controllo: ogni parte vale 10 (con il suo segno), il totale e' la somma
+function balanced(check, { offset = 0 } = {}) {
+  const amounts = new Map();
+  let total = 0;
+  for (const part of check.parts) {
+    const [code, sign] = part.startsWith('-') ? [part.slice(1), -1] : [part, 1];
+    amounts.set(code, 10);
+    total += sign * 10;
+  }
+  amounts.set(check.total, total + offset);
+  return amounts;
+}
+const only = check => ({ checks: [check] });
+
+test('ogni controllo: pass quando quadra, fail oltre la tolleranza, skipped senza totale o senza parti', () => {
+  for (const check of BALANCE_CHECKS) {
+    const [pass] = runBalanceChecks(balanced(check), only(check));
+    assert.equal(pass.status, 'pass', check.id);
+    assert.equal(pass.difference, 0, check.id);
+
+    const [fail] = runBalanceChecks(balanced(check, { offset: 50 }), only(check));
+    assert.equal(fail.status, 'fail', check.id);
+    assert.equal(fail.difference, 50, check.id);
+
+    const withoutTotal = balanced(check);
+    withoutTotal.delete(check.total);
+    const [noTotal] = runBalanceChecks(withoutTotal, only(check));
+    assert.equal(noTotal.status, 'skipped', check.id);
+    assert.equal(noTotal.expected, null, check.id);
+
+    const [noParts] = runBalanceChecks(new Map([[check.total, 100]]), only(check));
+    assert.equal(noParts.status, 'skipped', check.id);
+    assert.equal(noParts.details.missing.length, check.parts.length, check.id);
+  }
+});
+
+test('tolleranza: il bordo assoluto e relativo e\' incluso', () => {
+  const check = BALANCE_CHECKS.find(c => c.id === 'net_result');
+  assert.deepEqual(DEFAULT_TOLERANCE, { absolute: 2, relative: 0.0001 });
+  const run = (total, pre, taxes) => runBalanceChecks(new Map([['IIC179', total], ['IIC177', pre], ['IIC178', taxes]]), only(check))[0];
+
+  // importi piccoli: vale lo scarto assoluto di 2 euro
+  assert.equal(run(102, 150, 50).status, 'pass');
+  assert.equal(run(102.01, 150, 50).status, 'fail');
+  assert.equal(run(98, 150, 50).tolerance, 2);
+
+  // importi grandi: vale lo 0,01% del totale (1000 euro su 10 milioni)
+  const big = run(10000000, 10001000, 2000);
+  assert.deepEqual([big.status, big.difference, big.tolerance], ['pass', 1000, 1000]);
+  assert.equal(run(10000000, 10000999, 2000).status, 'fail');
+});
+
+test('parti assenti: valgono 0 e sono elencate; un esercizio senza i codici resta skipped', () => {
+  const entries = [
+    { year: 2024, code: 'IIC070', amount: '973239' },
+    { year: 2024, code: 'IIC067', amount: '966469' },
+    { year: 2024, code: 'IIC069', amount: '6770' },
+    { year: 2024, code: 'IIC068', amount: null },
+    { year: 2023, code: 'IIC084', amount: '100' }
+  ];
+  const years = amountsByYear(entries);
+  assert.deepEqual([...years.keys()], [2024, 2023]);
+  assert.equal(years.get(2024).has('IIC068'), false);
+
+  const byId = rows => Object.fromEntries(rows.map(r => [r.check_id, r]));
+  const current = byId(runBalanceChecks(years.get(2024)));
+  assert.equal(current.cash_equivalents.status, 'pass');
+  assert.deepEqual(current.cash_equivalents.details.missing, ['IIC068']);
+  assert.equal(current.assets_aggregates.status, 'skipped');
+
+  // 2023: c'e' solo il patrimonio netto, senza nessuna delle sue parti
+  const previous = runBalanceChecks(years.get(2023));
+  assert.ok(previous.every(r => r.status === 'skipped'));
+  assert.equal(byId(previous).net_worth.expected, 100);
+});
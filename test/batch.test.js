@@ -0,0 +1,66 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { runBatch, keyedQueue, MAX_SUMMARY_ERRORS } from '../lib/batch.js';
+import { startDatabase, SCHEMA } from './helpers/database.js';
+
+let db;
+before(async () => { db = await startDatabase(); });
+after(async () => { await db?.stop(); });
+
+const batchRow = async batchId => (await db.query(`
+  select status, total, error, summary from ${SCHEMA}.ingestion_batches where batch_id = $1
+`, [batchId])).rows[0];
+
+test('sorgente illeggibile: la run finisce FAILED con il motivo', async () => {
+  const missing = path.join(os.tmpdir(), `batch-missing-${process.pid}`, '*.json');
+  await assert.rejects(runBatch(db.storage, missing, { concurrency: 1 }), { code: 'ENOENT' });
+
+  const { rows } = await db.query(`select batch_id from ${SCHEMA}.ingestion_batches where source = $1`, [missing]);
+  const row = await batchRow(rows[0].batch_id);
+  assert.equal(row.status, 'FAILED');
+  assert.match(row.error, /ENOENT/);
+});
+
+test('riepilogo: conteggi per stato e al massimo MAX_SUMMARY_ERRORS errori', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'batch-'));
+  const file = path.join(dir, 'records.jsonl');
+  await fs.writeFile(file, '{non json\n'.repeat(MAX_SUMMARY_ERRORS + 5));
+  try {
+    const summary = await runBatch(db.storage, file, { concurrency: 1 });
+    assert.equal(summary.status, 'COMPLETED_WITH_ERRORS');
+    assert.deepEqual(summary.byStatus, { ERROR: MAX_SUMMARY_ERRORS + 5 });
+
+    const row = await batchRow(summary.batchId);
+    assert.equal(row.total, MAX_SUMMARY_ERRORS + 5);
+    assert.equal(row.summary.errors.length, MAX_SUMMARY_ERRORS);
+    assert.equal(row.summary.omittedErrors, 5);
+    assert.equal(row.summary.records, undefined);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('keyedQueue: stessa chiave in sequenza e nell\'ordine di arrivo, chiavi diverse in parallelo', async () => {
+  const queue = keyedQueue();
+  const log = [];
+  const job = (name, ms) => async () => {
+    log.push(`${name}:start`);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    log.push(`${name}:end`);
+  };
+  await Promise.all([
+    queue('a', job('a1', 30)),
+    queue('a', job('a2', 1)),
+    queue('b', job('b1', 1)),
+    queue(null, job('n1', 1))
+  ]);
+  assert.ok(log.indexOf('a1:end') < log.indexOf('a2:start'));
+  assert.ok(log.indexOf('b1:end') < log.indexOf('a1:end'));
+  assert.ok(log.indexOf('n1:end') < log.indexOf('a1:end'));
+
+  await assert.rejects(queue('c', async () => { throw new Error('boom'); }), /boom/);
+  assert.equal(await queue('c', async () => 'dopo un errore la coda prosegue'), 'dopo un errore la coda prosegue');
+});
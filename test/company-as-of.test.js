@@ -0,0 +1,54 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ingestPayload } from '../lib/pipeline.js';
+import { getCompanyAsOf } from '../lib/queries/company.js';
+import { startDatabase, loadPayload, newerSnapshot, SCHEMA } from './helpers/database.js';
+
+let db;
+let aziendaId;
+const asOf = date => getCompanyAsOf(db.client, aziendaId, date, { schema: SCHEMA });
+const amountOf = (view, code) => view.balance_entries.find(e => e.year === 2024 && e.code === code)?.amount;
+
+before(async () => {
+  db = await startDatabase();
+  const original = loadPayload('valdorcia.json');
+  ({ azienda_id: aziendaId } = await ingestPayload(db.storage, original));
+
+  // riesposizione del bilancio 2024 in uno snapshot successivo
+  const restated = newerSnapshot(original, '2026-01-15T00:00:00Z', data => {
+    data.assetsAggregateValues.find(v => v.code === 'IIC074').value = 15000000;
+  });
+  assert.equal((await ingestPayload(db.storage, restated)).report.status, 'UPDATED');
+
+  // snapshot piu' vecchio arrivato dopo: OUTDATED, non scrive le sezioni
+  const outdated = newerSnapshot(original, '2020-01-01T00:00:00Z', data => { data.pec = 'storico@pec.it'; });
+  assert.equal((await ingestPayload(db.storage, outdated)).report.status, 'OUTDATED');
+});
+after(async () => { await db?.stop(); });
+
+test('dopo una riesposizione la data precedente restituisce gli importi noti allora', async () => {
+  const { rows } = await db.query(`
+    select amount from ${SCHEMA}.balance_entries where azienda_id = $1 and year = 2024 and code = 'IIC074'
+  `, [aziendaId]);
+  assert.equal(Number(rows[0].amount), 15000000);
+
+  const before = await asOf('2025-12-31');
+  assert.equal(amountOf(before, 'IIC074'), 14336617);
+  assert.equal(before.managers.length, 10);
+  assert.equal(amountOf(await asOf('2026-01-15'), 'IIC074'), 15000000);
+});
+
+test('snapshot OUTDATED: anagrafica, contatti e indirizzi dallo stesso snapshot', async () => {
+  const view = await asOf('2021-06-30');
+  assert.equal(view.version.valid_from.toISOString(), '2020-01-01T00:00:00.000Z');
+  assert.equal(view.company.company_name, (await asOf('2026-02-01')).company.company_name);
+  assert.equal(view.contacts.pec, 'storico@pec.it');
+  assert.ok(view.addresses.length > 0);
+  assert.equal(amountOf(view, 'IIC074'), 14336617);
+});
+
+test('prima del primo snapshot non risulta nulla', async () => {
+  const view = await asOf('2019-01-01');
+  assert.equal(view.company, null);
+  assert.deepEqual(view.balance_entries, []);
+});
@@ -0,0 +1,98 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ingestPayload } from '../lib/pipeline.js';
+import { listCompanies, encodeCursor, decodeCursor } from '../lib/queries/company.js';
+import { startDatabase, loadPayload, SCHEMA } from './helpers/database.js';
+import { startServer } from './helpers/server.js';
+
+const uuid = n => `00000000-0000-0000-0000-${String(n).padStart(12, '0')}`;
+
+let db;
+let server;
+let valdorcia;
+let euromar;
+
+before(async () => {
+  db = await startDatabase();
+  ({ azienda_id: valdorcia } = await ingestPayload(db.storage, loadPayload('valdorcia.json')));
+  ({ azienda_id: euromar } = await ingestPayload(db.storage, loadPayload('euromar.json')));
+  // omonimi (l'ordine tra loro lo decide azienda_id), un'azienda senza nome e una cessata
+  await db.query(`
+    insert into ${SCHEMA}.companies (azienda_id, company_name, status) values
+      ('${uuid(3)}', 'ALFA SRL', 'Enable'), ('${uuid(1)}', 'ALFA SRL', 'Enable'), ('${uuid(2)}', 'ALFA SRL', 'Enable'),
+      ('${uuid(4)}', null, 'Enable'), ('${uuid(5)}', 'BETA 100% SRL', 'Cessata')
+  `);
+  server = await startServer(db);
+});
+after(async () => {
+  await server?.stop();
+  await db?.stop();
+});
+
+const list = (filters = {}) => listCompanies(db.client, filters, { schema: SCHEMA });
+const ids = page => page.items.map(c => c.azienda_id);
+
+test('paginazione a cursore: pagine stabili, senza duplicati ne\' buchi, anche tra omonimi', async () => {
+  const all = await list();
+  assert.equal(all.next_cursor, null);
+  assert.deepEqual(ids(all), [uuid(4), uuid(1), uuid(2), uuid(3), uuid(5), euromar, valdorcia]);
+
+  for (const limit of [1, 2, 3]) {
+    const seen = [];
+    let cursor = null;
+    do {
+      const page = await list({ limit, cursor: cursor && decodeCursor(cursor) });
+      assert.ok(page.items.length <= limit);
+      seen.push(...ids(page));
+      cursor = page.next_cursor;
+    } while (cursor);
+    assert.deepEqual(seen, ids(all), `limit ${limit}`);
+  }
+
+  // l'ultima pagina piena non promette una pagina successiva vuota
+  assert.equal((await list({ limit: 7 })).next_cursor, null);
+  assert.deepEqual(decodeCursor(encodeCursor({ company_name: null, azienda_id: uuid(4) })), ['', uuid(4)]);
+});
+
+test('filtri: ricerca, stato, forma giuridica, ATECO, provincia, fatturato', async () => {
+  assert.deepEqual(ids(await list({ q: 'alfa' })), [uuid(1), uuid(2), uuid(3)]);
+  assert.deepEqual(ids(await list({ q: '100%' })), [uuid(5)]);
+  assert.deepEqual(ids(await list({ q: 'IT04475990158' })), [euromar]);
+  assert.deepEqual(ids(await list({ q: ' 00054490529 ' })), [valdorcia]);
+  assert.deepEqual(ids(await list({ status: 'cessata' })), [uuid(5)]);
+  assert.deepEqual(ids(await list({ legalForm: 'mutual company limited by shares' })), [valdorcia]);
+  assert.deepEqual(ids(await list({ ateco: '52.26' })), [euromar]);
+  assert.deepEqual(ids(await list({ ateco: '01' })), [valdorcia]);
+  assert.deepEqual(ids(await list({ province: 'si' })), [valdorcia]);
+  assert.deepEqual(ids(await list({ turnoverMin: 5000000 })), [valdorcia]);
+  assert.deepEqual(ids(await list({ turnoverMax: 5000000 })), [euromar]);
+  assert.deepEqual(ids(await list({ turnoverMin: 3181036, turnoverMax: 3181036 })), [euromar]);
+  assert.deepEqual(ids(await list({ status: 'enable', province: 'MI' })), [euromar]);
+});
+
+test('API elenco: pagine a cursore, 400 per cursore, limit o fatturato non validi', async () => {
+  const first = await server.get('/api/companies?limit=4');
+  assert.equal(first.status, 200);
+  assert.equal(first.body.limit, 4);
+  const second = await server.get(`/api/companies?limit=4&cursor=${first.body.next_cursor}`);
+  assert.deepEqual([...first.body.items, ...second.body.items].map(c => c.azienda_id), ids(await list()));
+  assert.equal(second.body.next_cursor, null);
+
+  const filtered = await server.get('/api/companies?province=MI&turnover_min=1000');
+  assert.deepEqual(filtered.body.items.map(c => c.azienda_id), [euromar]);
+
+  const badCursor = Buffer.from(JSON.stringify(['ALFA SRL', 3])).toString('base64url');
+  for (const query of ['cursor=non-un-cursore', `cursor=${badCursor}`]) {
+    const res = await server.get(`/api/companies?${query}`);
+    assert.equal(res.status, 400, query);
+    assert.equal(res.body.error, 'Parametro cursor non valido');
+  }
+  for (const query of ['limit=0', 'limit=201', 'limit=2.5', 'limit=abc']) {
+    const res = await server.get(`/api/companies?${query}`);
+    assert.equal(res.status, 400, query);
+    assert.equal(res.body.error, 'Parametro limit non valido (intero tra 1 e 200)');
+  }
+  const badTurnover = await server.get('/api/companies?turnover_min=molto');
+  assert.equal(badTurnover.status, 400);
+  assert.equal(badTurnover.body.error, 'Parametri turnover_min/turnover_max non validi (numeri)');
+});
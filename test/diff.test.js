@@ -0,0 +1,99 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffJson } from '../lib/diff.js';
+import { ingestPayload } from '../lib/pipeline.js';
+import { getCompanyVersionDiff } from '../lib/queries/company.js';
+import { startDatabase, loadPayload, newerSnapshot, SCHEMA } from './helpers/database.js';
+import { startServer } from './helpers/server.js';
+
+const manager = (taxCode, name) => ({ taxCode, name, roles: [{ role: { code: 'CON' }, roleStartDate: '2020-01-01' }] });
+
+test('diff: percorsi aggiunti, rimossi e cambiati', () => {
+  const { changes, summary } = diffJson(
+    { pec: 'a@pec.it', companyDetails: { companyName: 'ALFA', vatCode: '1' }, rae: 'x' },
+    { pec: 'b@pec.it', companyDetails: { companyName: 'ALFA', vatCode: '1', taxCode: 'T' }, sae: 'y' }
+  );
+  assert.deepEqual(changes, [
+    { op: 'changed', path: 'pec', from: 'a@pec.it', to: 'b@pec.it' },
+    { op: 'added', path: 'companyDetails.taxCode', to: 'T' },
+    { op: 'removed', path: 'rae', from: 'x' },
+    { op: 'added', path: 'sae', to: 'y' }
+  ]);
+  assert.deepEqual(summary, { added: 2, removed: 1, changed: 1 });
+  assert.deepEqual(diffJson({ a: [1, 2] }, { a: [1, 2] }).changes, []);
+});
+
+test('diff: gli amministratori si allineano per codice fiscale, non per indice', () => {
+  const previous = { managers: [manager('AAA', 'Anna'), manager('BBB', 'Bruno')] };
+  // un amministratore in testa e uno rinominato: gli altri non "scorrono"
+  const next = { managers: [manager('CCC', 'Carla'), manager('AAA', 'Anna'), manager('BBB', 'Bruno M.')] };
+  const { changes } = diffJson(previous, next);
+  assert.deepEqual(changes, [
+    { op: 'changed', path: 'managers[taxCode=BBB].name', from: 'Bruno', to: 'Bruno M.' },
+    { op: 'added', path: 'managers[taxCode=CCC]', to: next.managers[0] }
+  ]);
+
+  const removed = diffJson(next, previous).changes.filter(c => c.op === 'removed');
+  assert.deepEqual(removed.map(c => c.path), ['managers[taxCode=CCC]']);
+});
+
+test('diff: le voci di bilancio si allineano per codice', () => {
+  const previous = { debts: [{ code: 'IIC099', value: 0 }, { code: 'IIC098', value: 10 }] };
+  const next = { debts: [{ code: 'IIC098', value: 12 }, { code: 'IIC100', value: 5 }, { code: 'IIC099', value: 0 }] };
+  assert.deepEqual(diffJson(previous, next).changes, [
+    { op: 'changed', path: 'debts[code=IIC098].value', from: 10, to: 12 },
+    { op: 'added', path: 'debts[code=IIC100]', to: { code: 'IIC100', value: 5 } }
+  ]);
+
+  // senza una chiave univoca il confronto resta posizionale
+  assert.deepEqual(diffJson({ tags: ['a', 'b'] }, { tags: ['b'] }).changes, [
+    { op: 'changed', path: 'tags[0]', from: 'a', to: 'b' },
+    { op: 'removed', path: 'tags[1]', from: 'b' }
+  ]);
+});
+
+let db;
+let server;
+let aziendaId;
+let versions;
+
+before(async () => {
+  db = await startDatabase();
+  const original = loadPayload('valdorcia.json');
+  ({ azienda_id: aziendaId } = await ingestPayload(db.storage, original));
+  await ingestPayload(db.storage, newerSnapshot(original, '2026-01-15T00:00:00Z', data => {
+    data.pec = 'nuova@pec.it';
+    data.debts.find(d => d.code === 'IIC100').value += 1000;
+  }));
+  versions = (await db.query(`
+    select version_id from ${SCHEMA}.company_versions where azienda_id = $1 order by effective_date
+  `, [aziendaId])).rows.map(r => r.version_id);
+  server = await startServer(db);
+});
+after(async () => {
+  await server?.stop();
+  await db?.stop();
+});
+
+test('diff tra versioni: i cambiamenti dello snapshot successivo, anche con UUID in maiuscolo', async () => {
+  assert.equal(versions.length, 2);
+  const diff = await getCompanyVersionDiff(db.client, aziendaId, versions[0].toUpperCase(), versions[1].toUpperCase(),
+    { schema: SCHEMA });
+  assert.ok(diff);
+  assert.equal(diff.from.version_id, versions[0]);
+  const paths = diff.changes.map(c => c.path);
+  assert.ok(paths.includes('pec'));
+  assert.ok(paths.includes('debts[code=IIC100].value'));
+  assert.ok(paths.includes('companyDetails.lastUpdateDate'));
+  assert.equal(diff.summary.changed, diff.changes.length);
+});
+
+test('API diff: 200 per due versioni esistenti, 404 per una versione sconosciuta', async () => {
+  const ok = await server.get(`/api/companies/${aziendaId}/versions/${versions[0]}/diff/${versions[1]}`);
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.summary.changed, ok.body.changes.length);
+
+  const missing = await server.get(`/api/companies/${aziendaId}/versions/${versions[0]}/diff/00000000-0000-0000-0000-000000000000`);
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error, 'Versione non trovata per questa azienda');
+});
@@ -0,0 +1,79 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { startDatabase, loadPayload, SCHEMA } from './helpers/database.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+let db;
+before(async () => { db = await startDatabase(); });
+after(async () => { await db?.stop(); });
+
+async function cli(...args) {
+  const { stdout } = await promisify(execFile)(process.execPath, ['index.js', ...args], {
+    cwd: ROOT,
+    env: { ...process.env, DATABASE_URL: db.connectionString, SCHEMA },
+    timeout: 60000,
+    maxBuffer: 64 * 1024 * 1024
+  });
+  return JSON.parse(stdout);
+}
+
+// "debts[3]", "managers[0]", "ecofin.turnover" -> valore nel payload
+function resolve(data, source) {
+  return source.split('.').reduce((node, part) => {
+    const [, key, index] = part.match(/^([^[]+)(?:\[(\d+)\])?$/);
+    const value = node?.[key];
+    return index === undefined ? value : value?.[Number(index)];
+  }, data);
+}
+
+test('--dry-run: le righe che verrebbero scritte, senza scrivere nulla nel DB', async () => {
+  const result = await cli('valdorcia.json', '--dry-run');
+  assert.equal(result.dryRun, true);
+  assert.equal(result.report.status, 'UPDATED');
+  assert.deepEqual(result.writes.companies, { upsert: 1 });
+  assert.ok(result.writes.balance_entries.upsert > 0);
+  assert.equal(result.rows.filter(r => r.table === 'balance_entries').length, result.writes.balance_entries.upsert);
+  assert.ok(result.rows.every(r => !('_source' in r)));
+  // il log dell'ingestion e' nei conteggi ma non tra le righe
+  assert.ok(!result.rows.some(r => r.table === 'ingestions'));
+
+  const { rows } = await db.query(`
+    select (select count(*) from ${SCHEMA}.companies) as companies,
+           (select count(*) from ${SCHEMA}.company_versions) as versions,
+           (select count(*) from ${SCHEMA}.balance_entries) as entries,
+           (select count(*) from ${SCHEMA}.company_kpis) as kpis,
+           (select count(*) from ${SCHEMA}.ingestions) as ingestions,
+           (select count(*) from ${SCHEMA}.unmapped_codes) as unmapped
+  `);
+  assert.deepEqual(rows[0], { companies: '0', versions: '0', entries: '0', kpis: '0', ingestions: '0', unmapped: '0' });
+});
+
+test('--explain: ogni riga riporta il percorso JSON da cui e\' stata letta', async () => {
+  const { data } = loadPayload('valdorcia.json');
+  const { rows } = await cli('valdorcia.json', '--explain');
+  const of = table => rows.filter(r => r.table === table);
+
+  assert.equal(of('companies')[0]._source, 'companyDetails');
+  for (const { row, _source } of of('balance_entries')) {
+    assert.match(_source, /^\w+\[\d+\]$/);
+    const item = resolve(data, _source);
+    assert.equal(item.code, row.code, _source);
+    assert.equal(item.value, row.amount, _source);
+  }
+  for (const { row, _source } of of('company_kpis')) {
+    assert.equal(_source, row.source_path);
+    assert.equal(resolve(data, _source), row.value, _source);
+  }
+  for (const { row, _source } of of('managers')) {
+    assert.equal(resolve(data, _source).taxCode, row.tax_code, _source);
+  }
+  assert.deepEqual(of('addresses').map(r => r._source), ['address', 'allOffices[0].address', 'allOffices[1].address']);
+  // righe calcolate: nessun percorso di origine
+  assert.ok(of('balance_checks').every(r => r._source === null));
+  assert.ok(of('computed_ratios').every(r => r._source === null));
+  assert.ok(of('unknown_fields').every(r => r._source === r.row.json_path));
+});
@@ -0,0 +1,168 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { toCsv, balanceTable, kpiTable, render } from '../lib/export.js';
+import { zip, writeXlsx } from '../lib/xlsx.js';
+import { getPortfolioExport, MAX_EXPORT_COMPANIES } from '../lib/queries/export.js';
+import { startDatabase, SCHEMA } from './helpers/database.js';
+
+// crc32 bit a bit, indipendente dalla tabella di lib/xlsx.js
+function crc32(buf) {
+  let crc = 0xffffffff;
+  for (const byte of buf) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Lettura di un archivio zip dalla directory centrale, come fanno Excel e unzip: record di fine
+ * directory, voci della directory, header locali agli offset dichiarati. Ritorna Map nome -> Buffer.
+ */
+function unzip(archive) {
+  const end = archive.length - 22;
+  assert.equal(archive.readUInt32LE(end), 0x06054b50, 'record di fine directory');
+  const count = archive.readUInt16LE(end + 10);
+  const size = archive.readUInt32LE(end + 12);
+  const start = archive.readUInt32LE(end + 16);
+  assert.equal(start + size, end, 'la directory centrale finisce dove inizia il record di fine');
+
+  const files = new Map();
+  let pos = start;
+  for (let i = 0; i < count; i++) {
+    assert.equal(archive.readUInt32LE(pos), 0x02014b50, 'voce della directory centrale');
+    const crc = archive.readUInt32LE(pos + 16);
+    const packedSize = archive.readUInt32LE(pos + 20);
+    const dataSize = archive.readUInt32LE(pos + 24);
+    const nameLength = archive.readUInt16LE(pos + 28);
+    const offset = archive.readUInt32LE(pos + 42);
+    const name = archive.toString('utf8', pos + 46, pos + 46 + nameLength);
+
+    assert.equal(archive.readUInt32LE(offset), 0x04034b50, `header locale di ${name}`);
+    assert.equal(archive.readUInt32LE(offset + 14), crc, `crc locale di ${name}`);
+    assert.equal(archive.toString('utf8', offset + 30, offset + 30 + archive.readUInt16LE(offset + 26)), name);
+    const dataStart = offset + 30 + archive.readUInt16LE(offset + 26) + archive.readUInt16LE(offset + 28);
+    const data = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + packedSize));
+    assert.equal(data.length, dataSize, `dimensione di ${name}`);
+    assert.equal(crc32(data), crc, `crc di ${name}`);
+    files.set(name, data);
+    pos += 46 + nameLength;
+  }
+  assert.equal(pos, end);
+  return files;
+}
+
+const table = rows => ({ name: 'T', columns: [{ key: 'a', header: 'A' }, { key: 'b', header: 'B' }], rows });
+
+test('CSV: BOM, virgolette, a capo e spazi ai bordi', () => {
+  const csv = toCsv(table([
+    { a: 'Rossi, Mario', b: 'detto "Il Rosso"' },
+    { a: 'riga\nnuova', b: ' spazio' },
+    { a: 12.5, b: null },
+    { a: Number.NaN, b: 'semplice' }
+  ]));
+  assert.ok(csv.startsWith('﻿'));
+  assert.equal(csv.slice(1), [
+    'A,B',
+    '"Rossi, Mario","detto ""Il Rosso"""',
+    '"riga\nnuova"," spazio"',
+    '12.5,',
+    ',semplice',
+    ''
+  ].join('\r\n'));
+  assert.equal(render('csv', [table([])]).toString('utf8'), '﻿A,B\r\n');
+});
+
+test('CSV: i testi che Excel leggerebbe come formule sono neutralizzati', () => {
+  const csv = toCsv(table([{ a: '=SUM(A1:A2)', b: '+39 0577' }, { a: '@cmd', b: '\tx' }, { a: '-5', b: 'a=b' }]));
+  const [, ...lines] = csv.slice(1).trim().split('\r\n');
+  assert.deepEqual(lines, [`'=SUM(A1:A2),'+39 0577`, `'@cmd,'\tx`, '-5,a=b']);
+});
+
+const entries = [
+  { year: 2024, statement: 'CE', code: 'IIC130', description: 'Valore della produzione', amount: '900', sort_order: 120 },
+  { year: 2023, statement: 'SP_P', code: 'IIC084', description: 'Patrimonio netto (2023)', amount: '50', sort_order: 100 },
+  { year: 2024, statement: 'SP_P', code: 'IIC084', description: 'Patrimonio netto', amount: '60', sort_order: 100 },
+  { year: 2024, statement: 'SP_P', code: 'IIC075', description: 'Capitale', amount: '10', sort_order: 101 },
+  { year: 2024, statement: 'SP_A', code: 'IIC074', description: 'Totale attivo', amount: '70', sort_order: 1 },
+  { year: 2024, statement: 'SP_A', code: 'IIC999', description: 'Fuori legenda', amount: '1', sort_order: null }
+];
+
+test('bilancio wide: una riga per voce, un esercizio per colonna, ordine per sezione e sort_order', () => {
+  const wide = balanceTable(entries);
+  assert.deepEqual(wide.columns.map(c => c.header), ['Sezione', 'Codice', 'Descrizione', '2023', '2024']);
+  assert.deepEqual(wide.rows.map(r => r.code), ['IIC074', 'IIC999', 'IIC084', 'IIC075', 'IIC130']);
+  const netWorth = wide.rows.find(r => r.code === 'IIC084');
+  assert.deepEqual([netWorth.description, netWorth[2023], netWorth[2024]], ['Patrimonio netto', 50, 60]);
+  assert.equal(wide.rows.find(r => r.code === 'IIC130')[2023], undefined);
+});
+
+test('bilancio e KPI long: una riga per voce ed esercizio, importi numerici', () => {
+  const long = balanceTable(entries, { layout: 'long' });
+  assert.equal(long.rows.length, entries.length);
+  assert.ok(long.rows.every(r => typeof r.amount === 'number'));
+  assert.deepEqual(long.columns.map(c => c.key).slice(0, 5), ['year', 'statement', 'code', 'description', 'amount']);
+
+  const kpis = [
+    { fiscal_year: 2024, block: 'profitability', kpi_name: 'roe', value: '4.5' },
+    { fiscal_year: 2023, block: 'profitability', kpi_name: 'roe', value: '3.1' },
+    { fiscal_year: 2024, block: 'efficiency', kpi_name: 'turnover', value: null }
+  ];
+  assert.deepEqual(kpiTable(kpis).rows, [
+    { block: 'efficiency', kpi_name: 'turnover', 2024: null },
+    { block: 'profitability', kpi_name: 'roe', 2023: 3.1, 2024: 4.5 }
+  ]);
+  assert.equal(kpiTable(kpis, { layout: 'long' }).rows.length, 3);
+});
+
+test('zip: archivio valido (crc, directory centrale, offset)', () => {
+  const files = unzip(zip([
+    { name: 'a.txt', data: 'ciao' },
+    { name: 'dir/è.bin', data: Buffer.from([0, 1, 2, 255]) },
+    { name: 'vuoto.txt', data: '' }
+  ]));
+  assert.deepEqual([...files.keys()], ['a.txt', 'dir/è.bin', 'vuoto.txt']);
+  assert.equal(files.get('a.txt').toString(), 'ciao');
+  assert.deepEqual([...files.get('dir/è.bin')], [0, 1, 2, 255]);
+  assert.equal(files.get('vuoto.txt').length, 0);
+});
+
+test('xlsx: parti Office Open XML, celle numeriche e testo escapato', () => {
+  const xlsx = writeXlsx([balanceTable(entries), { name: 'Bilancio', columns: [{ key: 'x', header: 'X' }], rows: [{ x: 'a<b & "c"' }] }]);
+  assert.deepEqual(xlsx, render('xlsx', [balanceTable(entries), { name: 'Bilancio', columns: [{ key: 'x', header: 'X' }], rows: [{ x: 'a<b & "c"' }] }]));
+  const files = unzip(xlsx);
+  assert.deepEqual([...files.keys()], ['[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels',
+    'xl/styles.xml', 'xl/worksheets/sheet1.xml', 'xl/worksheets/sheet2.xml']);
+
+  // nomi dei fogli unici anche se le tabelle si chiamano uguale
+  const workbook = files.get('xl/workbook.xml').toString();
+  assert.match(workbook, /<sheet name="Bilancio" sheetId="1"/);
+  assert.match(workbook, /<sheet name="Bilancio 2" sheetId="2"/);
+
+  const sheet = files.get('xl/worksheets/sheet1.xml').toString();
+  assert.match(sheet, /<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">Sezione<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="E2"><v>70<\/v><\/c>/);
+  assert.match(files.get('xl/worksheets/sheet2.xml').toString(), /a&lt;b &amp; &quot;c&quot;/);
+});
+
+let db;
+before(async () => { db = await startDatabase(); });
+after(async () => { await db?.stop(); });
+
+test(`export di portafoglio: troncato oltre ${MAX_EXPORT_COMPANIES} aziende`, async () => {
+  await db.query(`
+    insert into ${SCHEMA}.companies (azienda_id, company_name, status)
+    select gen_random_uuid(), 'AZIENDA ' || lpad(n::text, 5, '0'), 'ATTIVA' from generate_series(1, $1::int) n
+  `, [MAX_EXPORT_COMPANIES + 1]);
+
+  const all = await getPortfolioExport(db.client, {}, {}, { schema: SCHEMA });
+  assert.equal(all.truncated, true);
+  assert.equal(all.companies.length, MAX_EXPORT_COMPANIES);
+  assert.equal(all.companies.at(-1).company_name, `AZIENDA ${String(MAX_EXPORT_COMPANIES).padStart(5, '0')}`);
+
+  // con un filtro sotto il limite l'export e' completo
+  const some = await getPortfolioExport(db.client, { q: 'AZIENDA 0001' }, {}, { schema: SCHEMA });
+  assert.equal(some.truncated, false);
+  assert.equal(some.companies.length, 10);
+});
@@ -0,0 +1,82 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractKpis, extractUnknownFields, KPI_BLOCKS } from '../lib/extractors.js';
+import { ingestPayload } from '../lib/pipeline.js';
+import { startDatabase, loadPayload, newerSnapshot, SCHEMA } from './helpers/database.js';
+
+test('KPI: ogni chiave numerica di un blocco noto e\' una serie, anche con nomi mai visti', () => {
+  const kpis = extractKpis({ data: {
+    profitability: { roe: 4.5, roeL2Y: 3.1, ratioInventatoDalProvider: 0.42, 'margineSecondario ': 7 },
+    efficiency: { turnoverDays: 30, note: 'testo', missing: null, nan: Number.NaN, nested: { value: 1 } },
+    bloccoSconosciuto: { x: 1 }
+  } }, 2024);
+
+  assert.deepEqual(kpis.map(({ fiscal_year, block, kpi_name, value, source_path, is_comparative }) =>
+    [fiscal_year, block, kpi_name, value, source_path, is_comparative]), [
+    [2024, 'profitability', 'profitability.roe', 4.5, 'profitability.roe', false],
+    [2023, 'profitability', 'profitability.roe', 3.1, 'profitability.roeL2Y', true],
+    [2024, 'profitability', 'profitability.ratioInventatoDalProvider', 0.42, 'profitability.ratioInventatoDalProvider', false],
+    // la chiave con lo spazio finale resta leggibile nel source_path originale
+    [2024, 'profitability', 'profitability.margineSecondario', 7, 'profitability.margineSecondario ', false],
+    [2024, 'efficiency', 'efficiency.turnoverDays', 30, 'efficiency.turnoverDays', false]
+  ]);
+  assert.ok(kpis.every(k => k.filing_year === 2024));
+});
+
+test('KPI: tutti i blocchi di valdorcia, anche senza busta data', () => {
+  const { data } = loadPayload('valdorcia.json');
+  const kpis = extractKpis(data, 2024);
+  const blocks = new Set(kpis.map(k => k.block));
+  assert.deepEqual([...blocks].sort(), KPI_BLOCKS.filter(block => data[block] && Object.values(data[block])
+    .some(v => typeof v === 'number')).sort());
+  assert.equal(kpis.find(k => k.kpi_name === 'operatingResults.ebitda' && k.fiscal_year === 2023).value, 872101);
+  assert.equal(new Set(kpis.map(k => `${k.fiscal_year}|${k.kpi_name}`)).size, kpis.length);
+});
+
+test('campi non letti: un percorso normalizzato per foglia, con i tipi osservati', () => {
+  const fields = extractUnknownFields({ data: {
+    companyDetails: { vatCode: '1', leiCode: 'LEI' },
+    esg: { score: 7.5, rating: 'A', certified: true, since: '2020-01-01', audit: '2024-05-01T10:00:00Z', empty: null },
+    managers: [{ taxCode: 'AAA', age: 58 }, { taxCode: 'BBB', age: 'n/d' }, { taxCode: 'CCC', age: 61 }],
+    debts: [{ code: 'IIC100', value: 1, extra: 'x' }]
+  } }, ['debts.0.code', 'debts.0.value', null]);
+  const byPath = Object.fromEntries(fields.map(({ json_path, ...rest }) => [json_path, rest]));
+
+  assert.deepEqual(Object.keys(byPath).sort(), [
+    'companyDetails.leiCode', 'debts[].extra', 'esg.audit', 'esg.certified', 'esg.empty', 'esg.rating', 'esg.score', 'esg.since',
+    'managers[].age'
+  ]);
+  assert.deepEqual(byPath['managers[].age'], { section: 'managers', value: 58, observed_types: { integer: 2, text: 1 } });
+  assert.deepEqual(
+    ['score', 'rating', 'certified', 'since', 'audit', 'empty'].map(key => byPath[`esg.${key}`].observed_types),
+    [{ numeric: 1 }, { text: 1 }, { boolean: 1 }, { date: 1 }, { timestamp: 1 }, { null: 1 }]
+  );
+  assert.equal(byPath['esg.empty'].value, null);
+  assert.equal(byPath['debts[].extra'].section, 'debts');
+});
+
+let db;
+before(async () => { db = await startDatabase(); });
+after(async () => { await db?.stop(); });
+
+test('campi non letti in unknown_fields: i tipi osservati si sommano tra le ingestion', async () => {
+  const original = loadPayload('valdorcia.json');
+  const { azienda_id, report } = await ingestPayload(db.storage, original);
+  assert.ok(report.inserts.unknown_fields > 0);
+  await ingestPayload(db.storage, newerSnapshot(original, '2026-01-15T00:00:00Z', data => {
+    data.managers[0].age = 'n/d';
+  }));
+
+  const { rows: [age] } = await db.query(`
+    select section, occurrences, observed_types from ${SCHEMA}.unknown_fields where azienda_id = $1 and json_path = 'managers[].age'
+  `, [azienda_id]);
+  const managers = original.data.managers.length;
+  assert.deepEqual(age, { section: 'managers', occurrences: 2, observed_types: { integer: 2 * managers - 1, text: 1 } });
+
+  // i percorsi letti da bilancio e KPI non sono campi sconosciuti
+  const { rows } = await db.query(`
+    select json_path from ${SCHEMA}.unknown_fields
+    where azienda_id = $1 and (json_path like 'debts%' or json_path like 'operatingResults%' or json_path like 'companyDetails.vatCode')
+  `, [azienda_id]);
+  assert.deepEqual(rows, []);
+});
@@ -0,0 +1,66 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { resolveFiscalYear } from '../lib/util.js';
+import { ingestPayload } from '../lib/pipeline.js';
+import { startDatabase, loadPayload, SCHEMA } from './helpers/database.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+test('anno fiscale: --year vince su tutto, poi anno esplicito, data di bilancio, anno del fatturato', () => {
+  const data = {
+    balance: { year: 2021 }, fiscalYear: 2022, year: 2023,
+    ecofin: { balanceSheetDate: '2024-12-31T00:00:00', turnoverYear: 2025 }
+  };
+  assert.deepEqual(resolveFiscalYear({ data }, '2019'), { year: 2019, source: 'cli' });
+  assert.deepEqual(resolveFiscalYear({ data }), { year: 2021, source: 'balance.year' });
+  assert.deepEqual(resolveFiscalYear({ fiscalYear: '2022', year: 2023 }), { year: 2022, source: 'fiscalYear' });
+  assert.deepEqual(resolveFiscalYear({ year: 2023 }), { year: 2023, source: 'year' });
+  assert.deepEqual(resolveFiscalYear({ ecofin: data.ecofin }), { year: 2024, source: 'ecofin.balanceSheetDate' });
+  assert.deepEqual(resolveFiscalYear({ ecofin: { turnoverYear: 2025 } }), { year: 2025, source: 'ecofin.turnoverYear' });
+  assert.deepEqual(resolveFiscalYear(loadPayload('valdorcia.json')), { year: 2024, source: 'ecofin.balanceSheetDate' });
+
+  // valori non plausibili non contano: si passa al candidato successivo o a null
+  assert.deepEqual(resolveFiscalYear({ year: 'n/d', ecofin: { turnoverYear: 2020 } }), { year: 2020, source: 'ecofin.turnoverYear' });
+  assert.equal(resolveFiscalYear({ year: 24 }), null);
+  assert.equal(resolveFiscalYear({ data: { companyDetails: {} } }), null);
+});
+
+let db;
+before(async () => { db = await startDatabase(); });
+after(async () => { await db?.stop(); });
+
+test('ingestion: un payload senza anno e\' rifiutato, con --year viene timbrato con l\'anno indicato', async () => {
+  const payload = loadPayload('valdorcia.json');
+  delete payload.data.ecofin.balanceSheetDate;
+  delete payload.data.ecofin.turnoverYear;
+
+  await assert.rejects(ingestPayload(db.storage, payload), /Anno fiscale non risolvibile dal payload \(usa --year YYYY per forzarlo\)/);
+  const { rows } = await db.query(`select status, summary->>'error' as error from ${SCHEMA}.ingestions`);
+  assert.deepEqual(rows.map(r => r.status), ['ERROR']);
+  assert.match(rows[0].error, /Anno fiscale non risolvibile/);
+  assert.equal((await db.query(`select count(*) from ${SCHEMA}.companies`)).rows[0].count, '0');
+
+  const { azienda_id, report } = await ingestPayload(db.storage, payload, { fiscalYearOverride: '2023' });
+  assert.deepEqual(report.fiscalYear, { year: 2023, source: 'cli' });
+  const { rows: years } = await db.query(`
+    select distinct year from ${SCHEMA}.balance_entries where azienda_id = $1 and not is_comparative
+  `, [azienda_id]);
+  assert.deepEqual(years, [{ year: 2023 }]);
+});
+
+test('CLI: --year sovrascrive l\'anno del payload, un valore non YYYY e\' un errore d\'uso', async () => {
+  const run = (...args) => promisify(execFile)(process.execPath, ['index.js', 'valdorcia.json', '--dry-run', ...args], {
+    cwd: ROOT, env: { ...process.env, DATABASE_URL: db.connectionString, SCHEMA }, timeout: 60000, maxBuffer: 64 * 1024 * 1024
+  });
+  const { report, rows } = JSON.parse((await run('--year', '2020')).stdout);
+  assert.deepEqual(report.fiscalYear, { year: 2020, source: 'cli' });
+  assert.deepEqual([...new Set(rows.filter(r => r.table === 'balance_entries').map(r => r.row.year))], [2020]);
+
+  await assert.rejects(run('--year', '20'), err => {
+    assert.match(err.stderr, /Usage: node index\.js/);
+    return true;
+  });
+});
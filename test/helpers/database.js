@@ -0,0 +1,51 @@
+import fs from 'fs';
+import pg from 'pg';
+import { PGlite } from '@electric-sql/pglite';
+import { PGLiteSocketServer } from '@electric-sql/pglite-socket';
+import { createMigrator } from '../../lib/migrations.js';
+import { createPostgresStorage } from '../../lib/storage/postgres.js';
+
+/**
+ * Postgres in memoria (PGlite esposto sul protocollo di rete) con tutte le migrazioni applicate:
+ * i test usano lo storage e le query reali, con il driver `pg`.
+ */
+
+export const SCHEMA = 'openapi';
+
+export async function startDatabase() {
+  const db = await PGlite.create();
+  const server = new PGLiteSocketServer({ db, port: 0, host: '127.0.0.1', maxConnections: 8 });
+  await server.start();
+  const connectionString = `postgres://postgres@${server.getServerConn()}/postgres?sslmode=disable`;
+
+  const client = new pg.Client({ connectionString });
+  await client.connect();
+  await createMigrator(client, { schema: SCHEMA, appliedBy: 'test' }).up();
+  const storage = createPostgresStorage({ connectionString, schema: SCHEMA });
+
+  return {
+    connectionString,
+    client,
+    storage,
+    query: (sql, params) => client.query(sql, params),
+    async stop() {
+      await storage.close();
+      await client.end();
+      await server.stop();
+      await db.close();
+    }
+  };
+}
+
+/** Payload di esempio della root del repo (copia modificabile). */
+export function loadPayload(name) {
+  return JSON.parse(fs.readFileSync(new URL(`../../${name}`, import.meta.url), 'utf8'));
+}
+
+/** Stesso payload con una data di aggiornamento successiva (snapshot piu' recente). */
+export function newerSnapshot(payload, lastUpdateDate, edit = () => {}) {
+  const next = structuredClone(payload);
+  next.data.companyDetails.lastUpdateDate = lastUpdateDate;
+  edit(next.data);
+  return next;
+}
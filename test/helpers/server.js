@@ -0,0 +1,74 @@
+import net from 'net';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { SCHEMA } from './database.js';
+
+/**
+ * server.js avviato come processo figlio sul database dei test (startDatabase): le API si provano
+ * via HTTP come le usa il report. stop() termina il processo avviato, per pid.
+ */
+
+const ROOT = fileURLToPath(new URL('../..', import.meta.url));
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().once('error', reject).listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+export async function startServer(db, { timeout = 30000, schema = SCHEMA } = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: { ...process.env, DATABASE_URL: db.connectionString, SCHEMA: schema, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server.js non avviato entro ${timeout} ms:\n${output}`)), timeout);
+    const onData = chunk => {
+      output += chunk;
+      if (output.includes('Server avviato')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`server.js terminato (exit ${code}):\n${output}`));
+    });
+  });
+  child.removeAllListeners('exit');
+
+  const url = `http://127.0.0.1:${port}`;
+  return {
+    url,
+    // { status, headers, body } con il body JSON (o testo se la risposta non e' JSON: CSV, HTML)
+    async request(pathname, { method = 'GET', body } = {}) {
+      const res = await fetch(`${url}${pathname}`, {
+        method,
+        headers: body === undefined ? {} : { 'content-type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const text = await res.text();
+      let parsed = text;
+      try { parsed = JSON.parse(text); } catch { /* risposta non JSON */ }
+      return { status: res.status, headers: res.headers, body: parsed };
+    },
+    get(pathname) {
+      return this.request(pathname);
+    },
+    stop() {
+      if (child.exitCode !== null) return Promise.resolve();
+      return new Promise(resolve => {
+        child.once('exit', resolve);
+        child.kill('SIGTERM');
+      });
+    }
+  };
+}
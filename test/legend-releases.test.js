@@ -0,0 +1,146 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { LEGEND_FILE, loadLegendHierarchy, diffLegend } from '../lib/legend.js';
+import { ingestPayload } from '../lib/pipeline.js';
+import { startDatabase, loadPayload, newerSnapshot, SCHEMA } from './helpers/database.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'legend-'));
+
+// release 2025: IIC100 rinominato, IIC099 ritirato, IIC999 nuovo
+const RENAMED = 'D.7. Debiti verso fornitori entro 12 mesi';
+const NEXT_FILE = path.join(dir, 'schemi-2025.json');
+{
+  const schemi = JSON.parse(fs.readFileSync(LEGEND_FILE, 'utf8'));
+  const liabilities = schemi.stato_patrimoniale_passivo.filter(row => row.code !== 'IIC099');
+  liabilities.find(row => row.code === 'IIC100').description = RENAMED;
+  liabilities.push({ code: 'IIC999', description: 'D.15. Debiti per cripto-attivita' });
+  fs.writeFileSync(NEXT_FILE, JSON.stringify({ ...schemi, stato_patrimoniale_passivo: liabilities }));
+}
+
+let db;
+let aziendaId;
+
+before(async () => {
+  db = await startDatabase();
+  // voci 2024 (deposito 2024) e 2025 (deposito 2025), prima di qualsiasi release
+  const original = loadPayload('valdorcia.json');
+  ({ azienda_id: aziendaId } = await ingestPayload(db.storage, original));
+  await ingestPayload(db.storage, newerSnapshot(original, '2026-06-01T00:00:00Z', data => {
+    data.ecofin.balanceSheetDate = '2025-12-31T00:00:00';
+  }));
+});
+after(async () => {
+  await db?.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function populate(...args) {
+  return promisify(execFile)(process.execPath, ['populate_legend_codes.js', ...args], {
+    cwd: ROOT,
+    env: { ...process.env, DATABASE_URL: db.connectionString, SCHEMA },
+    timeout: 60000
+  });
+}
+
+const releaseOf = year => db.storage.transaction(tx => tx.getLegendRelease(year));
+async function entry(year, code) {
+  const { rows: [row] } = await db.query(`
+    select description, legend_release_id from ${SCHEMA}.balance_entries
+    where azienda_id = $1 and year = $2 and code = $3
+  `, [aziendaId, year, code]);
+  return row;
+}
+
+test('diffLegend: aggiunti, rimossi, rinominati e spostati', () => {
+  const previous = loadLegendHierarchy();
+  assert.deepEqual(diffLegend(previous, loadLegendHierarchy(NEXT_FILE)), {
+    added: ['IIC999'],
+    removed: ['IIC099'],
+    renamed: [{ code: 'IIC100', from: 'D.7. Debiti verso fornitori esigibili a breve', to: RENAMED }],
+    moved: [],
+    unchanged: previous.length - 2
+  });
+  const moved = previous.map(row => (row.code === 'IIC100' ? { ...row, parent_code: 'IIC334' } : row));
+  assert.deepEqual(diffLegend(previous, moved).moved, [{
+    code: 'IIC100', from: { statement: 'SP_P', parent_code: 'IIC335', sign: 1 }, to: { statement: 'SP_P', parent_code: 'IIC334', sign: 1 }
+  }]);
+});
+
+test('due release: differenze stampate, validita\' contigue, voci ricollegate per esercizio', async () => {
+  const first = await populate('--release', '2020', '--valid-from', '2020-01-01');
+  assert.match(first.stdout, /Confronto con legend_codes corrente:/);
+  assert.match(first.stdout, /balance_entries: \d+ voci ricollegate/);
+
+  // --dry-run: solo il confronto
+  const dry = await populate('--release', '2025', '--valid-from', '2025-01-01', '--file', NEXT_FILE, '--dry-run');
+  assert.match(dry.stdout, /Confronto con release 2020:\n.*aggiunti 1, .*rimossi 1, .*rinominati 1, .*spostati 0/);
+  assert.match(dry.stdout, /\+ IIC999\n/);
+  assert.match(dry.stdout, /- IIC099\n/);
+  assert.match(dry.stdout, /~ IIC100: "D\.7\. Debiti verso fornitori esigibili a breve" -> "D\.7\. Debiti verso fornitori entro 12 mesi"/);
+  assert.equal((await db.query(`select count(*) from ${SCHEMA}.legend_releases`)).rows[0].count, '1');
+
+  await populate('--release', '2025', '--valid-from', '2025-01-01', '--file', NEXT_FILE);
+  const { rows: releases } = await db.query(`
+    select release_id, valid_from::text, valid_to::text, changes->'removed' as removed
+    from ${SCHEMA}.legend_releases order by valid_from
+  `);
+  assert.deepEqual(releases.map(({ removed, ...r }) => r), [
+    { release_id: '2020', valid_from: '2020-01-01', valid_to: '2024-12-31' },
+    { release_id: '2025', valid_from: '2025-01-01', valid_to: null }
+  ]);
+  assert.deepEqual(releases[1].removed, ['IIC099']);
+
+  // legenda corrente = release piu' recente; IIC099 resta solo nella release 2020
+  const { rows: current } = await db.query(`
+    select code, description, release_id from ${SCHEMA}.legend_codes where code in ('IIC099', 'IIC100', 'IIC999') order by code
+  `);
+  assert.deepEqual(current.map(r => [r.code, r.release_id]), [['IIC100', '2025'], ['IIC999', '2025']]);
+  assert.equal(current[0].description, RENAMED);
+
+  assert.deepEqual(await entry(2024, 'IIC100'), { description: 'D.7. Debiti verso fornitori esigibili a breve', legend_release_id: '2020' });
+  assert.deepEqual(await entry(2025, 'IIC100'), { description: RENAMED, legend_release_id: '2025' });
+  assert.deepEqual(await entry(2024, 'IIC099'), {
+    description: 'D.6. Acconti/anticipi esigibili oltre l\'esercizio successivo', legend_release_id: '2020'
+  });
+  assert.equal((await entry(2025, 'IIC099')).legend_release_id, '2025');
+
+  // stessa release: nessuna modifica; stesso id con contenuto diverso: rifiutata
+  assert.match((await populate('--release', '2025', '--valid-from', '2025-01-01', '--file', NEXT_FILE)).stdout,
+    /Release 2025 gia' importata/);
+  await assert.rejects(populate('--release', '2025', '--valid-from', '2025-01-01'), err => {
+    assert.match(err.stderr, /La release 2025 esiste gia' con un contenuto diverso/);
+    return true;
+  });
+});
+
+test('getLegendRelease: la release in vigore al 31/12 dell\'esercizio, anche se importata fuori ordine', async () => {
+  // release intermedia importata dopo: chiude la 2020 e finisce prima della 2025, legend_codes non cambia
+  const middle = await populate('--release', '2022', '--valid-from', '2022-07-01');
+  assert.match(middle.stdout, /valida dal 2022-07-01 al giorno prima di 2025/);
+  assert.doesNotMatch(middle.stdout, /legend_codes:/);
+
+  const { rows } = await db.query(`select release_id, valid_to::text from ${SCHEMA}.legend_releases order by valid_from`);
+  assert.deepEqual(rows, [
+    { release_id: '2020', valid_to: '2022-06-30' },
+    { release_id: '2022', valid_to: '2024-12-31' },
+    { release_id: '2025', valid_to: null }
+  ]);
+  const inForce = {};
+  for (const year of [2019, 2020, 2021, 2022, 2024, 2025, 2030]) inForce[year] = await releaseOf(year);
+  assert.deepEqual(inForce, { 2019: null, 2020: '2020', 2021: '2020', 2022: '2022', 2024: '2022', 2025: '2025', 2030: '2025' });
+  assert.equal((await entry(2024, 'IIC100')).legend_release_id, '2022');
+
+  // le ingestion successive collegano le voci alla release del loro esercizio
+  const { azienda_id } = await ingestPayload(db.storage, loadPayload('euromar.json'));
+  const { rows: linked } = await db.query(`
+    select distinct year, legend_release_id from ${SCHEMA}.balance_entries where azienda_id = $1
+  `, [azienda_id]);
+  assert.deepEqual(linked, [{ year: 2024, legend_release_id: '2022' }]);
+});
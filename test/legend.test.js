@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadLegendHierarchy, buildBalanceTree } from '../lib/legend.js';
+import { extractBalanceEntries } from '../lib/extractors.js';
+import { loadPayload } from './helpers/database.js';
+
+const legend = loadLegendHierarchy();
+
+test("la legenda completa l'attivo con padre e segno di ogni voce", () => {
+  const assets = legend.filter(row => row.statement === 'SP_A');
+  assert.ok(assets.some(row => row.code === 'IIC001') && assets.some(row => row.code === 'IIC349'));
+  assert.deepEqual(assets.filter(row => !row.parent_code).map(row => row.code), ['IIC074']);
+  // gli aggregati per scadenza sono alternativi ai totali per controparte: non entrano nel subtotale
+  assert.equal(legend.find(row => row.code === 'IIC056').sign, 0);
+});
+
+test("l'attivo di valdorcia si costruisce come albero con i subtotali", () => {
+  const entries = extractBalanceEntries(loadPayload('valdorcia.json'), 2024).filter(e => !e.is_comparative);
+  const { statements, unclassified } = buildBalanceTree(legend, entries);
+
+  assert.deepEqual(unclassified.SP_A, []);
+  const [total] = statements.SP_A;
+  assert.equal(total.code, 'IIC074');
+  assert.equal(total.amount, 14336617);
+  // arrotondamenti all'unita' nei subtotali dichiarati dal provider
+  assert.ok(Math.abs(total.subtotal - total.amount) <= 1);
+
+  const credits = total.children.find(n => n.code === 'IIC071').children.find(n => n.code === 'IIC058');
+  assert.equal(credits.subtotal, 4025382);
+});
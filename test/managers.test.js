@@ -0,0 +1,36 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ingestPayload } from '../lib/pipeline.js';
+import { startDatabase, loadPayload, newerSnapshot, SCHEMA } from './helpers/database.js';
+
+let db;
+before(async () => { db = await startDatabase(); });
+after(async () => { await db?.stop(); });
+
+const roles = async azienda_id => (await db.query(`
+  select m.tax_code, r.role_code, to_char(r.role_start_date, 'YYYY-MM-DD') as start, r.role_end_date
+  from ${SCHEMA}.manager_roles r join ${SCHEMA}.managers m using (manager_id)
+  where r.azienda_id = $1 order by m.tax_code, r.role_code
+`, [azienda_id])).rows;
+
+test('ruolo ripetuto nello stesso payload: una sola riga', async () => {
+  const payload = newerSnapshot(loadPayload('valdorcia.json'), '2025-09-01T00:00:00Z', data => {
+    data.managers[0].roles.push(structuredClone(data.managers[0].roles[0]));
+  });
+  const { azienda_id, report } = await ingestPayload(db.storage, payload);
+
+  const rows = await roles(azienda_id);
+  assert.equal(rows.length, payload.data.managers.length);
+  assert.equal(report.inserts.manager_roles, payload.data.managers.length);
+});
+
+test('snapshot piu\' recente con managers: [] chiude tutti i ruoli aperti', async () => {
+  const payload = newerSnapshot(loadPayload('valdorcia.json'), '2026-01-01T00:00:00Z', data => { data.managers = []; });
+  const { azienda_id, report } = await ingestPayload(db.storage, payload);
+
+  assert.equal(report.status, 'UPDATED');
+  const rows = await roles(azienda_id);
+  assert.ok(rows.length > 0);
+  assert.ok(rows.every(r => r.role_end_date !== null), 'nessun ruolo deve restare aperto');
+  assert.equal(report.updates.manager_roles, rows.length);
+});
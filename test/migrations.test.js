@@ -0,0 +1,43 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseMigration, loadMigrations, writeMigration, createMigrator } from '../lib/migrations.js';
+import { startDatabase } from './helpers/database.js';
+
+let db;
+let dir;
+before(async () => {
+  db = await startDatabase();
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'migrations-'));
+});
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+  await db?.stop();
+});
+
+test('parseMigration: sezioni di soli commenti', () => {
+  const m = parseMigration('-- migrate:up\n-- da scrivere\n\n-- migrate:down\n-- da scrivere\n');
+  assert.equal(m.placeholder, true);
+  assert.equal(m.down, null);
+
+  const ok = parseMigration('-- migrate:up\n-- commento\nCREATE TABLE t (id int);\n-- migrate:down\nDROP TABLE t;\n');
+  assert.equal(ok.placeholder, false);
+  assert.equal(ok.down, 'DROP TABLE t;');
+});
+
+test('una migrazione ancora col modello non si applica; completata si applica, down di soli commenti e\' irreversibile', async () => {
+  const file = path.join(dir, '0001_prova.sql');
+  await writeMigration('prova', { comment: 'Prova', up: '-- SQL della migrazione', down: '-- SQL che annulla' }, dir);
+  const [draft] = await loadMigrations(dir);
+  assert.equal(draft.placeholder, true);
+
+  const migrator = createMigrator(db.client, { schema: 'prova_migrazioni', dir, appliedBy: 'test' });
+  await assert.rejects(migrator.up(), /0001_prova\.sql: la sezione "-- migrate:up" contiene solo commenti/);
+  assert.deepEqual((await migrator.status()).map(r => r.state), ['pending']);
+
+  await fs.writeFile(file, '-- migrate:up\nCREATE TABLE prova (id int);\n\n-- migrate:down\n-- irreversibile\n');
+  assert.equal((await migrator.up()).length, 1);
+  await assert.rejects(migrator.down(), /nessun SQL nella sezione "-- migrate:down"/);
+});
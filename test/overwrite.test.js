@@ -0,0 +1,101 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { canOverwrite, ingestPayload } from '../lib/pipeline.js';
+import { extractKpis, extractBalanceEntries } from '../lib/extractors.js';
+import { startDatabase, loadPayload, newerSnapshot, SCHEMA } from './helpers/database.js';
+
+test('canOverwrite: comparativo contro ufficiale, deposito vecchio contro recente', () => {
+  const official = (filing_year) => ({ filing_year, is_comparative: false });
+  const comparative = (filing_year) => ({ filing_year, is_comparative: true });
+
+  assert.equal(canOverwrite(undefined, comparative(2025)), true);
+  // il dato L2Y del deposito 2025 non tocca il bilancio 2024 "ufficiale"
+  assert.equal(canOverwrite(official(2024), comparative(2025)), false);
+  // un deposito piu' vecchio non sovrascrive quello piu' recente, comparativo o no
+  assert.equal(canOverwrite(comparative(2025), official(2024)), false);
+  assert.equal(canOverwrite(official(2025), official(2024)), false);
+  assert.equal(canOverwrite(comparative(2025), comparative(2024)), false);
+  // stesso deposito (re-ingestion) o piu' recente: si aggiorna
+  assert.equal(canOverwrite(official(2024), official(2024)), true);
+  assert.equal(canOverwrite(official(2024), official(2025)), true);
+  assert.equal(canOverwrite(comparative(2024), official(2024)), true);
+  assert.equal(canOverwrite(comparative(2024), comparative(2025)), true);
+  // righe precedenti alla colonna filing_year
+  assert.equal(canOverwrite({ filing_year: null, is_comparative: false }, official(2020)), true);
+});
+
+test('estrattori: le voci L2Y diventano righe comparative dell\'esercizio precedente', () => {
+  const payload = { data: {
+    debts: [{ code: 'IIC100', value: 20, valueL2Y: 10 }],
+    operatingResults: { ebitda: 5, ebitdaL2Y: 4 }
+  } };
+  const entries = extractBalanceEntries(payload, 2025).map(({ year, code, amount, filing_year, is_comparative }) =>
+    ({ year, code, amount, filing_year, is_comparative }));
+  assert.deepEqual(entries, [
+    { year: 2025, code: 'IIC100', amount: 20, filing_year: 2025, is_comparative: false },
+    { year: 2024, code: 'IIC100', amount: 10, filing_year: 2025, is_comparative: true }
+  ]);
+  assert.deepEqual(extractKpis(payload, 2025).map(({ fiscal_year, kpi_name, filing_year, is_comparative }) =>
+    ({ fiscal_year, kpi_name, filing_year, is_comparative })), [
+    { fiscal_year: 2025, kpi_name: 'operatingResults.ebitda', filing_year: 2025, is_comparative: false },
+    { fiscal_year: 2024, kpi_name: 'operatingResults.ebitda', filing_year: 2025, is_comparative: true }
+  ]);
+});
+
+let db;
+before(async () => { db = await startDatabase(); });
+after(async () => { await db?.stop(); });
+
+// deposito del bilancio 2025: IIC100 ed ebitda con il loro comparativo 2024
+function filing2025(payload, lastUpdateDate, { amountL2Y, ebitdaL2Y }) {
+  return newerSnapshot(payload, lastUpdateDate, data => {
+    data.ecofin.balanceSheetDate = '2025-12-31T00:00:00';
+    data.ecofin.turnoverYear = 2025;
+    data.debts.find(d => d.code === 'IIC100').valueL2Y = amountL2Y;
+    data.operatingResults.ebitdaL2Y = ebitdaL2Y;
+  });
+}
+
+async function stored(aziendaId, year) {
+  const { rows: [entry] } = await db.query(`
+    select amount::float8 as amount, filing_year, is_comparative from ${SCHEMA}.balance_entries
+    where azienda_id = $1 and year = $2 and code = 'IIC100'
+  `, [aziendaId, year]);
+  const { rows: [kpi] } = await db.query(`
+    select value::float8 as value, filing_year, is_comparative from ${SCHEMA}.company_kpis
+    where azienda_id = $1 and fiscal_year = $2 and kpi_name = 'operatingResults.ebitda'
+  `, [aziendaId, year]);
+  return { entry, kpi };
+}
+
+test('ingestion: il comparativo L2Y del deposito successivo non sovrascrive il bilancio ufficiale', async () => {
+  const original = loadPayload('valdorcia.json');
+  const { azienda_id } = await ingestPayload(db.storage, original);
+  const { report } = await ingestPayload(db.storage, filing2025(original, '2026-06-01T00:00:00Z', { amountL2Y: 1, ebitdaL2Y: 1 }));
+  assert.equal(report.fiscalYear.year, 2025);
+  assert.ok(report.skips.balance_entries_protected >= 1);
+  assert.ok(report.skips.company_kpis_protected >= 1);
+
+  assert.deepEqual(await stored(azienda_id, 2024), {
+    entry: { amount: 1961171, filing_year: 2024, is_comparative: false },
+    kpi: { value: 946405, filing_year: 2024, is_comparative: false }
+  });
+  assert.deepEqual((await stored(azienda_id, 2025)).entry, { amount: 1961171, filing_year: 2025, is_comparative: false });
+});
+
+test('ingestion: il deposito piu\' vecchio, arrivato dopo, non sovrascrive quello piu\' recente', async () => {
+  const other = newerSnapshot(loadPayload('valdorcia.json'), '2026-01-01T00:00:00Z', data => {
+    Object.assign(data.companyDetails, { vatCode: '01234567890', taxCode: '01234567890', companyName: 'ALTRA COOP' });
+  });
+  const { azienda_id } = await ingestPayload(db.storage, filing2025(other, '2026-01-01T00:00:00Z', { amountL2Y: 1500000, ebitdaL2Y: 800000 }));
+  // snapshot piu' recente (non OUTDATED) ma con il bilancio 2024
+  const { report } = await ingestPayload(db.storage, newerSnapshot(other, '2026-02-01T00:00:00Z'));
+  assert.equal(report.fiscalYear.year, 2024);
+  assert.ok(report.skips.balance_entries_protected >= 1);
+  assert.ok(report.skips.company_kpis_protected >= 1);
+
+  assert.deepEqual(await stored(azienda_id, 2024), {
+    entry: { amount: 1500000, filing_year: 2025, is_comparative: true },
+    kpi: { value: 800000, filing_year: 2025, is_comparative: true }
+  });
+});
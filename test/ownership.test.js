@@ -0,0 +1,45 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ingestPayload } from '../lib/pipeline.js';
+import { getOwnershipGraph } from '../lib/queries/ownership.js';
+import { startDatabase, loadPayload, newerSnapshot, SCHEMA } from './helpers/database.js';
+
+let db;
+before(async () => { db = await startDatabase(); });
+after(async () => { await db?.stop(); });
+
+const edges = async azienda_id => (await db.query(`
+  select relation, owned_name from ${SCHEMA}.ownership_edges where source_azienda_id = $1
+`, [azienda_id])).rows;
+
+test('snapshot piu\' recente con affiliateCompanies: [] rimuove gli archi non piu\' dichiarati', async () => {
+  const payload = loadPayload('valdorcia.json');
+  const { azienda_id } = await ingestPayload(db.storage, payload);
+  assert.deepEqual(await edges(azienda_id), [{ relation: 'AFFILIATE', owned_name: 'ANTICHI COLLI SRL' }]);
+
+  const { report } = await ingestPayload(db.storage,
+    newerSnapshot(payload, '2026-01-01T00:00:00Z', data => { data.affiliateCompanies = []; }));
+
+  assert.equal(report.status, 'UPDATED');
+  assert.deepEqual(await edges(azienda_id), []);
+  assert.equal(report.updates.ownership_edges, 1);
+  const graph = await getOwnershipGraph(db.client, azienda_id, { depth: 2 }, { schema: SCHEMA });
+  assert.deepEqual(graph.edges, []);
+});
+
+test('grafo: i codici fiscali dell\'azienda radice sono normalizzati come negli archi', async () => {
+  const { azienda_id: owned } = await ingestPayload(db.storage, loadPayload('valdorcia.json'));
+  const { azienda_id: owner } = await ingestPayload(db.storage, loadPayload('euromar.json'));
+  // codice salvato cosi' come arriva dal provider; gli estrattori scrivono gli archi in maiuscolo
+  await db.query(`update ${SCHEMA}.companies set tax_code = ' rssmra80a01h501u' where azienda_id = $1`, [owned]);
+  await db.query(`
+    insert into ${SCHEMA}.ownership_edges (source_azienda_id, relation, owner_tax_code, owner_name, owner_type,
+      owned_tax_code, owned_name, percent_share, effective_date)
+    values ($1, 'SHAREHOLDER', 'SOCIO01', 'SOCIO SPA', 'COMPANY', 'RSSMRA80A01H501U', 'VALDORCIA', 30, now())
+  `, [owner]);
+
+  const graph = await getOwnershipGraph(db.client, owned, { depth: 1 }, { schema: SCHEMA });
+  assert.equal(graph.root, 'RSSMRA80A01H501U');
+  assert.deepEqual(graph.edges.map(e => [e.owner, e.owned, e.percent_share]), [['SOCIO01', 'RSSMRA80A01H501U', 30]]);
+  assert.equal(await getOwnershipGraph(db.client, '00000000-0000-0000-0000-000000000000', {}, { schema: SCHEMA }), null);
+});
@@ -0,0 +1,83 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseFormula, loadRatioCatalogue, computeRatios, DEFAULT_TOLERANCE } from '../lib/ratios.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ratios-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// catalogo di prova scritto su file, per passare dalla stessa compilazione di ratios.json
+function catalogue(ratios, terms = {}) {
+  const file = path.join(dir, `catalogue-${fs.readdirSync(dir).length}.json`);
+  fs.writeFileSync(file, JSON.stringify({ version: 1, terms, ratios }));
+  return loadRatioCatalogue(file);
+}
+const amounts = entries => new Map(Object.entries(entries));
+const valueOf = (formula, values, terms) => computeRatios(amounts(values), new Map(), catalogue([{ id: 'r', formula }], terms))[0];
+
+test('formule: precedenza degli operatori, meno unario e parentesi', () => {
+  const values = { IIC001: 2, IIC002: 3, IIC003: 4 };
+  assert.equal(valueOf('IIC001 + IIC002 * IIC003', values).value, 14);
+  assert.equal(valueOf('(IIC001 + IIC002) * IIC003', values).value, 20);
+  assert.equal(valueOf('IIC003 - IIC002 - IIC001', values).value, -1);
+  assert.equal(valueOf('IIC003 / IIC001 / IIC001', values).value, 1);
+  assert.equal(valueOf('-IIC001 * -(IIC002 - IIC003)', values).value, -2);
+  assert.equal(valueOf('margin / IIC003 * 100', values, { margin: 'IIC002 - IIC001' }).value, 25);
+
+  assert.deepEqual(parseFormula('IIC001 + 2 * IIC002'), {
+    type: 'bin', op: '+', left: { type: 'code', code: 'IIC001' },
+    right: { type: 'bin', op: '*', left: { type: 'num', value: 2 }, right: { type: 'code', code: 'IIC002' } }
+  });
+});
+
+test('formule non valide: errori di sintassi, termini sconosciuti o circolari', () => {
+  assert.throws(() => parseFormula('(IIC001 + IIC002'), /parentesi non chiusa/);
+  assert.throws(() => parseFormula('IIC001 +'), /formula incompleta/);
+  assert.throws(() => parseFormula('IIC001 ^ 2'), /carattere non ammesso/);
+  assert.throws(() => parseFormula('IIC001 IIC002'), /token inatteso/);
+  assert.throws(() => catalogue([{ id: 'r', formula: 'ignoto * 2' }]), /termine sconosciuto "ignoto"/);
+  assert.throws(() => catalogue([{ id: 'r', formula: 'a' }], { a: 'b + 1', b: 'a' }), /termini circolari/);
+  // il catalogo del repo compila
+  assert.ok(loadRatioCatalogue().ratios.length > 0);
+});
+
+test('denominatore zero e codici assenti: not_computable', () => {
+  const zero = valueOf('IIC001 / (IIC002 - IIC002)', { IIC001: 5, IIC002: 3 });
+  assert.equal(zero.value, null);
+  assert.equal(zero.status, 'not_computable');
+  assert.equal(zero.details.reason, 'denominatore zero');
+
+  const none = valueOf('IIC001 / IIC002', { IIC999: 1 });
+  assert.equal(none.status, 'not_computable');
+  assert.equal(none.details.reason, 'nessuna voce disponibile');
+  assert.deepEqual(none.details.missing.sort(), ['IIC001', 'IIC002']);
+
+  // un codice assente tra altri presenti vale 0 ed e' riportato in missing
+  const partial = valueOf('IIC001 + IIC002', { IIC001: 5 });
+  assert.equal(partial.value, 5);
+  assert.equal(partial.status, 'computed');
+  assert.deepEqual(partial.details.missing, ['IIC002']);
+});
+
+test('confronto con il provider: match/mismatch entro la tolleranza', () => {
+  const ratios = catalogue([
+    { id: 'abs', formula: 'IIC001', provider: 'kpi.abs' },
+    { id: 'rel', formula: 'IIC002', provider: 'kpi.rel' },
+    { id: 'custom', formula: 'IIC001', provider: 'kpi.custom', tolerance: { absolute: 0.5, relative: 0 } },
+    { id: 'alone', formula: 'IIC001', provider: 'kpi.assente' }
+  ]);
+  assert.deepEqual(ratios.ratios[0].tolerance, DEFAULT_TOLERANCE);
+  const status = provider => Object.fromEntries(computeRatios(amounts({ IIC001: 1, IIC002: 1010 }), new Map(Object.entries(provider)), ratios)
+    .map(r => [r.ratio_id, [r.status, r.difference]]));
+
+  // tolleranza assoluta 0.01 per valori piccoli, relativa 1% del valore del provider per quelli grandi:
+  // il bordo e' incluso
+  assert.deepEqual(status({ 'kpi.abs': 0.99, 'kpi.rel': 1000, 'kpi.custom': 0.5 }), {
+    abs: ['match', 0.01], rel: ['match', 10], custom: ['match', 0.5], alone: ['computed', null]
+  });
+  assert.deepEqual(status({ 'kpi.abs': 0.98, 'kpi.rel': 999.9, 'kpi.custom': 0.49 }), {
+    abs: ['mismatch', 0.02], rel: ['mismatch', 10.1], custom: ['mismatch', 0.51], alone: ['computed', null]
+  });
+});
@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { ingestPayload, retryIngestion } from '../lib/pipeline.js';
+import { startDatabase, loadPayload, SCHEMA } from './helpers/database.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+let db;
+before(async () => { db = await startDatabase(); });
+after(async () => { await db?.stop(); });
+
+const countOf = async (table, aziendaId) =>
+  Number((await db.query(`select count(*) from ${SCHEMA}.${table} where azienda_id = $1`, [aziendaId])).rows[0].count);
+
+function retry(ingestionId) {
+  return promisify(execFile)(process.execPath, ['index.js', '--retry', ingestionId], {
+    cwd: ROOT,
+    env: { ...process.env, DATABASE_URL: db.connectionString, SCHEMA },
+    timeout: 60000
+  });
+}
+
+test('sezione fallita: annullato solo il suo savepoint, errore in ingestion_errors, --retry la riesegue', async () => {
+  // i KPI falliscono a meta' scrittura: ebitda e' gia' scritto quando ebit solleva l'errore
+  await db.query(`
+    create function ${SCHEMA}.fail_kpi() returns trigger language plpgsql as $$
+    begin
+      if new.kpi_name = 'operatingResults.ebit' then raise exception 'KPI rifiutato dal test'; end if;
+      return new;
+    end $$;
+    create trigger fail_kpi before insert on ${SCHEMA}.company_kpis for each row execute function ${SCHEMA}.fail_kpi();
+  `);
+
+  const { azienda_id, report } = await ingestPayload(db.storage, loadPayload('valdorcia.json'));
+  assert.equal(report.status, 'PARTIAL');
+  assert.deepEqual(report.sectionErrors.map(e => e.section), ['company_kpis']);
+  assert.match(report.sectionErrors[0].message, /KPI rifiutato dal test/);
+  assert.equal(await countOf('company_kpis', azienda_id), 0);
+  // le altre sezioni sono salvate
+  const entries = await countOf('balance_entries', azienda_id);
+  assert.ok(entries > 0);
+  assert.ok(await countOf('manager_roles', azienda_id) > 0);
+
+  const { rows: errors } = await db.query(`
+    select ingestion_id, section, resolved_at from ${SCHEMA}.ingestion_errors where azienda_id = $1
+  `, [azienda_id]);
+  assert.deepEqual(errors, [{ ingestion_id: report.ingestionId, section: 'company_kpis', resolved_at: null }]);
+  const { rows: [logged] } = await db.query(`select status from ${SCHEMA}.ingestions where ingestion_id = $1`, [report.ingestionId]);
+  assert.equal(logged.status, 'PARTIAL');
+
+  // retry con il trigger ancora attivo: resta PARTIAL, l'errore originale resta aperto e quello del retry
+  // e' registrato a parte (in processo: il server PGlite dei test perde il protocollo se un altro processo
+  // riceve un errore SQL dentro una transazione)
+  const failed = await retryIngestion(db.storage, report.ingestionId);
+  assert.equal(failed.report.status, 'PARTIAL');
+  assert.equal(failed.report.resolvedErrors, 0);
+  await db.query(`drop trigger fail_kpi on ${SCHEMA}.company_kpis; drop function ${SCHEMA}.fail_kpi()`);
+
+  const { stdout } = await retry(report.ingestionId);
+  const retried = JSON.parse(stdout);
+  assert.equal(retried.ok, true);
+  assert.deepEqual(retried.report.retriedSections, ['company_kpis', 'computed_ratios']);
+  assert.equal(retried.report.resolvedErrors, 1);
+  assert.ok(await countOf('company_kpis', azienda_id) > 0);
+  assert.equal(await countOf('balance_entries', azienda_id), entries);
+
+  const { rows: open } = await db.query(`
+    select ingestion_id, resolved_by from ${SCHEMA}.ingestion_errors where azienda_id = $1 order by created_at
+  `, [azienda_id]);
+  assert.deepEqual(open, [
+    { ingestion_id: report.ingestionId, resolved_by: retried.report.ingestionId },
+    { ingestion_id: failed.report.ingestionId, resolved_by: null }
+  ]);
+
+  // nessun errore aperto: un nuovo --retry non ha nulla da fare
+  await assert.rejects(retry(report.ingestionId), err => {
+    assert.match(err.stderr, /Nessun errore di sezione aperto/);
+    return true;
+  });
+});
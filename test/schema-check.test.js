@@ -0,0 +1,52 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { assertSchema, REQUIRED_TABLES } from '../lib/config.js';
+import { startDatabase, SCHEMA } from './helpers/database.js';
+import { startServer } from './helpers/server.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+let db;
+before(async () => {
+  db = await startDatabase();
+  // schema configurato ma mai migrato
+  await db.query('create schema staging');
+});
+after(async () => { await db?.stop(); });
+
+test('assertSchema: passa sullo schema migrato, elenca le tabelle mancanti negli altri', async () => {
+  await assertSchema(db.client, { schema: SCHEMA });
+  await assert.rejects(assertSchema(db.client, { schema: 'staging' }), err => {
+    assert.equal(err.message,
+      `Schema "staging": tabelle mancanti ${REQUIRED_TABLES.join(', ')} (esegui node migrate.js up con SCHEMA=staging)`);
+    return true;
+  });
+
+  await db.query(`alter table ${SCHEMA}.statement_conflicts rename to statement_conflicts_old`);
+  try {
+    await assert.rejects(assertSchema(db.client, { schema: SCHEMA }), /tabelle mancanti statement_conflicts \(/);
+  } finally {
+    await db.query(`alter table ${SCHEMA}.statement_conflicts_old rename to statement_conflicts`);
+  }
+});
+
+test('avvio: server e CLI si fermano se lo schema configurato non ha le tabelle', async () => {
+  await assert.rejects(startServer(db, { schema: 'staging' }),
+    /terminato \(exit 1\):\n.*Errore connessione database: Schema "staging": tabelle mancanti companies, /s);
+  await assert.rejects(startServer(db, { schema: 'Staging;drop' }), /SCHEMA non valido: "Staging;drop"/);
+
+  await assert.rejects(promisify(execFile)(process.execPath, ['index.js', 'valdorcia.json'], {
+    cwd: ROOT, env: { ...process.env, DATABASE_URL: db.connectionString, SCHEMA: 'staging' }, timeout: 60000
+  }), err => {
+    assert.equal(err.code, 1);
+    assert.match(err.stderr, /Schema "staging": tabelle mancanti/);
+    return true;
+  });
+  assert.equal((await db.query(`select count(*) from ${SCHEMA}.companies`)).rows[0].count, '0');
+
+  const server = await startServer(db);
+  await server.stop();
+});
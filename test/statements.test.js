@@ -0,0 +1,78 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { classifyStatement } from '../lib/statements.js';
+import { loadLegendHierarchy } from '../lib/legend.js';
+import { ingestPayload } from '../lib/pipeline.js';
+import { startDatabase, loadPayload, SCHEMA } from './helpers/database.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const legend = loadLegendHierarchy();
+
+let db;
+let aziendaId;
+let report;
+
+before(async () => {
+  db = await startDatabase();
+  await db.query(`
+    insert into ${SCHEMA}.legend_codes (code, description, statement, parent_code, sign, sort_order, outline)
+    select code, description, statement, parent_code, sign, sort_order, outline
+    from jsonb_to_recordset($1::jsonb)
+      as r(code text, description text, statement text, parent_code text, sign smallint, sort_order integer, outline text)
+  `, [JSON.stringify(legend)]);
+  ({ azienda_id: aziendaId, report } = await ingestPayload(db.storage, loadPayload('valdorcia.json')));
+});
+after(async () => { await db?.stop(); });
+
+test('IIC203: la legenda vince sulla sezione attivo degli schemi e sull\'euristica', () => {
+  // schemi_bilancio_conto_completo.json elenca la riserva straordinaria sotto stato_patrimoniale_attivo
+  const row = legend.find(r => r.code === 'IIC203');
+  assert.equal(row.statement, 'SP_P');
+
+  const result = classifyStatement('IIC203', { legend: row.statement, group: 'SP_A' });
+  assert.equal(result.statement, 'SP_P');
+  assert.equal(result.source, 'legend');
+  assert.deepEqual(result.conflict, { sources: ['group'], legend: 'SP_P', group: 'SP_A', heuristic: 'SP_A' });
+
+  // legenda e gruppo concordano: il voto contrario dell'euristica non e' un conflitto
+  assert.equal(classifyStatement('IIC203', { legend: 'SP_P', group: 'SP_P' }).conflict, null);
+
+  // senza legenda ne' gruppo resta l'euristica, senza conflitti
+  assert.deepEqual(classifyStatement('IIC203'), {
+    statement: 'SP_A', source: 'heuristic', votes: { legend: null, group: null, heuristic: 'SP_A' }, conflict: null
+  });
+});
+
+test('IIC203: con legenda e gruppo concordi l\'ingestion salva la voce nel passivo senza conflitti', async () => {
+  const { rows: entries } = await db.query(`
+    select distinct statement from ${SCHEMA}.balance_entries where azienda_id = $1 and code = 'IIC203'
+  `, [aziendaId]);
+  assert.deepEqual(entries, [{ statement: 'SP_P' }]);
+
+  const { rows: conflicts } = await db.query(`select code from ${SCHEMA}.statement_conflicts where azienda_id = $1`, [aziendaId]);
+  assert.deepEqual(conflicts, []);
+  assert.equal(report.warnings.filter(w => w.reason === 'statement_conflict').length, 0);
+});
+
+test('IIC203: reclassify_statements.js sposta le voci salvate nell\'attivo e ne riporta il motivo', async () => {
+  await db.query(`update ${SCHEMA}.balance_entries set statement = 'SP_A' where azienda_id = $1 and code = 'IIC203'`, [aziendaId]);
+
+  const { stdout } = await promisify(execFile)(process.execPath, ['reclassify_statements.js', '--azienda', aziendaId], {
+    cwd: ROOT,
+    env: { ...process.env, DATABASE_URL: db.connectionString, SCHEMA },
+    timeout: 60000
+  });
+  assert.match(stdout, /IIC203: SP_A -> SP_P \(legend; legenda SP_P, salvato SP_A, euristica SP_A; \d+ voci\)/);
+
+  const { rows: entries } = await db.query(`
+    select distinct statement from ${SCHEMA}.balance_entries where azienda_id = $1 and code = 'IIC203'
+  `, [aziendaId]);
+  assert.deepEqual(entries, [{ statement: 'SP_P' }]);
+  const { rows: [conflict] } = await db.query(`
+    select group_statement, detected_by from ${SCHEMA}.statement_conflicts where azienda_id = $1 and code = 'IIC203'
+  `, [aziendaId]);
+  assert.deepEqual(conflict, { group_statement: 'SP_A', detected_by: 'reclassify' });
+});
@@ -0,0 +1,109 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ingestPayload } from '../lib/pipeline.js';
+import { resolveUnmappedCode, listUnmappedCodes } from '../lib/queries/legend.js';
+import { startDatabase, loadPayload, SCHEMA } from './helpers/database.js';
+import { startServer } from './helpers/server.js';
+
+let db;
+let server;
+
+before(async () => {
+  db = await startDatabase();
+  // legenda vuota: tutti i codici di valdorcia finiscono in unmapped_codes
+  await ingestPayload(db.storage, loadPayload('valdorcia.json'));
+  await db.query(`
+    insert into ${SCHEMA}.legend_codes (code, description, statement, parent_code, sign, alias_of, source) values
+      ('IIC900', 'Debiti totali', 'SP_P', null, 1, null, 'schemi'),
+      ('IIC901', 'Debiti (vecchio codice)', 'SP_P', null, 1, 'IIC900', 'triage')
+  `);
+  server = await startServer(db);
+});
+after(async () => {
+  await server?.stop();
+  await db?.stop();
+});
+
+const resolve = (code, decision) => resolveUnmappedCode(db.client, code, decision, { schema: SCHEMA });
+const rejectsWith = (status, message) => err => {
+  assert.equal(err.status, status);
+  assert.match(err.message, message);
+  return true;
+};
+const queued = async code =>
+  (await db.query(`select 1 from ${SCHEMA}.unmapped_codes where code = $1`, [code])).rowCount === 1;
+const descriptions = async code => (await db.query(`
+  select distinct description from ${SCHEMA}.balance_entries where code = $1
+`, [code])).rows.map(r => r.description);
+
+test('triage: 400 per decisioni non valide, 409 per un codice gia\' in legenda, 404 fuori coda', async () => {
+  const define = { action: 'define', description: 'Debiti verso soci', statement: 'SP_P', decided_by: 'analista' };
+  await assert.rejects(resolve('IIC099', { ...define, action: 'rename' }), rejectsWith(400, /action non valida/));
+  await assert.rejects(resolve('IIC099', { ...define, decided_by: '  ' }), rejectsWith(400, /decided_by obbligatorio/));
+  await assert.rejects(resolve('IIC099', { ...define, description: '' }), rejectsWith(400, /description obbligatoria/));
+  await assert.rejects(resolve('IIC099', { ...define, statement: 'SP' }), rejectsWith(400, /statement non valido/));
+  await assert.rejects(resolve('IIC099', { ...define, sign: 2 }), rejectsWith(400, /sign non valido/));
+  await assert.rejects(resolve('IIC099', { ...define, parent_code: 'IIC999' }), rejectsWith(400, /parent_code: IIC999/));
+  await assert.rejects(resolve('IIC099', { ...define, parent_code: 'IIC901' }), rejectsWith(400, /parent_code: IIC901/));
+  await assert.rejects(resolve('IIC099', { action: 'alias', decided_by: 'analista' }), rejectsWith(400, /alias_of: .*\(mancante\)/));
+  await assert.rejects(resolve('IIC099', { action: 'alias', alias_of: 'IIC999', decided_by: 'analista' }),
+    rejectsWith(400, /alias_of: codice di legenda IIC999 inesistente/));
+
+  await assert.rejects(resolve('IIC900', define), rejectsWith(409, /IIC900 e' gia' in legenda/));
+  await assert.rejects(resolve('IIC777', define), rejectsWith(404, /IIC777 non presente/));
+  assert.equal(await queued('IIC099'), true);
+});
+
+test('triage alias: un alias di un alias punta alla voce canonica', async () => {
+  const previous = await descriptions('IIC100');
+  const entries = (await listUnmappedCodes(db.client, { schema: SCHEMA })).find(u => u.code === 'IIC100').entries;
+  const decision = await resolve('IIC100', { action: 'alias', alias_of: 'IIC901', decided_by: 'analista', note: 'codice storico' });
+
+  assert.deepEqual(
+    [decision.action, decision.alias_of, decision.description, decision.statement, decision.decided_by, decision.note],
+    ['alias', 'IIC900', 'Debiti totali', 'SP_P', 'analista', 'codice storico']
+  );
+  assert.equal(decision.entries_updated, entries);
+  assert.equal(decision.previous.code, 'IIC100');
+  assert.notDeepEqual(previous, ['Debiti totali']);
+  assert.deepEqual(await descriptions('IIC100'), ['Debiti totali']);
+  assert.equal(await queued('IIC100'), false);
+
+  const { rows: [legend] } = await db.query(`select alias_of, source from ${SCHEMA}.legend_codes where code = 'IIC100'`);
+  assert.deepEqual(legend, { alias_of: 'IIC900', source: 'triage' });
+});
+
+test('triage: legenda, voci, coda e decisione in un\'unica istruzione (tutto o niente)', async () => {
+  // la riga di audit fallisce: nemmeno le altre scritture della CTE restano
+  await db.query(`alter table ${SCHEMA}.legend_code_decisions add constraint no_test_notes check (note is distinct from 'rifiuta')`);
+  const define = { action: 'define', description: 'Debiti verso soci', statement: 'SP_P', parent_code: 'IIC900', sign: -1, decided_by: 'analista' };
+  await assert.rejects(resolve('IIC099', { ...define, note: 'rifiuta' }), /no_test_notes/);
+  assert.equal(await queued('IIC099'), true);
+  assert.equal((await db.query(`select 1 from ${SCHEMA}.legend_codes where code = 'IIC099'`)).rowCount, 0);
+  assert.notDeepEqual(await descriptions('IIC099'), ['Debiti verso soci']);
+  await db.query(`alter table ${SCHEMA}.legend_code_decisions drop constraint no_test_notes`);
+
+  const decision = await resolve('IIC099', define);
+  assert.deepEqual([decision.parent_code, decision.sign, decision.alias_of], ['IIC900', -1, null]);
+  assert.deepEqual(await descriptions('IIC099'), ['Debiti verso soci']);
+  const { rows } = await db.query(`select code, action from ${SCHEMA}.legend_code_decisions order by decided_at`);
+  assert.deepEqual(rows, [{ code: 'IIC100', action: 'alias' }, { code: 'IIC099', action: 'define' }]);
+});
+
+test('API triage: 201 con la decisione, 400/404/409 con il messaggio', async () => {
+  const path = code => `/api/unmapped-codes/${code}/resolve`;
+  const ok = await server.request(path('IIC098'), { method: 'POST', body: { action: 'alias', alias_of: 'IIC900', decided_by: 'api' } });
+  assert.equal(ok.status, 201);
+  assert.equal(ok.body.alias_of, 'IIC900');
+
+  const cases = [
+    [path('IIC097'), {}, 400, /action non valida/],
+    [path('IIC098'), { action: 'alias', alias_of: 'IIC900', decided_by: 'api' }, 409, /gia' in legenda/],
+    [path('IIC777'), { action: 'alias', alias_of: 'IIC900', decided_by: 'api' }, 404, /non presente tra i codici non mappati/]
+  ];
+  for (const [url, body, status, message] of cases) {
+    const res = await server.request(url, { method: 'POST', body });
+    assert.equal(res.status, status, url);
+    assert.match(res.body.error, message);
+  }
+});
@@ -0,0 +1,63 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePayload, invalidPayloadError, IT_FULL_SCHEMA } from '../lib/validation.js';
+import { ingestPayload } from '../lib/pipeline.js';
+import { startDatabase, loadPayload, SCHEMA } from './helpers/database.js';
+
+test('schema it-full/v1: valdorcia.json e la sola azienda senza busta sono conformi', () => {
+  const payload = loadPayload('valdorcia.json');
+  assert.deepEqual(validatePayload(payload), { schema: IT_FULL_SCHEMA, errors: [], warnings: [] });
+  assert.deepEqual(validatePayload(payload.data).errors, []);
+  assert.deepEqual(validatePayload(payload, { schema: 'it-full/v1' }).errors, []);
+});
+
+test('schema it-full/v1: violazioni con JSON pointer, proprieta\' in piu\' come avvisi', () => {
+  const payload = loadPayload('valdorcia.json');
+  payload.data.companyDetails.companyName = '';
+  payload.data.companyDetails.lastUpdateDate = 'ieri';
+  payload.data.companyDetails['nuovo/campo'] = 1;
+  const { errors, warnings } = validatePayload(payload);
+  assert.deepEqual(errors.map(e => e.pointer).sort(), ['/data/companyDetails/companyName', '/data/companyDetails/lastUpdateDate']);
+  assert.deepEqual(warnings, [{ pointer: '/data/companyDetails/nuovo~1campo', message: 'proprieta\' non prevista dallo schema' }]);
+
+  // payload troncato e risposta di errore del provider
+  assert.deepEqual(validatePayload({ data: {} }).errors.map(e => e.pointer), ['/data']);
+  const failed = validatePayload({ ...loadPayload('valdorcia.json'), success: false, message: 'quota esaurita' });
+  assert.equal(failed.errors[0].message, 'risposta del provider fallita: quota esaurita');
+  // il formato legacy senza companyDetails non e' IT-full
+  assert.match(validatePayload(loadPayload('test_bilancio.json')).errors[0].message, /companyDetails/);
+
+  const err = invalidPayloadError(validatePayload({ data: {} }));
+  assert.match(err.message, /^Payload non conforme a it-full\/v1: \/data: /);
+  assert.equal(err.violations.length, 1);
+});
+
+test('versione di schema sconosciuta: errore esplicito', () => {
+  const payload = loadPayload('valdorcia.json');
+  assert.throws(() => validatePayload(payload, { schema: 'it-full/v9' }), /Schema it-full\/v9 non disponibile/);
+  assert.throws(() => validatePayload(payload, { schema: '../package' }), /Schema \.\.\/package non disponibile/);
+});
+
+let db;
+before(async () => { db = await startDatabase(); });
+after(async () => { await db?.stop(); });
+
+test('ingestion: il payload non conforme e\' rifiutato; con skipValidation passa', async () => {
+  const payload = loadPayload('valdorcia.json');
+  payload.success = 'si';
+  const count = async () => Number((await db.query(`select count(*) from ${SCHEMA}.companies`)).rows[0].count);
+
+  await assert.rejects(ingestPayload(db.storage, payload), err => {
+    assert.deepEqual(err.violations, [{ pointer: '/success', message: 'must be boolean' }]);
+    return true;
+  });
+  assert.equal(await count(), 0);
+  const { rows: [rejected] } = await db.query(`select status, summary from ${SCHEMA}.ingestions`);
+  assert.equal(rejected.status, 'ERROR');
+  assert.equal(rejected.summary.violations[0].pointer, '/success');
+
+  const { report } = await ingestPayload(db.storage, payload, { skipValidation: true });
+  assert.equal(report.status, 'UPDATED');
+  assert.equal(report.schema, undefined);
+  assert.equal(await count(), 1);
+});
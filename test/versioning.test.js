@@ -0,0 +1,68 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ingestPayload } from '../lib/pipeline.js';
+import { startDatabase, loadPayload, newerSnapshot, SCHEMA } from './helpers/database.js';
+
+let db;
+before(async () => { db = await startDatabase(); });
+after(async () => { await db?.stop(); });
+
+async function state(aziendaId) {
+  const one = async sql => (await db.query(sql, [aziendaId])).rows[0];
+  return {
+    versions: Number((await one(`select count(*) from ${SCHEMA}.company_versions where azienda_id = $1`)).count),
+    entries: Number((await one(`select count(*) from ${SCHEMA}.balance_entries where azienda_id = $1`)).count),
+    name: (await one(`select company_name from ${SCHEMA}.companies where azienda_id = $1`)).company_name,
+    iic100: Number((await one(`
+      select amount from ${SCHEMA}.balance_entries where azienda_id = $1 and year = 2024 and code = 'IIC100'
+    `)).amount)
+  };
+}
+
+const statusOf = async ingestionId =>
+  (await db.query(`select status from ${SCHEMA}.ingestions where ingestion_id = $1`, [ingestionId])).rows[0]?.status;
+
+test('stesso payload ingerito di nuovo: UNCHANGED, nessuna scrittura', async () => {
+  const payload = loadPayload('valdorcia.json');
+  const first = await ingestPayload(db.storage, payload);
+  assert.equal(first.report.status, 'UPDATED');
+  const initial = await state(first.azienda_id);
+
+  const again = await ingestPayload(db.storage, loadPayload('valdorcia.json'));
+  assert.equal(again.azienda_id, first.azienda_id);
+  assert.equal(again.report.status, 'UNCHANGED');
+  assert.equal(again.report.contentHash, first.report.contentHash);
+  assert.deepEqual(again.report.inserts, {});
+  assert.deepEqual(again.report.updates, {});
+  assert.deepEqual(await state(first.azienda_id), initial);
+  assert.equal(await statusOf(again.report.ingestionId), 'UNCHANGED');
+});
+
+test('snapshot con data effettiva piu\' vecchia dopo uno piu\' recente: OUTDATED, solo storico', async () => {
+  const original = loadPayload('valdorcia.json');
+  const newer = await ingestPayload(db.storage, newerSnapshot(original, '2026-01-15T00:00:00Z', data => {
+    data.companyDetails.companyName = 'VAL D\'ORCIA 2026';
+    data.debts.find(d => d.code === 'IIC100').value = 2000000;
+  }));
+  assert.equal(newer.report.status, 'UPDATED');
+  const current = await state(newer.azienda_id);
+  assert.deepEqual([current.name, current.iic100], ['VAL D\'ORCIA 2026', 2000000]);
+
+  // tra l'originale (2025-08-29) e il piu' recente: arriva dopo ma e' piu' vecchio
+  const older = await ingestPayload(db.storage, newerSnapshot(original, '2025-10-01T00:00:00Z', data => {
+    data.companyDetails.companyName = 'VAL D\'ORCIA 2025';
+    data.debts.find(d => d.code === 'IIC100').value = 1;
+  }));
+  assert.equal(older.report.status, 'OUTDATED');
+  assert.equal(older.report.latestVersion.effective_date.slice(0, 10), '2026-01-15');
+  assert.deepEqual(older.report.inserts, { company_versions: 1 });
+  assert.deepEqual(await state(newer.azienda_id), { ...current, versions: current.versions + 1 });
+  assert.equal(await statusOf(older.report.ingestionId), 'OUTDATED');
+
+  // ri-ingerire lo snapshot vecchio ora e' UNCHANGED: la versione e' gia' nello storico
+  const replay = await ingestPayload(db.storage, newerSnapshot(original, '2025-10-01T00:00:00Z', data => {
+    data.companyDetails.companyName = 'VAL D\'ORCIA 2025';
+    data.debts.find(d => d.code === 'IIC100').value = 1;
+  }));
+  assert.equal(replay.report.status, 'UNCHANGED');
+});